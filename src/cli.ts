@@ -0,0 +1,442 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  SPA_ALL,
+  SPA_SERIES_FIELDS,
+  SPA_ZA,
+  SPA_ZA_INC,
+  SPA_ZA_RTS,
+  formatTime,
+  spa,
+  spaEvents,
+  spaFormatted,
+  spaSeries,
+} from './index.js';
+import type { SpaFunctionCode, SpaOptions, SpaSeriesField } from './types.js';
+
+/** Exit codes, following BSD sysexits.h for the usage and data errors. */
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 64;
+const EXIT_DATA = 65;
+
+const FORMATS = ['json', 'ndjson', 'csv'] as const;
+type Format = (typeof FORMATS)[number];
+
+const FUNCTION_NAMES: Record<string, SpaFunctionCode> = {
+  za: SPA_ZA,
+  za_inc: SPA_ZA_INC,
+  za_rts: SPA_ZA_RTS,
+  all: SPA_ALL,
+};
+
+const USAGE = `Usage: solar-spa <command> [options]
+
+Commands:
+  position   Solar position at one instant (spa(), or spaFormatted() with --formatted)
+  events     Sunrise, solar noon, and sunset as ISO 8601 instants (spaEvents())
+  table      Evenly spaced positions from --from to --to (spaSeries())
+
+Location and time:
+  --lat, --latitude <deg>     Observer latitude, -90 to 90 (required)
+  --lon, --longitude <deg>    Observer longitude, -180 to 180 (required)
+  --date <iso>                Instant for position and events. Default: now
+  --from <iso>, --to <iso>    First and last instant of a table (required for table)
+  --step <n>[s|m|h|d]         Table spacing; a bare number is seconds. Default: 1h
+  --timezone <hours|zone>     UTC offset in hours or an IANA zone name
+  --input <utc|local>         local reads --date as wall-clock time in --timezone. Default: utc
+
+SPA options:
+  --elevation <m>             Observer elevation. Default: 0
+  --pressure <mbar>           Annual average pressure. Default: 1013.25
+  --temperature <degC>        Annual average temperature. Default: 15
+  --delta-ut1 <s>             UT1 - UTC. Default: 0
+  --delta-t <s|auto>          TT - UT1. Default: auto
+  --slope <deg>               Surface slope. Default: 0
+  --azm-rotation <deg>        Surface azimuth rotation from south. Default: 0
+  --atmos-refract <deg>       Refraction at sunrise and sunset. Default: 0.5667
+  --function <0-3|name>       za, za_inc, za_rts, or all. Default: all
+
+Output:
+  --format <json|ndjson|csv>  Default: json, or csv for table
+  --formatted                 Rise, transit, and set as HH:MM:SS local times
+  --fields <a,b,...>          Table columns. Default: all of ${SPA_SERIES_FIELDS.join(', ')}
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+Exit codes: 0 success, 1 calculation failure, 64 usage error, 65 invalid value.
+`;
+
+/** An error with the exit code to report it under. */
+class CliError extends Error {
+  constructor(
+    message: string,
+    readonly exitCode: number,
+  ) {
+    super(message);
+  }
+}
+
+type Flags = Record<string, string | boolean | undefined>;
+
+function parseNumber(flags: Flags, name: string): number | undefined {
+  const raw = flags[name];
+  if (raw === undefined) return undefined;
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+  if (!isFinite(value)) {
+    throw new CliError(`--${name} must be a number, got "${String(raw)}"`, EXIT_DATA);
+  }
+  return value;
+}
+
+function requireNumber(flags: Flags, name: string): number {
+  const value = parseNumber(flags, name);
+  if (value === undefined) {
+    throw new CliError(`--${name} is required`, EXIT_USAGE);
+  }
+  return value;
+}
+
+function parseDate(flags: Flags, name: string, fallback?: Date): Date {
+  const raw = flags[name];
+  if (raw === undefined) {
+    if (fallback) return fallback;
+    throw new CliError(`--${name} is required`, EXIT_USAGE);
+  }
+  const date = raw === 'now' ? new Date() : new Date(String(raw));
+  if (isNaN(date.getTime())) {
+    throw new CliError(`--${name} must be an ISO 8601 date, got "${String(raw)}"`, EXIT_DATA);
+  }
+  return date;
+}
+
+/** Seconds from "90", "90s", "15m", "1h", or "1d". */
+function parseStep(raw: string | boolean | undefined): number {
+  if (raw === undefined) return 3600;
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([smhd]?)\s*$/.exec(String(raw));
+  const seconds = m ? Number(m[1]) * { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[m[2]]! : NaN;
+  if (!(seconds > 0)) {
+    throw new CliError(
+      `--step must be a positive number of seconds, optionally with s, m, h, or d, got "${String(raw)}"`,
+      EXIT_DATA,
+    );
+  }
+  return seconds;
+}
+
+/** SpaOptions from the flags. Range checks are left to the library. */
+function spaOptions(flags: Flags): SpaOptions {
+  const options: SpaOptions = { input: 'utc' };
+
+  const timezone = flags.timezone;
+  if (typeof timezone === 'string') {
+    options.timezone = /^[+-]?\d+(\.\d+)?$/.test(timezone.trim()) ? Number(timezone) : timezone;
+  }
+  if (flags.input !== undefined) {
+    if (flags.input !== 'utc' && flags.input !== 'local') {
+      throw new CliError(`--input must be utc or local, got "${String(flags.input)}"`, EXIT_DATA);
+    }
+    options.input = flags.input;
+  }
+
+  const numeric = {
+    elevation: 'elevation',
+    pressure: 'pressure',
+    temperature: 'temperature',
+    delta_ut1: 'delta-ut1',
+    slope: 'slope',
+    azm_rotation: 'azm-rotation',
+    atmos_refract: 'atmos-refract',
+  } as const;
+  for (const [key, flag] of Object.entries(numeric) as [keyof typeof numeric, string][]) {
+    const value = parseNumber(flags, flag);
+    if (value !== undefined) options[key] = value;
+  }
+
+  if (flags['delta-t'] !== undefined) {
+    options.delta_t = flags['delta-t'] === 'auto' ? 'auto' : parseNumber(flags, 'delta-t');
+  }
+
+  const fn = flags.function;
+  if (typeof fn === 'string') {
+    const name = fn.trim().toLowerCase().replace(/-/g, '_');
+    const code = /^[0-3]$/.test(name) ? (Number(name) as SpaFunctionCode) : FUNCTION_NAMES[name];
+    if (code === undefined) {
+      throw new CliError(
+        `--function must be 0-3 or one of ${Object.keys(FUNCTION_NAMES).join(', ')}, got "${fn}"`,
+        EXIT_DATA,
+      );
+    }
+    options.function = code;
+  }
+
+  return options;
+}
+
+function parseFormat(flags: Flags, fallback: Format): Format {
+  const format = flags.format ?? fallback;
+  if (!FORMATS.includes(format as Format)) {
+    throw new CliError(
+      `--format must be one of ${FORMATS.join(', ')}, got "${String(format)}"`,
+      EXIT_DATA,
+    );
+  }
+  return format as Format;
+}
+
+function csvValue(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Write `text` to stdout, waiting for the stream to drain when its buffer is full. */
+function write(text: string): Promise<void> {
+  return new Promise((resolve) => {
+    if (process.stdout.write(text)) resolve();
+    else process.stdout.once('drain', resolve);
+  });
+}
+
+/** Lines per stdout write, so long tables stream instead of building one string. */
+const BATCH = 1000;
+
+/** Print rows in the requested format. `columns` fixes the CSV header. */
+async function printRows(
+  rows: Iterable<Record<string, unknown>>,
+  format: Format,
+  columns: readonly string[],
+): Promise<void> {
+  let lines: string[] = [];
+  if (format === 'csv') lines.push(columns.join(','));
+  else if (format === 'json') lines.push('[');
+
+  // JSON arrays hold one row per line; each row is written once the next one
+  // shows whether it needs a trailing comma.
+  let pending: string | undefined;
+  for (const row of rows) {
+    if (format === 'csv') {
+      lines.push(columns.map((c) => csvValue(row[c])).join(','));
+    } else if (format === 'ndjson') {
+      lines.push(JSON.stringify(row));
+    } else {
+      if (pending !== undefined) lines.push(`  ${pending},`);
+      pending = JSON.stringify(row);
+    }
+    if (lines.length >= BATCH) {
+      await write(lines.join('\n') + '\n');
+      lines = [];
+    }
+  }
+
+  if (pending !== undefined) lines.push(`  ${pending}`);
+  if (format === 'json') lines.push(']');
+  if (lines.length > 0) await write(lines.join('\n') + '\n');
+}
+
+/** Print a single record: an object for JSON, one line or row otherwise. */
+async function printRecord(
+  record: Record<string, unknown>,
+  format: Format,
+  columns: readonly string[],
+): Promise<void> {
+  if (format === 'json') {
+    await write(JSON.stringify(record, null, 2) + '\n');
+  } else {
+    await printRows([record], format, columns);
+  }
+}
+
+async function position(flags: Flags): Promise<void> {
+  const date = parseDate(flags, 'date', new Date());
+  const latitude = requireNumber(flags, 'lat');
+  const longitude = requireNumber(flags, 'lon');
+  const options = spaOptions(flags);
+  const format = parseFormat(flags, 'json');
+
+  const result = flags.formatted
+    ? await spaFormatted(date, latitude, longitude, options)
+    : await spa(date, latitude, longitude, options);
+  const record: Record<string, unknown> = { date, ...result };
+  await printRecord(record, format, Object.keys(record));
+}
+
+async function events(flags: Flags): Promise<void> {
+  const date = parseDate(flags, 'date', new Date());
+  const latitude = requireNumber(flags, 'lat');
+  const longitude = requireNumber(flags, 'lon');
+  const options = spaOptions(flags);
+  const format = parseFormat(flags, 'json');
+
+  const result = await spaEvents(date, latitude, longitude, options);
+  await printRecord({ ...result }, format, ['sunrise', 'suntransit', 'sunset']);
+}
+
+async function table(flags: Flags): Promise<void> {
+  const from = parseDate(flags, 'from');
+  const to = parseDate(flags, 'to');
+  const step = parseStep(flags.step);
+  const latitude = requireNumber(flags, 'lat');
+  const longitude = requireNumber(flags, 'lon');
+  const options = spaOptions(flags);
+  const format = parseFormat(flags, 'csv');
+
+  let fields: readonly SpaSeriesField[] = SPA_SERIES_FIELDS;
+  if (typeof flags.fields === 'string') {
+    const names = flags.fields.split(',').map((f) => f.trim());
+    const unknown = names.filter((f) => !SPA_SERIES_FIELDS.includes(f as SpaSeriesField));
+    if (unknown.length > 0) {
+      throw new CliError(
+        `--fields must be a comma-separated list of ${SPA_SERIES_FIELDS.join(', ')}, got "${unknown.join(',')}"`,
+        EXIT_DATA,
+      );
+    }
+    fields = names as SpaSeriesField[];
+  }
+
+  const series = await spaSeries(from, to, step, latitude, longitude, options);
+  const hours: readonly string[] = ['sunrise', 'sunset', 'suntransit'];
+  function* rows(): Generator<Record<string, unknown>> {
+    for (let i = 0; i < series.count; i++) {
+      const row: Record<string, unknown> = { time: new Date(from.getTime() + i * step * 1000) };
+      for (const field of fields) {
+        const value = series[field][i];
+        row[field] = flags.formatted && hours.includes(field) ? formatTime(value) : value;
+      }
+      yield row;
+    }
+  }
+  await printRows(rows(), format, ['time', ...fields]);
+}
+
+const COMMANDS: Record<string, (flags: Flags) => Promise<void>> = { position, events, table };
+
+const OPTIONS = {
+  lat: { type: 'string' },
+  latitude: { type: 'string' },
+  lon: { type: 'string' },
+  longitude: { type: 'string' },
+  date: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  step: { type: 'string' },
+  timezone: { type: 'string' },
+  input: { type: 'string' },
+  elevation: { type: 'string' },
+  pressure: { type: 'string' },
+  temperature: { type: 'string' },
+  'delta-ut1': { type: 'string' },
+  'delta-t': { type: 'string' },
+  slope: { type: 'string' },
+  'azm-rotation': { type: 'string' },
+  'atmos-refract': { type: 'string' },
+  function: { type: 'string' },
+  format: { type: 'string' },
+  formatted: { type: 'boolean' },
+  fields: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+} as const;
+
+const HELP_HINT = "Run 'solar-spa --help' for usage.\n";
+
+/**
+ * Turn `--lon -105.2` into `--lon=-105.2`. parseArgs reads any argument that
+ * starts with a dash as an option, and negative coordinates are common.
+ */
+function attachNegativeValues(argv: readonly string[]): string[] {
+  const args: string[] = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.startsWith('--') ? arg.slice(2) : '';
+    const next = argv[i + 1];
+    if (
+      name in OPTIONS &&
+      OPTIONS[name as keyof typeof OPTIONS].type === 'string' &&
+      next !== undefined &&
+      /^-(\d|\.\d)/.test(next)
+    ) {
+      args.push(`${arg}=${next}`);
+      i++;
+    } else {
+      args.push(arg);
+    }
+  }
+  return args;
+}
+
+function version(): string {
+  // dist/cli.cjs sits one level below package.json.
+  const pkg = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8'));
+  return String(pkg.version);
+}
+
+/**
+ * Run the CLI with the given arguments (without the node and script paths).
+ * @returns The process exit code
+ */
+async function main(argv: readonly string[]): Promise<number> {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: attachNegativeValues(argv),
+      allowPositionals: true,
+      strict: true,
+      options: OPTIONS,
+    });
+  } catch (err) {
+    const message = (err as Error).message.split('\n')[0];
+    process.stderr.write(`solar-spa: ${message}\n${HELP_HINT}`);
+    return EXIT_USAGE;
+  }
+
+  // A closed pipe, as in `solar-spa table ... | head`, is not an error.
+  process.stdout.on('error', (err: NodeJS.ErrnoException) => {
+    if (err.code !== 'EPIPE') throw err;
+    process.exit(EXIT_OK);
+  });
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (values.version) {
+    process.stdout.write(version() + '\n');
+    return EXIT_OK;
+  }
+
+  const command = positionals[0];
+  const run = command === undefined ? undefined : COMMANDS[command];
+  if (!run || positionals.length > 1) {
+    const problem =
+      command === undefined
+        ? 'missing command'
+        : !run
+          ? `unknown command "${command}"`
+          : `unexpected argument "${positionals[1]}"`;
+    process.stderr.write(`solar-spa: ${problem}\n${HELP_HINT}`);
+    return EXIT_USAGE;
+  }
+
+  const flags: Flags = { ...values };
+  flags.lat ??= values.latitude;
+  flags.lon ??= values.longitude;
+
+  try {
+    await run(flags);
+    return EXIT_OK;
+  } catch (err) {
+    const message = (err as Error).message.replace(/^SPA: /, '');
+    process.stderr.write(`solar-spa: ${message}\n`);
+    if (err instanceof CliError) return err.exitCode;
+    if (err instanceof TypeError || err instanceof RangeError) return EXIT_DATA;
+    return EXIT_FAILURE;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,117 @@
+import { assertSpaRange } from './errors.js';
+
+/**
+ * Estimate ΔT = TT - UT in seconds for a decimal year.
+ *
+ * Uses the Espenak–Meeus polynomials (NASA Five Millennium Canon of Solar
+ * Eclipses, 2006). Before -500 and after 2150 they reduce to the
+ * Morrison–Stephenson long-term parabola -20 + 32u², u = (year - 1820) / 100,
+ * with a linear bridge from 2050 to 2150. Expected error grows from under a
+ * second for the 20th century to hours at -2000; recent measured values
+ * run a few seconds below the 2005-2050 extrapolation.
+ *
+ * @param year - Decimal year, e.g. 2025.5 for the start of July 2025
+ * @returns ΔT in seconds, unclamped
+ */
+export function deltaT(year: number): number {
+  if (year < -500) {
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+  if (year < 500) {
+    const u = year / 100;
+    return (
+      10583.6 +
+      u *
+        (-1014.41 +
+          u *
+            (33.78311 + u * (-5.952053 + u * (-0.1798452 + u * (0.022174192 + u * 0.0090316521)))))
+    );
+  }
+  if (year < 1600) {
+    const u = (year - 1000) / 100;
+    return (
+      1574.2 +
+      u *
+        (-556.01 +
+          u *
+            (71.23472 + u * (0.319781 + u * (-0.8503463 + u * (-0.005050998 + u * 0.0083572073)))))
+    );
+  }
+  if (year < 1700) {
+    const t = year - 1600;
+    return 120 + t * (-0.9808 + t * (-0.01532 + t / 7129));
+  }
+  if (year < 1800) {
+    const t = year - 1700;
+    return 8.83 + t * (0.1603 + t * (-0.0059285 + t * (0.00013336 - t / 1174000)));
+  }
+  if (year < 1860) {
+    const t = year - 1800;
+    return (
+      13.72 +
+      t *
+        (-0.332447 +
+          t *
+            (0.0068612 +
+              t *
+                (0.0041116 +
+                  t *
+                    (-0.00037436 + t * (0.0000121272 + t * (-0.0000001699 + t * 0.000000000875))))))
+    );
+  }
+  if (year < 1900) {
+    const t = year - 1860;
+    return (
+      7.62 + t * (0.5737 + t * (-0.251754 + t * (0.01680668 + t * (-0.0004473624 + t / 233174))))
+    );
+  }
+  if (year < 1920) {
+    const t = year - 1900;
+    return -2.79 + t * (1.494119 + t * (-0.0598939 + t * (0.0061966 - t * 0.000197)));
+  }
+  if (year < 1941) {
+    const t = year - 1920;
+    return 21.2 + t * (0.84493 + t * (-0.0761 + t * 0.0020936));
+  }
+  if (year < 1961) {
+    const t = year - 1950;
+    return 29.07 + t * (0.407 + t * (-1 / 233 + t / 2547));
+  }
+  if (year < 1986) {
+    const t = year - 1975;
+    return 45.45 + t * (1.067 + t * (-1 / 260 - t / 718));
+  }
+  if (year < 2005) {
+    const t = year - 2000;
+    return (
+      63.86 +
+      t * (0.3345 + t * (-0.060374 + t * (0.0017275 + t * (0.000651814 + t * 0.00002373599))))
+    );
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + t * (0.32217 + t * 0.005589);
+  }
+  const u = (year - 1820) / 100;
+  if (year < 2150) {
+    return -20 + 32 * u * u - 0.5628 * (2150 - year);
+  }
+  return -20 + 32 * u * u;
+}
+
+/**
+ * ΔT for a calendar month, as used for `delta_t: 'auto'`. The estimate
+ * exceeds spa.c's ±8000 s limit before about AD 270 and after about 3400.
+ * @internal
+ * @throws {SpaError} If the estimate is outside that limit
+ */
+export function autoDeltaT(year: number, month: number): number {
+  const dt = deltaT(year + (month - 0.5) / 12);
+  assertSpaRange(
+    dt,
+    'delta_t',
+    `the deltaT() estimate for ${year}-${String(month).padStart(2, '0')}`,
+  );
+  return dt;
+}
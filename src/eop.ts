@@ -0,0 +1,233 @@
+import type { EarthOrientationEntry } from './types.js';
+
+/** Modified Julian Day of the Unix epoch. */
+const MJD_UNIX_EPOCH = 40587;
+
+/** TT - TAI in seconds. */
+const TT_MINUS_TAI = 32.184;
+
+/**
+ * TAI - UTC steps since 1972 as [year, month, seconds], from IERS Bulletin C.
+ * A new leap second needs a new row here; tables loaded before it was
+ * announced are otherwise unaffected.
+ */
+const LEAP_SECONDS: readonly (readonly [number, number, number])[] = [
+  [1972, 1, 10],
+  [1972, 7, 11],
+  [1973, 1, 12],
+  [1974, 1, 13],
+  [1975, 1, 14],
+  [1976, 1, 15],
+  [1977, 1, 16],
+  [1978, 1, 17],
+  [1979, 1, 18],
+  [1980, 1, 19],
+  [1981, 7, 20],
+  [1982, 7, 21],
+  [1983, 7, 22],
+  [1985, 7, 23],
+  [1988, 1, 24],
+  [1990, 1, 25],
+  [1991, 1, 26],
+  [1992, 7, 27],
+  [1993, 7, 28],
+  [1994, 7, 29],
+  [1996, 1, 30],
+  [1997, 7, 31],
+  [1999, 1, 32],
+  [2006, 1, 33],
+  [2009, 1, 34],
+  [2012, 7, 35],
+  [2015, 7, 36],
+  [2017, 1, 37],
+];
+
+const LEAP_SECOND_MJD = LEAP_SECONDS.map(
+  ([y, m]) => Date.UTC(y, m - 1, 1) / 86400000 + MJD_UNIX_EPOCH,
+);
+
+/** First MJD with a defined TAI - UTC (1972-01-01). */
+const FIRST_LEAP_MJD = LEAP_SECOND_MJD[0];
+
+/** TAI - UTC in seconds at `mjd`. Callers ensure mjd >= FIRST_LEAP_MJD. */
+function taiMinusUtc(mjd: number): number {
+  let i = LEAP_SECOND_MJD.length - 1;
+  while (i > 0 && mjd < LEAP_SECOND_MJD[i]) i--;
+  return LEAP_SECONDS[i][2];
+}
+
+/**
+ * The active table: day MJDs and TT - UT1 at each. ΔT is interpolated rather
+ * than UT1 - UTC, which jumps by a second at every leap second.
+ */
+let _mjd: Float64Array | null = null;
+let _deltaT: Float64Array | null = null;
+
+/** The entries behind the active table, and a count of tables loaded so far. */
+let _entries: readonly EarthOrientationEntry[] | null = null;
+let _version = 0;
+
+/**
+ * Parse IERS Earth orientation text into daily UT1 - UTC entries.
+ *
+ * Accepts the fixed-width `finals2000A` / `finals` format (daily, data, or all
+ * files) and the tables in the weekly Bulletin A (the combined EOP section and
+ * the predictions). Other lines, such as headers and notes, are ignored, as are
+ * days without a UT1 - UTC value. Entries come back sorted by MJD; when a day
+ * appears twice, an observed value wins over a prediction.
+ *
+ * @param text - File contents as a string
+ * @returns Parsed entries, sorted by MJD
+ * @throws {TypeError} If text is not a string
+ * @throws {RangeError} If no UT1 - UTC values are found
+ */
+export function parseEarthOrientation(text: string): EarthOrientationEntry[] {
+  if (typeof text !== 'string') {
+    throw new TypeError('SPA: Earth orientation data must be a string');
+  }
+
+  const byDay = new Map<number, EarthOrientationEntry>();
+  const add = (entry: EarthOrientationEntry): void => {
+    const prev = byDay.get(entry.mjd);
+    if (!prev || prev.predicted || !entry.predicted) {
+      byDay.set(entry.mjd, entry);
+    }
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const entry = parseFinalsLine(line) ?? parseBulletinALine(line);
+    if (entry) add(entry);
+  }
+
+  if (byDay.size === 0) {
+    throw new RangeError('SPA: no UT1-UTC values found in Earth orientation data');
+  }
+  return [...byDay.values()].sort((a, b) => a.mjd - b.mjd);
+}
+
+/** finals2000A columns (1-based): 8-15 MJD, 58 I/P flag, 59-68 UT1-UTC. */
+function parseFinalsLine(line: string): EarthOrientationEntry | null {
+  if (line.length < 68 || !/^[ \d]{6} [ \d]{5}\.\d\d/.test(line)) {
+    return null;
+  }
+  const flag = line[57];
+  const dut1 = line.slice(58, 68).trim();
+  if ((flag !== 'I' && flag !== 'P') || dut1 === '') {
+    return null;
+  }
+  return { mjd: Number(line.slice(7, 15)), delta_ut1: Number(dut1), predicted: flag === 'P' };
+}
+
+/**
+ * Bulletin A rows: "yy mm dd MJD x σx y σy UT1-UTC σUT1" in the combined
+ * section and "yyyy mm dd MJD x y UT1-UTC" in the predictions.
+ */
+function parseBulletinALine(line: string): EarthOrientationEntry | null {
+  const m = /^\s*\d{2,4}\s+\d{1,2}\s+\d{1,2}\s+(\d{5})\s+(.*)$/.exec(line);
+  if (!m) return null;
+  const values = m[2].trim().split(/\s+/).map(Number);
+  if (values.some((v) => !isFinite(v))) return null;
+  if (values.length >= 6) {
+    return { mjd: Number(m[1]), delta_ut1: values[4], predicted: false };
+  }
+  if (values.length === 3) {
+    return { mjd: Number(m[1]), delta_ut1: values[2], predicted: true };
+  }
+  return null;
+}
+
+/**
+ * Load Earth orientation data so that calculations look up `delta_ut1` and
+ * `delta_t` for each instant. Options passed explicitly still take precedence.
+ *
+ * Values are linearly interpolated between daily entries. Instants outside the
+ * table, or before 1972, fall back to `delta_ut1: 0` and the `deltaT()` model.
+ * Pass `null` to unload the table.
+ *
+ * @param table - finals2000A or Bulletin A text, parsed entries, or null
+ * @throws {TypeError} If table is not a string, an array, or null
+ * @throws {RangeError} If an entry has a non-finite MJD or |delta_ut1| >= 1
+ */
+export function setEarthOrientationTable(
+  table: string | readonly EarthOrientationEntry[] | null,
+): void {
+  if (table === null) {
+    _mjd = _deltaT = _entries = null;
+    _version++;
+    return;
+  }
+  let entries: readonly EarthOrientationEntry[];
+  if (typeof table === 'string') {
+    entries = parseEarthOrientation(table);
+  } else if (Array.isArray(table)) {
+    entries = [...table].sort((a, b) => a.mjd - b.mjd);
+  } else {
+    throw new TypeError('SPA: Earth orientation table must be a string, an array, or null');
+  }
+
+  entries.forEach(({ mjd, delta_ut1 }, i) => {
+    if (typeof mjd !== 'number' || !isFinite(mjd)) {
+      throw new RangeError(`SPA: Earth orientation entry ${i} has an invalid mjd: ${mjd}`);
+    }
+    if (typeof delta_ut1 !== 'number' || !(Math.abs(delta_ut1) < 1)) {
+      throw new RangeError(
+        `SPA: Earth orientation entry ${i} delta_ut1 must be between -1 and 1, got ${delta_ut1}`,
+      );
+    }
+  });
+
+  const usable = entries.filter((e) => e.mjd >= FIRST_LEAP_MJD);
+  _mjd = Float64Array.from(usable, (e) => e.mjd);
+  _deltaT = Float64Array.from(usable, (e) => TT_MINUS_TAI + taiMinusUtc(e.mjd) - e.delta_ut1);
+  _entries = usable.map(({ mjd, delta_ut1 }) => ({ mjd, delta_ut1 }));
+  _version++;
+}
+
+/**
+ * The loaded entries, or null, with a version that changes every time
+ * setEarthOrientationTable() is called. Pool workers are sent the entries
+ * when their version is behind.
+ * @internal
+ */
+export function currentEarthOrientationTable(): {
+  version: number;
+  entries: readonly EarthOrientationEntry[] | null;
+} {
+  return { version: _version, entries: _entries };
+}
+
+/**
+ * Whether a table is loaded.
+ * @internal
+ */
+export function hasEarthOrientationTable(): boolean {
+  return _mjd !== null && _mjd.length > 0;
+}
+
+/**
+ * `delta_ut1` and `delta_t` from the loaded table at a UTC instant, or null
+ * when no table is loaded or the instant is outside it.
+ * @internal
+ */
+export function lookupEarthOrientation(
+  utcMs: number,
+): { delta_ut1: number; delta_t: number } | null {
+  if (!_mjd || !_deltaT || _mjd.length === 0) return null;
+
+  const mjd = utcMs / 86400000 + MJD_UNIX_EPOCH;
+  const last = _mjd.length - 1;
+  if (mjd < _mjd[0] || mjd > _mjd[last]) return null;
+
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (_mjd[mid] <= mjd) lo = mid;
+    else hi = mid;
+  }
+  const span = _mjd[hi] - _mjd[lo];
+  const f = span > 0 ? (mjd - _mjd[lo]) / span : 0;
+  const deltaT = _deltaT[lo] + f * (_deltaT[hi] - _deltaT[lo]);
+
+  return { delta_ut1: TT_MINUS_TAI + taiMinusUtc(mjd) - deltaT, delta_t: deltaT };
+}
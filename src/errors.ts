@@ -0,0 +1,106 @@
+import type { SpaErrorField, SpaErrorRange } from './types.js';
+
+/**
+ * The spa.h input table: the field that each validate_inputs() error code
+ * refers to and its valid range.
+ */
+const SPA_INPUT_RANGES: Readonly<Record<number, { field: SpaErrorField; range: SpaErrorRange }>> = {
+  1: { field: 'year', range: { min: -2000, max: 6000, minInclusive: true, maxInclusive: true } },
+  2: { field: 'month', range: { min: 1, max: 12, minInclusive: true, maxInclusive: true } },
+  3: { field: 'day', range: { min: 1, max: 31, minInclusive: true, maxInclusive: true } },
+  4: { field: 'hour', range: { min: 0, max: 24, minInclusive: true, maxInclusive: true } },
+  5: { field: 'minute', range: { min: 0, max: 59, minInclusive: true, maxInclusive: true } },
+  6: { field: 'second', range: { min: 0, max: 60, minInclusive: true, maxInclusive: false } },
+  7: { field: 'delta_t', range: { min: -8000, max: 8000, minInclusive: true, maxInclusive: true } },
+  8: { field: 'timezone', range: { min: -18, max: 18, minInclusive: true, maxInclusive: true } },
+  9: { field: 'longitude', range: { min: -180, max: 180, minInclusive: true, maxInclusive: true } },
+  10: { field: 'latitude', range: { min: -90, max: 90, minInclusive: true, maxInclusive: true } },
+  11: {
+    field: 'elevation',
+    range: { min: -6500000, max: Infinity, minInclusive: true, maxInclusive: false },
+  },
+  12: { field: 'pressure', range: { min: 0, max: 5000, minInclusive: true, maxInclusive: true } },
+  13: {
+    field: 'temperature',
+    range: { min: -273, max: 6000, minInclusive: false, maxInclusive: true },
+  },
+  14: { field: 'slope', range: { min: -360, max: 360, minInclusive: true, maxInclusive: true } },
+  15: {
+    field: 'azm_rotation',
+    range: { min: -360, max: 360, minInclusive: true, maxInclusive: true },
+  },
+  16: {
+    field: 'atmos_refract',
+    range: { min: -5, max: 5, minInclusive: true, maxInclusive: true },
+  },
+  17: { field: 'delta_ut1', range: { min: -1, max: 1, minInclusive: false, maxInclusive: false } },
+};
+
+/** spa.c error code for each input field. */
+const CODES = Object.fromEntries(
+  Object.entries(SPA_INPUT_RANGES).map(([code, { field }]) => [field, Number(code)]),
+) as Record<SpaErrorField, number>;
+
+/** "between -90 and 90", "at least -6500000", "greater than -1 and less than 1". */
+function describeRange({ min, max, minInclusive, maxInclusive }: SpaErrorRange): string {
+  if (max === Infinity) return `${minInclusive ? 'at least' : 'greater than'} ${min}`;
+  if (minInclusive && maxInclusive) return `between ${min} and ${max}`;
+  return `${minInclusive ? 'at least' : 'greater than'} ${min} and ${maxInclusive ? 'at most' : 'less than'} ${max}`;
+}
+
+/**
+ * An input outside the range that the SPA accepts, as listed in spa.h.
+ *
+ * Thrown by TypeScript validation before any calculation, and for any error
+ * code the C validate_inputs() still returns. Extends RangeError, so existing
+ * `instanceof RangeError` checks keep working.
+ */
+export class SpaError extends RangeError {
+  /** spa.c validate_inputs() error code, 1 to 17. */
+  readonly code: number;
+  /** spa.h name of the offending input, e.g. `'timezone'` or `'delta_ut1'`. */
+  readonly field: SpaErrorField;
+  /** The rejected value. */
+  readonly value: number;
+  /** The valid range from spa.h. */
+  readonly range: SpaErrorRange;
+
+  /**
+   * @param field - The spa.h input name
+   * @param value - The rejected value
+   * @param name - How to name the value in the message, e.g. `'options.timezone'`. Defaults to `field`
+   */
+  constructor(field: SpaErrorField, value: number, name: string = field) {
+    const code = CODES[field];
+    const { range } = SPA_INPUT_RANGES[code];
+    super(`SPA: ${name} must be ${describeRange(range)}, got ${value}`);
+    this.name = 'SpaError';
+    this.code = code;
+    this.field = field;
+    this.value = value;
+    this.range = range;
+  }
+}
+
+/**
+ * The spa.h field for a validate_inputs() error code, or undefined for an
+ * unknown code.
+ * @internal
+ */
+export function spaErrorField(code: number): SpaErrorField | undefined {
+  return SPA_INPUT_RANGES[code]?.field;
+}
+
+/**
+ * Throw a SpaError unless `value` is within the spa.h range of `field`.
+ * `value` must already be a finite number.
+ * @internal
+ */
+export function assertSpaRange(value: number, field: SpaErrorField, name: string = field): void {
+  const { min, max, minInclusive, maxInclusive } = SPA_INPUT_RANGES[CODES[field]].range;
+  const aboveMin = minInclusive ? value >= min : value > min;
+  const belowMax = maxInclusive ? value <= max : value < max;
+  if (!aboveMin || !belowMax) {
+    throw new SpaError(field, value, name);
+  }
+}
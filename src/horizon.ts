@@ -0,0 +1,90 @@
+import type { SpaHorizonPoint, SpaResult } from './types.js';
+import { assertFiniteNumber } from './validate.js';
+
+/**
+ * A validated horizon profile: azimuths wrapped into [0, 360) and sorted, with
+ * the elevation at each.
+ * @internal
+ */
+export interface HorizonProfile {
+  azimuth: Float64Array;
+  elevation: Float64Array;
+}
+
+/**
+ * Validate and sort a horizon profile.
+ * @internal
+ */
+export function compileHorizon(horizon: readonly SpaHorizonPoint[]): HorizonProfile {
+  if (!Array.isArray(horizon) || horizon.length === 0) {
+    throw new TypeError('SPA: horizon must be a non-empty array of { azimuth, elevation } points');
+  }
+  const points = horizon.map((point: SpaHorizonPoint, i) => {
+    if (typeof point !== 'object' || point === null) {
+      throw new TypeError(`SPA: horizon[${i}] must be an object with azimuth and elevation`);
+    }
+    assertFiniteNumber(point.azimuth, `horizon[${i}].azimuth`);
+    assertFiniteNumber(point.elevation, `horizon[${i}].elevation`);
+    if (point.elevation < -90 || point.elevation > 90) {
+      throw new RangeError(
+        `SPA: horizon[${i}].elevation must be between -90 and 90, got ${point.elevation}`,
+      );
+    }
+    return [((point.azimuth % 360) + 360) % 360, point.elevation];
+  });
+  points.sort((a, b) => a[0] - b[0]);
+  return {
+    azimuth: Float64Array.from(points, (p) => p[0]),
+    elevation: Float64Array.from(points, (p) => p[1]),
+  };
+}
+
+/**
+ * Horizon elevation in degrees toward `azimuth`, interpolated linearly between
+ * neighbouring points and across north.
+ * @internal
+ */
+export function horizonElevation(profile: HorizonProfile, azimuth: number): number {
+  const { azimuth: az, elevation: el } = profile;
+  const n = az.length;
+  const a = ((azimuth % 360) + 360) % 360;
+
+  let hi = 0;
+  while (hi < n && az[hi] <= a) hi++;
+  const lo = hi - 1;
+  // Before the first point or after the last, interpolate across north.
+  const a0 = lo >= 0 ? az[lo] : az[n - 1] - 360;
+  const e0 = lo >= 0 ? el[lo] : el[n - 1];
+  const a1 = hi < n ? az[hi] : az[0] + 360;
+  const e1 = hi < n ? el[hi] : el[0];
+
+  const span = a1 - a0;
+  return span > 0 ? e0 + ((a - a0) / span) * (e1 - e0) : e0;
+}
+
+/**
+ * Whether the sun's center is below a horizon profile.
+ *
+ * The profile is a list of `{ azimuth, elevation }` points in degrees, azimuth
+ * eastward from north, in any order. Between points the horizon elevation is
+ * interpolated linearly in azimuth, wrapping through north; a single point
+ * gives a flat horizon. The sun's elevation is `90 - zenith`, so refraction is
+ * included as in spa().
+ *
+ * @param sun - Topocentric `zenith` and `azimuth` in degrees, e.g. a spa() result
+ * @param horizon - Horizon profile points
+ * @returns True when the sun is hidden by the horizon
+ * @throws {TypeError} If sun or a horizon point has the wrong type, or horizon is empty
+ * @throws {RangeError} If a field is Infinity/NaN or an elevation is outside -90 to 90
+ */
+export function isShaded(
+  sun: Pick<SpaResult, 'zenith' | 'azimuth'>,
+  horizon: readonly SpaHorizonPoint[],
+): boolean {
+  if (typeof sun !== 'object' || sun === null) {
+    throw new TypeError('SPA: sun must be an object with zenith and azimuth');
+  }
+  assertFiniteNumber(sun.zenith, 'sun.zenith');
+  assertFiniteNumber(sun.azimuth, 'sun.azimuth');
+  return 90 - sun.zenith < horizonElevation(compileHorizon(horizon), sun.azimuth);
+}
@@ -1,10 +1,131 @@
-import type { SpaWasmModule, SpaResult, SpaFormattedResult, SpaOptions } from './types.js';
+import type {
+  SpaWasmModule,
+  SpaResult,
+  SpaFormattedResult,
+  SpaDayType,
+  SpaOptions,
+  SpaSeries,
+  SpaSeriesOptions,
+  SpaGrid,
+  SpaGridOptions,
+  SpaDetailedResult,
+  SpaEvents,
+  SpaEventTarget,
+  SpaSolarEvent,
+  SpaTwilight,
+  SpaTwilightOptions,
+  SpaTwilightPair,
+  SpaPrayerMethod,
+  SpaPrayerTimes,
+  SpaPrayerTimesOptions,
+  SpaSeasons,
+  SpaSeasonOptions,
+  SpaIrradiance,
+  SpaClearSkyOptions,
+  SpaHorizonPoint,
+  SpaSunlight,
+  SpaSunlightPeriod,
+  SpaSunPath,
+  SpaSunPathAnalemma,
+  SpaSunPathDay,
+  SpaSunPathOptions,
+  SpaSunPathPoint,
+  SpaMoonOptions,
+  SpaMoonResult,
+  SpaErrorField,
+  SpaStreamOptions,
+  SpaStreamPoint,
+  SpaStreamResult,
+} from './types.js';
 
-export type { SpaOptions, SpaResult, SpaFormattedResult } from './types.js';
-export { SPA_ZA, SPA_ZA_INC, SPA_ZA_RTS, SPA_ALL } from './types.js';
+export type {
+  SpaOptions,
+  SpaResult,
+  SpaFormattedResult,
+  SpaDayType,
+  SpaDetailedResult,
+  SpaEvents,
+} from './types.js';
+export type { SpaEventTarget, SpaSolarEvent } from './types.js';
+export type { SpaTwilight, SpaTwilightOptions, SpaTwilightPair } from './types.js';
+export type {
+  SpaPrayerMethod,
+  SpaPrayerMethodName,
+  SpaPrayerTimes,
+  SpaPrayerTimesOptions,
+  SpaHighLatitudeRule,
+} from './types.js';
+export type { SpaSeasons, SpaSeasonOptions } from './types.js';
+export type { SpaTrackerOptions, SpaTrackerResult } from './types.js';
+export type {
+  SpaIrradiance,
+  SpaPoaIrradiance,
+  SpaPoaOptions,
+  SpaTranspositionModel,
+} from './types.js';
+export type { SpaClearSkyModel, SpaClearSkyOptions } from './types.js';
+export type { SpaHorizonPoint, SpaSunlight, SpaSunlightPeriod } from './types.js';
+export type { SpaMoonOptions, SpaMoonResult } from './types.js';
+export type {
+  SpaSunPath,
+  SpaSunPathAnalemma,
+  SpaSunPathDay,
+  SpaSunPathOptions,
+  SpaSunPathPoint,
+  SpaSunPathProjection,
+  SpaSunPathSvgOptions,
+} from './types.js';
+export type { EarthOrientationEntry } from './types.js';
+export type { SpaSeries, SpaSeriesField, SpaSeriesOptions } from './types.js';
+export type { SpaGrid, SpaGridField, SpaGridOptions } from './types.js';
+export {
+  SPA_ZA,
+  SPA_ZA_INC,
+  SPA_ZA_RTS,
+  SPA_ALL,
+  SPA_SERIES_FIELDS,
+  SPA_GRID_FIELDS,
+  SPA_PRAYER_METHODS,
+} from './types.js';
 export type { SpaFunctionCode } from './types.js';
+export type { SpaErrorField, SpaErrorRange } from './types.js';
+export type { SpaPool, SpaPoolOptions } from './types.js';
+export type { SpaStreamOptions, SpaStreamPoint, SpaStreamResult } from './types.js';
+export { deltaT } from './deltat.js';
+export { parseEarthOrientation, setEarthOrientationTable } from './eop.js';
+export { tracker } from './tracker.js';
+export { poaIrradiance } from './irradiance.js';
+export { isShaded } from './horizon.js';
+export { sunPathSvg } from './svg.js';
+export { SpaError } from './errors.js';
+export { createSpaPool } from './pool.js';
 
-import { SPA_ALL } from './types.js';
+import {
+  SPA_ALL,
+  SPA_ZA,
+  SPA_ZA_INC,
+  SPA_ZA_RTS,
+  SPA_SERIES_FIELDS,
+  SPA_GRID_FIELDS,
+  SPA_PRAYER_METHODS,
+} from './types.js';
+import { isValidTimeZone, localTime, utcMillis, zonedTime } from './timezone.js';
+import { autoDeltaT } from './deltat.js';
+import { assertFiniteNumber } from './validate.js';
+import { DEG } from './math.js';
+import { SpaError, assertSpaRange, spaErrorField } from './errors.js';
+import {
+  SOLAR_CONSTANT,
+  airMassFields,
+  haurwitz,
+  ineichen,
+  pressureFromElevation,
+  simplifiedSolis,
+} from './irradiance.js';
+import { compileHorizon, horizonElevation } from './horizon.js';
+import { hasEarthOrientationTable, lookupEarthOrientation } from './eop.js';
+import type { LocalTime } from './timezone.js';
+import type { Transform } from 'node:stream';
 
 // The WASM module is Emscripten CJS output. In ESM builds, tsup injects a
 // createRequire-based __require shim via the banner option (see tsup.config.ts).
@@ -18,8 +139,22 @@ let _module: SpaWasmModule | null = null;
 let _pending: Promise<void> | null = null;
 let _calculate: ((...args: number[]) => number) | null = null;
 let _free: ((ptr: number) => void) | null = null;
+let _detailed: ((...args: number[]) => number) | null = null;
+let _riseSet: ((...args: number[]) => number) | null = null;
+let _series: ((...args: number[]) => number) | null = null;
+let _grid: ((...args: number[]) => number) | null = null;
+let _sunLongitude: ((jd: number, deltaT: number) => number) | null = null;
+let _moon: ((...args: number[]) => number) | null = null;
+let _points: ((...args: number[]) => number) | null = null;
+let _malloc: ((size: number) => number) | null = null;
+let _heapFree: ((ptr: number) => void) | null = null;
 
-// Result struct layout (10 fields, 9 doubles + 1 int32):
+// The module's memory is fixed at 1MB and also holds the stack and static
+// data. Each batched call (spaSeries(), spaGrid(), spaStream()) sizes its heap
+// buffers to this many bytes, so one batch never comes close to exhausting it.
+const HEAP_BUDGET = 256 * 1024;
+
+// Result struct layout (12 fields, 10 doubles + 2 int32):
 // offset 0:  zenith         (f64)
 // offset 8:  azimuth_astro  (f64)
 // offset 16: azimuth        (f64)
@@ -29,7 +164,9 @@ let _free: ((ptr: number) => void) | null = null;
 // offset 48: suntransit     (f64)
 // offset 56: sun_transit_alt (f64)
 // offset 64: eot            (f64)
-// offset 72: error_code     (i32)
+// offset 72: r              (f64)
+// offset 80: error_code     (i32)
+// offset 84: day_type       (i32)
 const OFFSET = {
   zenith: 0,
   azimuth_astro: 8,
@@ -40,9 +177,85 @@ const OFFSET = {
   suntransit: 48,
   sun_transit_alt: 56,
   eot: 64,
-  error_code: 72,
+  r: 72,
+  error_code: 80,
+  day_type: 84,
 } as const;
 
+/** SpaDayType for each day_type value written by the C wrapper. */
+const DAY_TYPES: readonly SpaDayType[] = ['normal', 'polar_day', 'polar_night'];
+
+// Output order of spa_calculate_detailed_wrapper(): the numeric SpaResult
+// fields, then the spa_data intermediates in spa.h declaration order. The
+// day_type code follows as one more double.
+const DETAILED_FIELDS = [
+  'zenith',
+  'azimuth_astro',
+  'azimuth',
+  'incidence',
+  'sunrise',
+  'sunset',
+  'suntransit',
+  'sun_transit_alt',
+  'eot',
+  'jd',
+  'jc',
+  'jde',
+  'jce',
+  'jme',
+  'l',
+  'b',
+  'r',
+  'theta',
+  'beta',
+  'x0',
+  'x1',
+  'x2',
+  'x3',
+  'x4',
+  'del_psi',
+  'del_epsilon',
+  'epsilon0',
+  'epsilon',
+  'del_tau',
+  'lamda',
+  'nu0',
+  'nu',
+  'alpha',
+  'delta',
+  'h',
+  'xi',
+  'del_alpha',
+  'delta_prime',
+  'alpha_prime',
+  'h_prime',
+  'e0',
+  'del_e',
+  'e',
+  'srha',
+  'ssha',
+] as const satisfies readonly (keyof SpaDetailedResult)[];
+
+// Output order of spa_moon_wrapper(). `e0` is the topocentric elevation
+// without refraction, used for moonrise and moonset.
+const MOON_FIELDS = [
+  'zenith',
+  'azimuth_astro',
+  'azimuth',
+  'e0',
+  'right_ascension',
+  'declination',
+  'distance',
+  'parallax',
+  'semidiameter',
+  'illuminated_fraction',
+  'phase_angle',
+  'elongation',
+  'phase',
+] as const;
+
+type MoonPosition = Record<(typeof MOON_FIELDS)[number], number>;
+
 /**
  * Initialize the WASM module. Returns a cached promise on repeat calls.
  * Safe to call multiple times. If initialization fails, subsequent calls
@@ -76,6 +289,34 @@ export function init(): Promise<void> {
         'number',
       ]) as (...args: number[]) => number;
       _free = mod.cwrap('spa_free_result', null, ['number']) as (ptr: number) => void;
+      _detailed = mod.cwrap(
+        'spa_calculate_detailed_wrapper',
+        'number',
+        new Array<string>(19).fill('number'),
+      ) as (...args: number[]) => number;
+      _riseSet = mod.cwrap(
+        'spa_rise_set_wrapper',
+        'number',
+        new Array<string>(10).fill('number'),
+      ) as (...args: number[]) => number;
+      _series = mod.cwrap('spa_series_wrapper', 'number', new Array<string>(22).fill('number')) as (
+        ...args: number[]
+      ) => number;
+      _grid = mod.cwrap('spa_grid_wrapper', 'number', new Array<string>(20).fill('number')) as (
+        ...args: number[]
+      ) => number;
+      _sunLongitude = mod.cwrap('spa_sun_longitude_wrapper', 'number', ['number', 'number']) as (
+        jd: number,
+        deltaT: number,
+      ) => number;
+      _moon = mod.cwrap('spa_moon_wrapper', 'number', new Array<string>(16).fill('number')) as (
+        ...args: number[]
+      ) => number;
+      _points = mod.cwrap('spa_points_wrapper', 'number', new Array<string>(11).fill('number')) as (
+        ...args: number[]
+      ) => number;
+      _malloc = mod.cwrap('malloc', 'number', ['number']) as (size: number) => number;
+      _heapFree = mod.cwrap('free', null, ['number']) as (ptr: number) => void;
       _pending = null;
     })
     .catch((err: unknown) => {
@@ -106,11 +347,16 @@ export function formatTime(hours: number): string {
   );
 }
 
-/** Read the result struct from WASM memory and free it. */
-function readResult(ptr: number): SpaResult {
+/**
+ * Read the result struct from WASM memory and free it. `pressure` scales the
+ * absolute air mass.
+ */
+function readResult(ptr: number, pressure: number): SpaResult {
   const m = _module!;
+  const zenith = m.getValue(ptr + OFFSET.zenith, 'double');
+  const r = m.getValue(ptr + OFFSET.r, 'double');
   const result: SpaResult = {
-    zenith: m.getValue(ptr + OFFSET.zenith, 'double'),
+    zenith,
     azimuth_astro: m.getValue(ptr + OFFSET.azimuth_astro, 'double'),
     azimuth: m.getValue(ptr + OFFSET.azimuth, 'double'),
     incidence: m.getValue(ptr + OFFSET.incidence, 'double'),
@@ -119,103 +365,217 @@ function readResult(ptr: number): SpaResult {
     suntransit: m.getValue(ptr + OFFSET.suntransit, 'double'),
     sun_transit_alt: m.getValue(ptr + OFFSET.sun_transit_alt, 'double'),
     eot: m.getValue(ptr + OFFSET.eot, 'double'),
+    r,
+    ...airMassFields(zenith, r, pressure),
     error_code: m.getValue(ptr + OFFSET.error_code, 'i32'),
+    dayType: DAY_TYPES[m.getValue(ptr + OFFSET.day_type, 'i32')],
   };
   _free!(ptr);
   return result;
 }
 
-/**
- * Validate that a value is a finite number, throwing a clear error if not.
- * @internal
- */
-function assertFiniteNumber(value: unknown, name: string): asserts value is number {
-  if (typeof value !== 'number') {
-    throw new TypeError(`SPA: ${name} must be a finite number, got ${typeof value}`);
-  }
-  if (!isFinite(value)) {
-    throw new RangeError(`SPA: ${name} must be a finite number, got ${value}`);
-  }
-}
-
-/** Field names in SpaOptions that must be finite numbers when provided. */
+/** Field names in SpaOptions that must be finite numbers within their spa.h range when provided. */
 const NUMERIC_OPTION_FIELDS = [
   'elevation',
   'pressure',
   'temperature',
-  'delta_t',
-  'slope',
-  'azm_rotation',
   'atmos_refract',
+  'delta_ut1',
 ] as const;
 
 /**
- * Validate numeric option fields. Each, if provided, must be a finite number.
+ * Validate option fields against the spa.h input table. Numeric fields, if
+ * provided, must be finite and in range. `timezone` must be in range or a
+ * known IANA zone name, and `delta_t` in range or `'auto'`. `slope` and
+ * `azm_rotation` are range-checked only when `function` computes incidence,
+ * as in spa.c.
  * @internal
  */
 function validateOptions(opts: SpaOptions): void {
   for (const field of NUMERIC_OPTION_FIELDS) {
     if (opts[field] !== undefined) {
       assertFiniteNumber(opts[field], `options.${field}`);
+      assertSpaRange(opts[field], field, `options.${field}`);
+    }
+  }
+  const fn = opts.function ?? SPA_ALL;
+  const incidence = fn === SPA_ZA_INC || fn === SPA_ALL;
+  for (const field of ['slope', 'azm_rotation'] as const) {
+    if (opts[field] !== undefined) {
+      assertFiniteNumber(opts[field], `options.${field}`);
+      if (incidence) assertSpaRange(opts[field], field, `options.${field}`);
+    }
+  }
+  if (typeof opts.delta_t === 'string') {
+    if (opts.delta_t !== 'auto') {
+      throw new RangeError(
+        `SPA: options.delta_t must be a finite number or 'auto', got "${opts.delta_t}"`,
+      );
+    }
+  } else if (opts.delta_t !== undefined) {
+    assertFiniteNumber(opts.delta_t, 'options.delta_t');
+    assertSpaRange(opts.delta_t, 'delta_t', 'options.delta_t');
+  }
+  if (typeof opts.timezone === 'string') {
+    if (!isValidTimeZone(opts.timezone)) {
+      throw new RangeError(
+        `SPA: options.timezone must be a valid IANA time zone, got "${opts.timezone}"`,
+      );
     }
+  } else if (opts.timezone !== undefined) {
+    assertFiniteNumber(opts.timezone, 'options.timezone');
+    assertSpaRange(opts.timezone, 'timezone', 'options.timezone');
+  }
+  if (opts.input !== undefined && opts.input !== 'local' && opts.input !== 'utc') {
+    throw new RangeError(`SPA: options.input must be 'local' or 'utc', got ${String(opts.input)}`);
   }
 }
 
 /**
- * Compute solar position for the given parameters.
- *
- * @param date - Date and time for the calculation
- * @param latitude - Observer latitude in degrees (-90 to 90)
- * @param longitude - Observer longitude in degrees (-180 to 180)
- * @param options - Optional parameters
- * @returns Solar position result with all computed values
- * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
- * @throws {RangeError} If latitude/longitude are out of bounds, or if option fields are Infinity/NaN
+ * Validate the date, coordinates, and numeric options shared by every entry point.
+ * @internal
  */
-export async function spa(
-  date: Date,
-  latitude: number,
-  longitude: number,
-  options?: SpaOptions,
-): Promise<SpaResult> {
-  // Input validation
+function validateInputs(
+  date: unknown,
+  latitude: unknown,
+  longitude: unknown,
+  options: SpaOptions | undefined,
+  dateName = 'date',
+): asserts date is Date {
   if (!(date instanceof Date) || isNaN(date.getTime())) {
-    throw new TypeError('SPA: date must be a valid Date object');
+    throw new TypeError(`SPA: ${dateName} must be a valid Date object`);
+  }
+  validateLocation(latitude, longitude);
+
+  if (options) {
+    validateOptions(options);
   }
+  validateYear(date, options, dateName);
+}
+
+/**
+ * Validate that the local calendar year of `date` is within the SPA's range.
+ * Options must already be validated. Only UTC years at or beyond a limit can
+ * have a local year outside it, so other dates skip the time zone conversion.
+ * @internal
+ */
+function validateYear(date: Date, options: SpaOptions | undefined, dateName: string): void {
+  const year = date.getUTCFullYear();
+  if (year > -2000 && year < 6000) return;
+  const time = localTime(date, options?.timezone, options?.input);
+  assertSpaRange(time.year, 'year', `${dateName} year`);
+}
+
+/**
+ * Validate observer latitude and longitude.
+ * @internal
+ */
+function validateLocation(latitude: unknown, longitude: unknown): void {
   assertFiniteNumber(latitude, 'latitude');
   assertFiniteNumber(longitude, 'longitude');
+  assertSpaRange(latitude, 'latitude');
+  assertSpaRange(longitude, 'longitude');
+}
 
-  if (latitude < -90 || latitude > 90) {
-    throw new RangeError(`SPA: latitude must be between -90 and 90, got ${latitude}`);
-  }
-  if (longitude < -180 || longitude > 180) {
-    throw new RangeError(`SPA: longitude must be between -180 and 180, got ${longitude}`);
-  }
+const MS_PER_HOUR = 3600 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
 
-  if (options) {
-    validateOptions(options);
+/** Epoch milliseconds of 00:00 UTC on the given calendar day. Handles years 0-99. */
+function utcDayStart(year: number, month: number, day: number): number {
+  const d = new Date(0);
+  d.setUTCFullYear(year, month, day);
+  return d.getTime();
+}
+
+/**
+ * The delta_ut1 and delta_t to pass to the C code. Explicit numeric options
+ * win; otherwise values come from the Earth orientation table when it covers
+ * `time`, and finally from `delta_ut1: 0` and the deltaT() model.
+ * @internal
+ */
+function resolveTimeScales(
+  opts: SpaOptions,
+  time: LocalTime,
+): { delta_ut1: number; delta_t: number } {
+  const eop = lookupEarthOrientation(utcMillis(time));
+  return {
+    delta_ut1: opts.delta_ut1 ?? eop?.delta_ut1 ?? 0,
+    delta_t:
+      typeof opts.delta_t === 'number'
+        ? opts.delta_t
+        : (eop?.delta_t ?? autoDeltaT(time.year, time.month)),
+  };
+}
+
+/**
+ * The error for a non-zero spa.c validate_inputs() code: a SpaError naming
+ * the rejected input when `inputs` has its value. TypeScript validation
+ * should catch these first, so this is a fallback.
+ * @internal
+ */
+function calculationError(code: number, inputs: Partial<Record<SpaErrorField, number>>): Error {
+  const field = spaErrorField(code);
+  const value = field && inputs[field];
+  if (field === undefined || value === undefined) {
+    return new Error('SPA: calculation failed (error code ' + code + ')');
   }
+  return new SpaError(field, value);
+}
 
-  await init();
+/**
+ * Every spa.h input for one calculation, for calculationError().
+ * @internal
+ */
+function spaInputs(
+  time: LocalTime,
+  latitude: number | undefined,
+  longitude: number | undefined,
+  opts: SpaOptions,
+  scales: { delta_ut1: number; delta_t: number },
+): Partial<Record<SpaErrorField, number>> {
+  return {
+    ...time,
+    latitude,
+    longitude,
+    elevation: opts.elevation ?? 0,
+    pressure: opts.pressure ?? 1013.25,
+    temperature: opts.temperature ?? 15,
+    delta_ut1: scales.delta_ut1,
+    delta_t: scales.delta_t,
+    slope: opts.slope ?? 0,
+    azm_rotation: opts.azm_rotation ?? 0,
+    atmos_refract: opts.atmos_refract ?? 0.5667,
+  };
+}
 
+/**
+ * Run the calculation against the loaded module. Inputs must already be validated.
+ * @internal
+ */
+function calculate(
+  time: LocalTime,
+  latitude: number,
+  longitude: number,
+  options: SpaOptions | undefined,
+): SpaResult {
   const opts = options ?? {};
-  const tz = opts.timezone ?? -(date.getTimezoneOffset() / 60);
+  const scales = resolveTimeScales(opts, time);
 
   const ptr = _calculate!(
-    date.getFullYear(),
-    date.getMonth() + 1,
-    date.getDate(),
-    date.getHours(),
-    date.getMinutes(),
-    date.getSeconds(),
-    tz,
+    time.year,
+    time.month,
+    time.day,
+    time.hour,
+    time.minute,
+    time.second,
+    time.timezone,
     latitude,
     longitude,
     opts.elevation ?? 0,
     opts.pressure ?? 1013.25,
     opts.temperature ?? 15,
-    opts.delta_ut1 ?? 0,
-    opts.delta_t ?? 67,
+    scales.delta_ut1,
+    scales.delta_t,
     opts.slope ?? 0,
     opts.azm_rotation ?? 0,
     opts.atmos_refract ?? 0.5667,
@@ -226,31 +586,76 @@ export async function spa(
     throw new Error('SPA: memory allocation failed');
   }
 
-  const result = readResult(ptr);
+  const result = readResult(ptr, opts.pressure ?? 1013.25);
 
   if (result.error_code !== 0) {
-    throw new Error('SPA: calculation failed (error code ' + result.error_code + ')');
+    throw calculationError(result.error_code, spaInputs(time, latitude, longitude, opts, scales));
   }
 
   return result;
 }
 
 /**
- * Compute solar position and return formatted time strings.
- *
- * Same parameters as spa(). Returns sunrise, sunset, and suntransit
- * as HH:MM:SS strings instead of fractional hours.
- *
- * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
- * @throws {RangeError} If latitude/longitude are out of bounds, or if option fields are Infinity/NaN
+ * Run the detailed calculation against the loaded module. Inputs must already be validated.
+ * @internal
  */
-export async function spaFormatted(
-  date: Date,
+function calculateDetailed(
+  time: LocalTime,
   latitude: number,
   longitude: number,
-  options?: SpaOptions,
-): Promise<SpaFormattedResult> {
-  const result = await spa(date, latitude, longitude, options);
+  options: SpaOptions | undefined,
+): SpaDetailedResult {
+  const opts = options ?? {};
+  const scales = resolveTimeScales(opts, time);
+  const m = _module!;
+
+  const buf = _malloc!((DETAILED_FIELDS.length + 1) * 8);
+  if (!buf) {
+    throw new Error('SPA: memory allocation failed');
+  }
+
+  const result = { error_code: 0 } as SpaDetailedResult;
+  try {
+    const rc = _detailed!(
+      time.year,
+      time.month,
+      time.day,
+      time.hour,
+      time.minute,
+      time.second,
+      time.timezone,
+      latitude,
+      longitude,
+      opts.elevation ?? 0,
+      opts.pressure ?? 1013.25,
+      opts.temperature ?? 15,
+      scales.delta_ut1,
+      scales.delta_t,
+      opts.slope ?? 0,
+      opts.azm_rotation ?? 0,
+      opts.atmos_refract ?? 0.5667,
+      opts.function ?? SPA_ALL,
+      buf,
+    );
+    if (rc !== 0) {
+      throw calculationError(rc, spaInputs(time, latitude, longitude, opts, scales));
+    }
+
+    const base = buf / 8;
+    DETAILED_FIELDS.forEach((field, i) => {
+      result[field] = m.HEAPF64[base + i];
+    });
+    result.dayType = DAY_TYPES[m.HEAPF64[base + DETAILED_FIELDS.length]];
+    Object.assign(result, airMassFields(result.zenith, result.r, opts.pressure ?? 1013.25));
+  } finally {
+    _heapFree!(buf);
+  }
+
+  return result;
+}
+
+/** Convert rise/transit/set fractional hours to HH:MM:SS strings. */
+function formatResult(result: SpaResult): SpaFormattedResult {
   return {
     zenith: result.zenith,
     azimuth_astro: result.azimuth_astro,
@@ -261,8 +666,1776 @@ export async function spaFormatted(
     suntransit: formatTime(result.suntransit),
     sun_transit_alt: result.sun_transit_alt,
     eot: result.eot,
+    r: result.r,
+    airmass_relative: result.airmass_relative,
+    airmass_absolute: result.airmass_absolute,
+    dni_extra: result.dni_extra,
     error_code: result.error_code,
+    dayType: result.dayType,
+  };
+}
+
+/**
+ * Throw if the WASM module has not finished initializing.
+ * @internal
+ */
+function assertInitialized(caller: string): void {
+  if (!_module) {
+    throw new Error(`SPA: module not initialized, await init() before calling ${caller}()`);
+  }
+}
+
+/**
+ * Compute solar position for the given parameters.
+ *
+ * @param date - Date and time for the calculation
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters
+ * @returns Solar position result with all computed values
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export async function spa(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): Promise<SpaResult> {
+  validateInputs(date, latitude, longitude, options);
+
+  await init();
+
+  return calculate(
+    localTime(date, options?.timezone, options?.input),
+    latitude,
+    longitude,
+    options,
+  );
+}
+
+/**
+ * Synchronous spa(). Requires the module to be loaded: await init() once first.
+ *
+ * Same parameters, validation, and result as spa().
+ *
+ * @throws {Error} If init() has not resolved yet
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export function spaSync(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): SpaResult {
+  validateInputs(date, latitude, longitude, options);
+  assertInitialized('spaSync');
+
+  return calculate(
+    localTime(date, options?.timezone, options?.input),
+    latitude,
+    longitude,
+    options,
+  );
+}
+
+/**
+ * Compute solar position along with every intermediate SPA value: Julian days,
+ * heliocentric and geocentric coordinates, nutation, obliquity, right ascension,
+ * declination, hour angles, and the refraction correction.
+ *
+ * Same parameters and validation as spa().
+ *
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export async function spaDetailed(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): Promise<SpaDetailedResult> {
+  validateInputs(date, latitude, longitude, options);
+
+  await init();
+
+  return calculateDetailed(
+    localTime(date, options?.timezone, options?.input),
+    latitude,
+    longitude,
+    options,
+  );
+}
+
+/**
+ * Compute solar position and return formatted time strings.
+ *
+ * Same parameters as spa(). Returns sunrise, sunset, and suntransit
+ * as HH:MM:SS strings instead of fractional hours.
+ *
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export async function spaFormatted(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): Promise<SpaFormattedResult> {
+  return formatResult(await spa(date, latitude, longitude, options));
+}
+
+/**
+ * Synchronous spaFormatted(). Requires the module to be loaded: await init() once first.
+ *
+ * @throws {Error} If init() has not resolved yet
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export function spaFormattedSync(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): SpaFormattedResult {
+  validateInputs(date, latitude, longitude, options);
+  assertInitialized('spaFormattedSync');
+
+  return formatResult(
+    calculate(localTime(date, options?.timezone, options?.input), latitude, longitude, options),
+  );
+}
+
+const EVENT_FIELDS = ['sunrise', 'suntransit', 'sunset'] as const;
+
+/**
+ * Compute sunrise, solar noon, and sunset as absolute `Date` instants for the
+ * local calendar day of `date` in the calculation timezone.
+ *
+ * The SPA reports rise/transit/set for the UT day matching the input calendar
+ * fields, wrapped into 0-24 local hours. When the timezone is far from the
+ * longitude's natural offset, some of those events belong to the local day
+ * before or after. spaEvents() evaluates the neighbouring UT days too and
+ * returns, for each event, the occurrence that falls on the requested local day.
+ *
+ * @param date - Any instant on the local day of interest
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters. `function` is ignored
+ * @returns Event instants, `null` for events that do not occur that day
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export async function spaEvents(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaOptions,
+): Promise<SpaEvents> {
+  validateInputs(date, latitude, longitude, options);
+
+  await init();
+
+  const time = localTime(date, options?.timezone, options?.input);
+  const tz = time.timezone;
+  const day = localDay(time, options?.timezone);
+
+  const events: SpaEvents = { sunrise: null, suntransit: null, sunset: null };
+
+  for (const shift of [0, -1, 1]) {
+    const utDayStart = utcDayStart(time.year, time.month - 1, time.day + shift);
+    const probe = new Date(utDayStart);
+    const result = calculate(
+      {
+        year: probe.getUTCFullYear(),
+        month: probe.getUTCMonth() + 1,
+        day: probe.getUTCDate(),
+        hour: 12,
+        minute: 0,
+        second: 0,
+        timezone: tz,
+      },
+      latitude,
+      longitude,
+      { ...options, function: SPA_ZA_RTS },
+    );
+
+    for (const field of EVENT_FIELDS) {
+      const hours = result[field];
+      if (events[field] || hours < 0) continue;
+
+      // Undo the local-hour wrap: the SPA event lies within its UT day.
+      const utHours = (((hours - tz) % 24) + 24) % 24;
+      const instant = utDayStart + utHours * MS_PER_HOUR;
+      if (instant >= day.start && instant < day.end) {
+        events[field] = new Date(instant);
+      }
+    }
+  }
+
+  return events;
+}
+
+/** Sampling interval of the findSolarEvents(), sunlight(), and moon() scans. Brackets every crossing at least 5 minutes apart. */
+const SEARCH_STEP_MS = 5 * 60 * 1000;
+
+/** findSolarEvents(), sunlight(), and moon() refine each root until its bracket is this narrow. */
+const SEARCH_TOLERANCE_MS = 1;
+
+/**
+ * Calendar fields for the instant `ms` at a fixed UTC offset, with a
+ * fractional second so sub-second instants reach the C code.
+ * @internal
+ */
+function instantTime(ms: number, timezone: number): LocalTime {
+  const wall = new Date(ms + timezone * MS_PER_HOUR);
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: wall.getUTCSeconds() + wall.getUTCMilliseconds() / 1000,
+    timezone,
+  };
+}
+
+/**
+ * The UTC offset in hours at the instant `ms`: fixed for a numeric timezone,
+ * and looked up in the IANA zone, or the host's zone when omitted.
+ * @internal
+ */
+function offsetAt(ms: number, timezone: number | string | undefined): number {
+  if (typeof timezone === 'number') return timezone;
+  if (typeof timezone === 'string') return zonedTime(new Date(ms), timezone).timezone;
+  return -new Date(ms).getTimezoneOffset() / 60;
+}
+
+/**
+ * The local calendar day of `time` as [start, end) epoch milliseconds, and
+ * the calendar fields of an instant in it at the offset in effect then, as
+ * spa() would read them. Where that offset changes during the day, as it does
+ * when DST starts or ends in a zone, the day lasts 23 or 25 hours.
+ * @internal
+ */
+function localDay(
+  time: LocalTime,
+  timezone: number | string | undefined,
+): { start: number; end: number; at(ms: number): LocalTime } {
+  const midnight = (dayOffset: number): number => {
+    const wall = utcDayStart(time.year, time.month - 1, time.day + dayOffset);
+    if (typeof timezone === 'number') return wall - timezone * MS_PER_HOUR;
+    const first = wall - offsetAt(wall, timezone) * MS_PER_HOUR;
+    const second = wall - offsetAt(first, timezone) * MS_PER_HOUR;
+    // Where DST skips midnight, the day starts when the gap ends, the one
+    // candidate whose wall clock is not still on the day before.
+    const onDay = [first, second].filter((ms) => ms + offsetAt(ms, timezone) * MS_PER_HOUR >= wall);
+    return onDay.length > 0 ? Math.min(...onDay) : second;
   };
+  const start = midnight(0);
+  const end = midnight(1);
+
+  const startOffset = offsetAt(start, timezone);
+  const at =
+    offsetAt(end - 1, timezone) === startOffset
+      ? (ms: number): LocalTime => instantTime(ms, startOffset)
+      : (ms: number): LocalTime => instantTime(ms, offsetAt(ms, timezone));
+  return { start, end, at };
+}
+
+/**
+ * Instants in [start, end) where `f` changes sign, with `f` at the ends of the
+ * scan step that bracketed each. `f` is sampled every SEARCH_STEP_MS and each
+ * root refined by bisection to SEARCH_TOLERANCE_MS; brackets that `accept`
+ * rejects are skipped.
+ * @internal
+ */
+function signChanges(
+  start: number,
+  end: number,
+  f: (ms: number) => number,
+  accept: (fa: number, fb: number) => boolean = () => true,
+): { at: number; fa: number; fb: number }[] {
+  const roots: { at: number; fa: number; fb: number }[] = [];
+  let a = start;
+  let fa = f(a);
+
+  while (a < end) {
+    const b = Math.min(a + SEARCH_STEP_MS, end);
+    const fb = f(b);
+
+    if (fa < 0 !== fb < 0 && accept(fa, fb)) {
+      let lo = a;
+      let hi = b;
+      let flo = fa;
+      while (hi - lo > SEARCH_TOLERANCE_MS) {
+        const mid = (lo + hi) / 2;
+        const fmid = f(mid);
+        if (fmid < 0 === flo < 0) {
+          lo = mid;
+          flo = fmid;
+        } else {
+          hi = mid;
+        }
+      }
+
+      const at = Math.round((lo + hi) / 2);
+      if (at < end) roots.push({ at, fa, fb });
+    }
+
+    a = b;
+    fa = fb;
+  }
+
+  return roots;
+}
+
+/**
+ * Find every instant on the local day of `date` at which the sun reaches a
+ * given elevation or azimuth.
+ *
+ * The day is scanned in 5-minute steps with the same zenith/azimuth
+ * computation as spa(), and each bracketed crossing is refined by bisection
+ * to within a millisecond. Two crossings closer together than the scan step,
+ * such as the sun grazing the target elevation at culmination, can be missed.
+ *
+ * @param date - Any instant on the local day of interest
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param target - `{ elevation }` or `{ azimuth }` in degrees
+ * @param options - Optional parameters. `function` is ignored
+ * @returns Crossings in time order, empty when the target is not reached
+ * @throws {TypeError} If date is not a valid Date, if latitude/longitude/option fields are not numbers, or if target does not name exactly one angle
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If target elevation is out of bounds, or if option fields are Infinity/NaN
+ */
+export async function findSolarEvents(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  target: SpaEventTarget,
+  options?: SpaOptions,
+): Promise<SpaSolarEvent[]> {
+  validateInputs(date, latitude, longitude, options);
+  const { elevation, azimuth } = target ?? {};
+  if ((elevation === undefined) === (azimuth === undefined)) {
+    throw new TypeError('SPA: target must have exactly one of elevation or azimuth');
+  }
+  if (elevation !== undefined) {
+    assertFiniteNumber(elevation, 'target.elevation');
+    if (elevation < -90 || elevation > 90) {
+      throw new RangeError(`SPA: target.elevation must be between -90 and 90, got ${elevation}`);
+    }
+  } else {
+    assertFiniteNumber(azimuth, 'target.azimuth');
+  }
+
+  await init();
+
+  const day = localDay(localTime(date, options?.timezone, options?.input), options?.timezone);
+  const opts: SpaOptions = { ...options, function: SPA_ZA };
+
+  const position = (ms: number): SpaResult => calculate(day.at(ms), latitude, longitude, opts);
+  // Signed distance past the target: degrees above the elevation, or
+  // degrees clockwise of the azimuth in [-180, 180).
+  const offset =
+    elevation !== undefined
+      ? (r: SpaResult): number => 90 - r.zenith - elevation
+      : (r: SpaResult): number => ((((r.azimuth - azimuth! + 180) % 360) + 360) % 360) - 180;
+
+  // A jump of about 360 degrees is the azimuth wrapping opposite the target.
+  const crossings = signChanges(
+    day.start,
+    day.end,
+    (ms) => offset(position(ms)),
+    (fa, fb) => Math.abs(fb - fa) < 180,
+  );
+
+  return crossings.map(({ at, fa, fb }) => {
+    const r = position(at);
+    const rising =
+      elevation !== undefined ? fb > fa : position(at + 1000).zenith < position(at - 1000).zenith;
+    return {
+      time: new Date(at),
+      direction: rising ? 'rising' : 'setting',
+      elevation: 90 - r.zenith,
+      azimuth: r.azimuth,
+    };
+  });
+}
+
+/**
+ * Find the direct sun over a horizon profile on the local day of `date`.
+ *
+ * Mountains, buildings, or trees can hide the sun long after the astronomical
+ * sunrise. Given the skyline as `{ azimuth, elevation }` points (see
+ * isShaded()), the day is scanned in 5-minute steps for the sun's center
+ * crossing the profile, and each crossing is refined by bisection to within a
+ * millisecond, as in findSolarEvents(). Features narrower than the sun moves
+ * in one step, such as a gap between peaks lit for a few minutes, can be
+ * missed.
+ *
+ * @param date - Any instant on the local day of interest; `shaded` refers to this instant
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param horizon - Horizon profile points in degrees
+ * @param options - Optional parameters. `function` is ignored
+ * @returns Effective sunrise and sunset, sunlit periods, direct-sun hours, and the shade at `date`
+ * @throws {TypeError} If date is not a valid Date, if latitude/longitude/option fields are not numbers, or if horizon is empty or malformed
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If horizon elevations are out of bounds, or if option fields are Infinity/NaN
+ */
+export async function sunlight(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  horizon: readonly SpaHorizonPoint[],
+  options?: SpaOptions,
+): Promise<SpaSunlight> {
+  validateInputs(date, latitude, longitude, options);
+  const profile = compileHorizon(horizon);
+
+  await init();
+
+  const time = localTime(date, options?.timezone, options?.input);
+  const { start: dayStart, end: dayEnd, at } = localDay(time, options?.timezone);
+  const opts: SpaOptions = { ...options, function: SPA_ZA };
+
+  // Degrees of the sun's center above the skyline; negative when shaded.
+  const clearance = (ms: number): number => {
+    const r = calculate(at(ms), latitude, longitude, opts);
+    return 90 - r.zenith - horizonElevation(profile, r.azimuth);
+  };
+
+  const periods: SpaSunlightPeriod[] = [];
+  let start: number | null = clearance(dayStart) < 0 ? null : dayStart;
+  let sunrise: Date | null = null;
+  let sunset: Date | null = null;
+
+  for (const { at, fb } of signChanges(dayStart, dayEnd, clearance)) {
+    if (fb >= 0) {
+      start = at;
+      sunrise ??= new Date(at);
+    } else if (start !== null) {
+      periods.push({ start: new Date(start), end: new Date(at) });
+      sunset = new Date(at);
+      start = null;
+    }
+  }
+  if (start !== null) {
+    periods.push({ start: new Date(start), end: new Date(dayEnd) });
+  }
+
+  const duration = periods.reduce(
+    (sum, p) => sum + (p.end.getTime() - p.start.getTime()) / MS_PER_HOUR,
+    0,
+  );
+
+  // The instant the SPA reads `date` as, which differs from date.getTime()
+  // for input: 'local' with a timezone other than the host's.
+  return { sunrise, sunset, periods, duration, shaded: clearance(utcMillis(time)) < 0 };
+}
+
+/**
+ * Run the moon calculation against the loaded module. Inputs must already be validated.
+ * @internal
+ */
+function calculateMoon(
+  time: LocalTime,
+  latitude: number,
+  longitude: number,
+  options: SpaMoonOptions | undefined,
+): MoonPosition {
+  const opts = options ?? {};
+  const scales = resolveTimeScales(opts, time);
+  const m = _module!;
+
+  const buf = _malloc!(MOON_FIELDS.length * 8);
+  if (!buf) {
+    throw new Error('SPA: memory allocation failed');
+  }
+
+  const result = {} as MoonPosition;
+  try {
+    const rc = _moon!(
+      time.year,
+      time.month,
+      time.day,
+      time.hour,
+      time.minute,
+      time.second,
+      time.timezone,
+      latitude,
+      longitude,
+      opts.elevation ?? 0,
+      opts.pressure ?? 1013.25,
+      opts.temperature ?? 15,
+      scales.delta_ut1,
+      scales.delta_t,
+      opts.atmos_refract ?? 0.5667,
+      buf,
+    );
+    if (rc !== 0) {
+      throw calculationError(rc, spaInputs(time, latitude, longitude, opts, scales));
+    }
+
+    const base = buf / 8;
+    MOON_FIELDS.forEach((field, i) => {
+      result[field] = m.HEAPF64[base + i];
+    });
+  } finally {
+    _heapFree!(buf);
+  }
+
+  return result;
+}
+
+/**
+ * Compute the moon's topocentric position and phase, and moonrise and moonset
+ * on the local day of `date`.
+ *
+ * Follows NREL's SAMPA: the geocentric moon comes from the truncated
+ * ELP-2000/82 series of Meeus, chapter 47, and the SPA's nutation, sidereal
+ * time, parallax, and refraction routines carry it to the observer. Accuracy
+ * is about 10" in longitude and 4" in latitude. The phase angle and
+ * illuminated fraction follow Meeus, chapter 48.
+ *
+ * Moonrise and moonset are when the upper limb crosses the horizon, with
+ * `atmos_refract` as the refraction there, found like findSolarEvents() in
+ * 5-minute steps refined to a millisecond. The moon rises about 50 minutes
+ * later each day, so about once a month there is no moonrise (or moonset) on
+ * the local day; at high latitudes there can be none for days.
+ *
+ * @param date - Date and time for the position; its local day for rise and set
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters
+ * @returns Moon position, phase, and rise/set instants
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If option fields are Infinity/NaN
+ */
+export async function moon(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaMoonOptions,
+): Promise<SpaMoonResult> {
+  validateInputs(date, latitude, longitude, options);
+
+  await init();
+
+  const time = localTime(date, options?.timezone, options?.input);
+  const day = localDay(time, options?.timezone);
+  const refraction = options?.atmos_refract ?? 0.5667;
+
+  // Degrees of the upper limb above the horizon, before refraction.
+  const limb = (ms: number): number => {
+    const p = calculateMoon(day.at(ms), latitude, longitude, options);
+    return p.e0 + p.semidiameter + refraction;
+  };
+
+  let moonrise: Date | null = null;
+  let moonset: Date | null = null;
+  for (const { at, fb } of signChanges(day.start, day.end, limb)) {
+    if (fb >= 0) moonrise ??= new Date(at);
+    else moonset ??= new Date(at);
+  }
+
+  const p = calculateMoon(time, latitude, longitude, options);
+  return {
+    zenith: p.zenith,
+    azimuth_astro: p.azimuth_astro,
+    azimuth: p.azimuth,
+    right_ascension: p.right_ascension,
+    declination: p.declination,
+    distance: p.distance,
+    parallax: p.parallax,
+    semidiameter: p.semidiameter,
+    illuminated_fraction: p.illuminated_fraction,
+    phase_angle: p.phase_angle,
+    elongation: p.elongation,
+    phase: p.phase,
+    moonrise,
+    moonset,
+  };
+}
+
+/** Solar disc radius in degrees, as used by the SPA rise/set solver. */
+const SUN_RADIUS = 0.26667;
+
+/** Depression of the sun's center below the horizon for each twilight kind. */
+const TWILIGHT_DEPRESSION = { civil: 6, nautical: 12, astronomical: 18 } as const;
+
+/**
+ * Run spa_rise_set_wrapper() for a list of sun-center altitudes. Returns
+ * [transit, transit altitude, rise0, set0, rise1, set1, ...] in local hours
+ * and degrees, with -99999 for crossings that do not occur.
+ * @internal
+ */
+function riseSet(
+  time: LocalTime,
+  latitude: number,
+  longitude: number,
+  opts: SpaOptions,
+  altitudes: readonly number[],
+): number[] {
+  const m = _module!;
+  const altPtr = _malloc!(Math.max(1, altitudes.length) * 8);
+  const outPtr = _malloc!((2 + 2 * altitudes.length) * 8);
+
+  try {
+    if (!altPtr || !outPtr) {
+      throw new Error('SPA: memory allocation failed');
+    }
+    m.HEAPF64.set(altitudes, altPtr / 8);
+
+    const { delta_t } = resolveTimeScales(opts, time);
+    const rc = _riseSet!(
+      time.year,
+      time.month,
+      time.day,
+      time.timezone,
+      latitude,
+      longitude,
+      delta_t,
+      altPtr,
+      altitudes.length,
+      outPtr,
+    );
+    if (rc !== 0) {
+      throw calculationError(
+        rc,
+        spaInputs(time, latitude, longitude, opts, { delta_ut1: 0, delta_t }),
+      );
+    }
+    return Array.from(m.HEAPF64.subarray(outPtr / 8, outPtr / 8 + 2 + 2 * altitudes.length));
+  } finally {
+    if (altPtr) _heapFree!(altPtr);
+    if (outPtr) _heapFree!(outPtr);
+  }
+}
+
+/**
+ * Compute sunrise, sunset, solar noon, and civil, nautical, and astronomical
+ * twilight for the local day of `date`, plus any custom depression angles.
+ *
+ * All crossings are solved in one WASM call with the SPA rise/set procedure,
+ * using the target altitude in place of the hard-coded sunrise altitude.
+ * Times are local fractional hours like spa(); a crossing that does not occur
+ * (polar day, polar night, or a sun that never gets that low) is -99999.
+ *
+ * @param date - Any instant on the day of interest
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters, plus optional custom `depressions`
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields are not numbers
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If depressions are out of bounds, or if option fields are Infinity/NaN
+ */
+export async function twilight(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaTwilightOptions,
+): Promise<SpaTwilight> {
+  validateInputs(date, latitude, longitude, options);
+  const depressions = options?.depressions ?? [];
+  if (!Array.isArray(depressions)) {
+    throw new TypeError('SPA: options.depressions must be an array of numbers');
+  }
+  depressions.forEach((d, i) => {
+    assertFiniteNumber(d, `options.depressions[${i}]`);
+    if (d < -90 || d > 90) {
+      throw new RangeError(`SPA: options.depressions[${i}] must be between -90 and 90, got ${d}`);
+    }
+  });
+
+  await init();
+
+  const opts = options ?? {};
+  const time = localTime(date, opts.timezone, opts.input);
+  const altitudes = [
+    -(SUN_RADIUS + (opts.atmos_refract ?? 0.5667)),
+    -TWILIGHT_DEPRESSION.civil,
+    -TWILIGHT_DEPRESSION.nautical,
+    -TWILIGHT_DEPRESSION.astronomical,
+    ...depressions.map((d) => -d),
+  ];
+
+  const out = riseSet(time, latitude, longitude, opts, altitudes);
+
+  const pair = (k: number): SpaTwilightPair => ({ dawn: out[2 + 2 * k], dusk: out[3 + 2 * k] });
+
+  return {
+    sunrise: out[2],
+    sunset: out[3],
+    suntransit: out[0],
+    sun_transit_alt: out[1],
+    civil: pair(1),
+    nautical: pair(2),
+    astronomical: pair(3),
+    custom: depressions.map((depression, i) => ({ depression, ...pair(4 + i) })),
+  };
+}
+
+/** Value the SPA uses for rise/set times that do not occur. */
+const NO_EVENT = -99999;
+
+const HIGH_LATITUDE_RULES = ['none', 'middleOfNight', 'oneSeventh', 'angleBased'] as const;
+
+/** Resolve and validate options.method. */
+function prayerMethod(method: SpaPrayerTimesOptions['method']): SpaPrayerMethod {
+  if (method === undefined) return SPA_PRAYER_METHODS.MWL;
+  if (typeof method === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(SPA_PRAYER_METHODS, method)) {
+      throw new RangeError(
+        `SPA: options.method must be one of ${Object.keys(SPA_PRAYER_METHODS).join(', ')}, got ${method}`,
+      );
+    }
+    return SPA_PRAYER_METHODS[method];
+  }
+  if (typeof method !== 'object' || method === null) {
+    throw new TypeError('SPA: options.method must be a method name or an object');
+  }
+  const check = (value: number, name: string, max: number): void => {
+    assertFiniteNumber(value, name);
+    if (value < 0 || value > max) {
+      throw new RangeError(`SPA: ${name} must be between 0 and ${max}, got ${value}`);
+    }
+  };
+  check(method.fajr, 'options.method.fajr', 90);
+  if ((method.isha === undefined) === (method.ishaMinutes === undefined)) {
+    throw new TypeError('SPA: options.method must set exactly one of isha and ishaMinutes');
+  }
+  if (method.isha !== undefined) check(method.isha, 'options.method.isha', 90);
+  if (method.ishaMinutes !== undefined)
+    check(method.ishaMinutes, 'options.method.ishaMinutes', 1440);
+  return method;
+}
+
+/** Hours from `a` forward to `b` on a 24-hour clock. */
+function hoursAfter(a: number, b: number): number {
+  return (((b - a) % 24) + 24) % 24;
+}
+
+/**
+ * Compute the five daily prayer times and sunrise for the local day of `date`.
+ *
+ * Dhuhr is the SPA sun transit and Maghrib is sunset. Fajr and Isha are the
+ * morning and evening crossings of the method's depression angles, or for
+ * Umm al-Qura and similar methods, a fixed interval after Maghrib. Asr is when
+ * an object's shadow is `asrFactor` times its height longer than at noon;
+ * the matching sun altitude comes from the transit altitude, and the crossing
+ * is solved with the same rise/set procedure as the other times.
+ *
+ * When the sun does not reach the Fajr or Isha angle, or reaches it too far
+ * from sunrise or sunset, `highLatitudeRule` bounds that time to a portion of
+ * the night (sunset to sunrise): half of it for 'middleOfNight', a seventh for
+ * 'oneSeventh', or angle/60 of it for 'angleBased'. With 'none', such times
+ * stay -99999. Nothing is adjusted when there is no sunrise or sunset.
+ *
+ * @param date - Any instant on the day of interest
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters, plus method, asrFactor, and highLatitudeRule
+ * @throws {TypeError} If date is not a valid Date, or if latitude/longitude/option fields have the wrong type
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If other option fields are out of bounds or unknown
+ */
+export async function prayerTimes(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options?: SpaPrayerTimesOptions,
+): Promise<SpaPrayerTimes> {
+  validateInputs(date, latitude, longitude, options);
+  const opts = options ?? {};
+  const method = prayerMethod(opts.method);
+  const asrFactor = opts.asrFactor ?? 1;
+  assertFiniteNumber(asrFactor, 'options.asrFactor');
+  if (asrFactor <= 0) {
+    throw new RangeError(`SPA: options.asrFactor must be greater than 0, got ${asrFactor}`);
+  }
+  const rule = opts.highLatitudeRule ?? 'middleOfNight';
+  if (!(HIGH_LATITUDE_RULES as readonly string[]).includes(rule)) {
+    throw new RangeError(
+      `SPA: options.highLatitudeRule must be one of ${HIGH_LATITUDE_RULES.join(', ')}, got ${rule}`,
+    );
+  }
+
+  await init();
+
+  const time = localTime(date, opts.timezone, opts.input);
+  const altitudes = [-(SUN_RADIUS + (opts.atmos_refract ?? 0.5667)), -method.fajr];
+  if (method.isha !== undefined) altitudes.push(-method.isha);
+  const out = riseSet(time, latitude, longitude, opts, altitudes);
+
+  const dhuhr = out[0];
+  const sunrise = out[2];
+  const sunset = out[3];
+  let fajr = out[4];
+  let isha = method.isha !== undefined ? out[7] : NO_EVENT;
+  if (method.ishaMinutes !== undefined && sunset >= 0) {
+    isha = (sunset + method.ishaMinutes / 60) % 24;
+  }
+
+  // Noon shadow is tan(90 - transit altitude) per unit height.
+  const noonZenith = 90 - out[1];
+  let asr = NO_EVENT;
+  if (noonZenith < 90) {
+    const asrAlt = Math.atan(1 / (asrFactor + Math.tan(noonZenith * DEG))) / DEG;
+    asr = riseSet(time, latitude, longitude, opts, [asrAlt])[3];
+  }
+
+  if (rule !== 'none' && sunrise >= 0 && sunset >= 0) {
+    const night = hoursAfter(sunset, sunrise);
+    const portion = (angle: number): number =>
+      rule === 'middleOfNight'
+        ? night / 2
+        : rule === 'oneSeventh'
+          ? night / 7
+          : (angle / 60) * night;
+
+    const fajrMax = portion(method.fajr);
+    if (fajr < 0 || hoursAfter(fajr, sunrise) > fajrMax) {
+      fajr = hoursAfter(fajrMax, sunrise);
+    }
+    if (method.isha !== undefined) {
+      const ishaMax = portion(method.isha);
+      if (isha < 0 || hoursAfter(sunset, isha) > ishaMax) {
+        isha = (sunset + ishaMax) % 24;
+      }
+    }
+  }
+
+  return { fajr, sunrise, dhuhr, asr, maghrib: sunset, isha };
+}
+
+/** Julian day of the Unix epoch. */
+const JD_UNIX_EPOCH = 2440587.5;
+
+/** Mean tropical year in days: the time the solar longitude takes to advance 360°. */
+const TROPICAL_YEAR_DAYS = 365.242189;
+
+/**
+ * FK5 frame correction to VSOP87 longitudes, in degrees (-0.09033",
+ * Meeus eq. 32.3). The SPA's `lamda` leaves it out; equinox tables include it.
+ */
+const FK5_LONGITUDE_CORRECTION = -0.09033 / 3600;
+
+/** Convergence limit for longitude crossings, in days (about 1 ms). */
+const CROSSING_TOLERANCE_DAYS = 1e-8;
+
+/** Validate the year and options shared by seasons() and solarLongitudeCrossing(). */
+function validateSeasonInputs(year: unknown, options: SpaSeasonOptions | undefined): void {
+  assertFiniteNumber(year, 'year');
+  if (!Number.isInteger(year)) {
+    throw new RangeError(`SPA: year must be an integer, got ${year}`);
+  }
+  assertSpaRange(year, 'year');
+  validateOptions(options ?? {});
+}
+
+/**
+ * First instant on or after 00:00 UTC on January 1 of `year` at which the
+ * apparent solar longitude equals `degrees`. The module must be loaded.
+ */
+function longitudeCrossing(year: number, degrees: number, opts: SpaSeasonOptions): Date {
+  const target = (((degrees - FK5_LONGITUDE_CORRECTION) % 360) + 360) % 360;
+  const jdStart = utcDayStart(year, 0, 1) / MS_PER_DAY + JD_UNIX_EPOCH;
+  const toMs = (jd: number): number => (jd - JD_UNIX_EPOCH) * MS_PER_DAY;
+
+  // The longitude advances about 360° per tropical year, so a first guess
+  // from the longitude at the start of the year is within a few days.
+  let scales = resolveTimeScales(opts, instantTime(toMs(jdStart), 0));
+  const ahead = (((target - _sunLongitude!(jdStart, scales.delta_t)) % 360) + 360) % 360;
+  let jd = jdStart + (ahead / 360) * TROPICAL_YEAR_DAYS;
+  scales = resolveTimeScales(opts, instantTime(toMs(jd), 0));
+
+  // Newton steps with the mean rate; the true rate differs by at most 3.5%,
+  // so each step gains well over a digit.
+  for (let i = 0; i < 20; i++) {
+    const diff = ((target - _sunLongitude!(jd, scales.delta_t) + 540) % 360) - 180;
+    const step = (diff / 360) * TROPICAL_YEAR_DAYS;
+    jd += step;
+    if (Math.abs(step) < CROSSING_TOLERANCE_DAYS) break;
+  }
+
+  // The C code works in UT1; shift to UTC.
+  return new Date(Math.round(toMs(jd) - scales.delta_ut1 * 1000));
+}
+
+/**
+ * Find when the sun's apparent geocentric longitude reaches `degrees` in a
+ * calendar year, e.g. 15° steps for the 24 Chinese solar terms (jieqi).
+ *
+ * The longitude is the SPA's `lamda` (VSOP87 with nutation and aberration)
+ * reduced to the FK5 frame, as in published equinox tables. The search
+ * converges to a millisecond, but the SPA's truncated VSOP87 series put the
+ * crossings within about 5 seconds of the full theory. The returned instant
+ * is the first crossing on or after 00:00 UTC on January 1. The longitude is
+ * near 280° then, and a calendar year is not a whole number of tropical
+ * years, so a longitude within about half a degree of that can come back as
+ * December 31 or, when the year misses it, January 1 of the next year. ΔT
+ * and UT1 - UTC are resolved as in spa(), so any error in ΔT carries
+ * straight into the result.
+ *
+ * @param year - Calendar year (-2000 to 6000)
+ * @param degrees - Apparent solar longitude in degrees; wrapped to 0-360
+ * @param options - Optional `delta_t` and `delta_ut1`
+ * @returns The crossing instant, rounded to the millisecond
+ * @throws {TypeError} If year, degrees, or option fields are not numbers
+ * @throws {SpaError} If year or an option field is outside its spa.h range
+ * @throws {RangeError} If year is not an integer, or if degrees/option fields are Infinity/NaN
+ */
+export async function solarLongitudeCrossing(
+  year: number,
+  degrees: number,
+  options?: SpaSeasonOptions,
+): Promise<Date> {
+  validateSeasonInputs(year, options);
+  assertFiniteNumber(degrees, 'degrees');
+  await init();
+  return longitudeCrossing(year, degrees, options ?? {});
+}
+
+/**
+ * Find the March and September equinoxes and the June and December
+ * solstices of a calendar year: the instants at which the apparent solar
+ * longitude is 0°, 90°, 180°, and 270°. See solarLongitudeCrossing().
+ *
+ * @param year - Calendar year (-2000 to 6000)
+ * @param options - Optional `delta_t` and `delta_ut1`
+ * @throws {TypeError} If year or option fields are not numbers
+ * @throws {SpaError} If year or an option field is outside its spa.h range
+ * @throws {RangeError} If year is not an integer, or if option fields are Infinity/NaN
+ */
+export async function seasons(year: number, options?: SpaSeasonOptions): Promise<SpaSeasons> {
+  validateSeasonInputs(year, options);
+  await init();
+  const opts = options ?? {};
+  return {
+    marchEquinox: longitudeCrossing(year, 0, opts),
+    juneSolstice: longitudeCrossing(year, 90, opts),
+    septemberEquinox: longitudeCrossing(year, 180, opts),
+    decemberSolstice: longitudeCrossing(year, 270, opts),
+  };
+}
+
+const CLEAR_SKY_MODELS = ['ineichen', 'haurwitz', 'simplifiedSolis'] as const;
+
+/**
+ * Estimate clear-sky GHI, DNI, and DHI for the observer at `date`.
+ *
+ * The sun position comes from the SPA with the given options, and the models
+ * use its refraction-corrected zenith. The extraterrestrial DNI is
+ * `solarConstant / r²` from the SPA's earth radius vector.
+ *
+ * - `ineichen`: Ineichen and Perez (2002), from a caller-supplied Linke
+ *   turbidity and the observer elevation and pressure
+ * - `haurwitz`: Haurwitz (1945), GHI from the zenith angle alone; `dni` and
+ *   `dhi` are NaN
+ * - `simplifiedSolis`: Ineichen (2008), from aerosol optical depth at 700 nm,
+ *   precipitable water, and pressure
+ *
+ * The formulas follow pvlib-python. When `pressure` is not given but
+ * `elevation` is, the models use the standard-atmosphere pressure at that
+ * elevation (the SPA's refraction still uses 1013.25 mbar). All components
+ * are 0 with the sun at or below the horizon.
+ *
+ * @param date - Date and time for the calculation
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - SPA options plus the model and its atmosphere inputs
+ * @returns Clear-sky irradiance in W/m²
+ * @throws {TypeError} If date is not a valid Date, if numeric arguments are not numbers, or if linkeTurbidity is missing for 'ineichen'
+ * @throws {SpaError} If the date's year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If other option fields are out of bounds, or the model is unknown
+ */
+export async function clearSky(
+  date: Date,
+  latitude: number,
+  longitude: number,
+  options: SpaClearSkyOptions,
+): Promise<SpaIrradiance> {
+  validateInputs(date, latitude, longitude, options);
+  const opts = options ?? {};
+  const model = opts.model ?? 'ineichen';
+  if (!(CLEAR_SKY_MODELS as readonly string[]).includes(model)) {
+    throw new RangeError(
+      `SPA: options.model must be one of ${CLEAR_SKY_MODELS.join(', ')}, got ${model}`,
+    );
+  }
+  if (model === 'ineichen') {
+    if (opts.linkeTurbidity === undefined) {
+      throw new TypeError("SPA: options.linkeTurbidity is required for the 'ineichen' model");
+    }
+    assertFiniteNumber(opts.linkeTurbidity, 'options.linkeTurbidity');
+    if (opts.linkeTurbidity < 1) {
+      throw new RangeError(
+        `SPA: options.linkeTurbidity must be at least 1, got ${opts.linkeTurbidity}`,
+      );
+    }
+  }
+  const aod700 = opts.aod700 ?? 0.1;
+  const precipitableWater = opts.precipitableWater ?? 1;
+  const solarConstant = opts.solarConstant ?? SOLAR_CONSTANT;
+  assertFiniteNumber(aod700, 'options.aod700');
+  assertFiniteNumber(precipitableWater, 'options.precipitableWater');
+  assertFiniteNumber(solarConstant, 'options.solarConstant');
+  if (aod700 < 0) {
+    throw new RangeError(`SPA: options.aod700 must be at least 0, got ${aod700}`);
+  }
+  if (precipitableWater < 0) {
+    throw new RangeError(
+      `SPA: options.precipitableWater must be at least 0, got ${precipitableWater}`,
+    );
+  }
+  if (solarConstant <= 0) {
+    throw new RangeError(`SPA: options.solarConstant must be greater than 0, got ${solarConstant}`);
+  }
+
+  await init();
+
+  const sun = calculate(localTime(date, opts.timezone, opts.input), latitude, longitude, {
+    ...opts,
+    function: SPA_ZA,
+  });
+  const elevation = opts.elevation ?? 0;
+  const pressure = opts.pressure ?? pressureFromElevation(elevation);
+  const dniExtra = solarConstant / (sun.r * sun.r);
+
+  switch (model) {
+    case 'haurwitz':
+      return { ghi: haurwitz(sun.zenith), dni: NaN, dhi: NaN };
+    case 'simplifiedSolis':
+      return simplifiedSolis(90 - sun.zenith, aod700, precipitableWater, pressure, dniExtra);
+    default:
+      return ineichen(sun.zenith, opts.linkeTurbidity!, elevation, pressure, dniExtra);
+  }
+}
+
+/** Rows evaluated per spa_series_wrapper() call. */
+const SERIES_CHUNK = Math.floor(HEAP_BUDGET / (SPA_SERIES_FIELDS.length * 8));
+
+/**
+ * Compute solar position for evenly spaced instants from `start` to `end` (inclusive).
+ *
+ * The whole series is evaluated inside WASM in chunks of SERIES_CHUNK rows, so
+ * the per-call overhead of spa() (allocation, struct reads) is paid once per chunk
+ * rather than once per instant. The UTC offset is fixed for the whole series: it
+ * is the offset of `start` in the given zone (IANA name or hours), or the host's
+ * offset at `start` when omitted.
+ *
+ * @param start - First instant of the series
+ * @param end - Last instant of the series (included if it falls on a step)
+ * @param stepSeconds - Spacing between instants in seconds (> 0)
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Optional parameters, plus an optional `out` buffer
+ * @returns Column views over a Float64Array, one value per instant
+ * @throws {TypeError} If start/end are not valid Dates, or if numeric arguments are not numbers
+ * @throws {SpaError} If a year, latitude/longitude, or an option field is outside its spa.h range
+ * @throws {RangeError} If end precedes start, stepSeconds is not positive, or `out` is too small
+ */
+export async function spaSeries(
+  start: Date,
+  end: Date,
+  stepSeconds: number,
+  latitude: number,
+  longitude: number,
+  options?: SpaSeriesOptions,
+): Promise<SpaSeries> {
+  validateInputs(start, latitude, longitude, options, 'start');
+  if (!(end instanceof Date) || isNaN(end.getTime())) {
+    throw new TypeError('SPA: end must be a valid Date object');
+  }
+  validateYear(end, options, 'end');
+  assertFiniteNumber(stepSeconds, 'stepSeconds');
+  if (stepSeconds <= 0) {
+    throw new RangeError(`SPA: stepSeconds must be greater than 0, got ${stepSeconds}`);
+  }
+  if (end.getTime() < start.getTime()) {
+    throw new RangeError('SPA: end must not be earlier than start');
+  }
+
+  const count = Math.floor((end.getTime() - start.getTime()) / (stepSeconds * 1000)) + 1;
+  const fields = SPA_SERIES_FIELDS.length;
+  const opts = options ?? {};
+
+  let data = opts.out;
+  if (data === undefined) {
+    data = new Float64Array(fields * count);
+  } else if (!(data instanceof Float64Array)) {
+    throw new TypeError('SPA: options.out must be a Float64Array');
+  } else if (data.length < fields * count) {
+    throw new RangeError(
+      `SPA: options.out must hold at least ${fields * count} values, got ${data.length}`,
+    );
+  }
+
+  await init();
+
+  const m = _module!;
+  const time = localTime(start, opts.timezone, opts.input);
+  const chunk = Math.min(count, SERIES_CHUNK);
+  const buf = _malloc!(fields * chunk * 8);
+  if (!buf) {
+    throw new Error('SPA: memory allocation failed');
+  }
+  // Calendar fields of a row as the C code derives them, at the series' fixed offset.
+  const first = utcMillis(time);
+  const rowTime = (row: number): LocalTime =>
+    localTime(new Date(first + row * stepSeconds * 1000), time.timezone, 'utc');
+
+  try {
+    for (let offset = 0, n = 0; offset < count; offset += n) {
+      const chunkTime = offset === 0 ? time : rowTime(offset);
+      n = Math.min(chunk, count - offset);
+      // Modelled and tabulated time scales are evaluated once per chunk, so a
+      // chunk must not cross into the next calendar month (deltaT() is
+      // evaluated per month, as in spa()) or, with an Earth orientation table
+      // loaded, the next UTC day. Binary search for its last row.
+      const byMonth = typeof opts.delta_t !== 'number';
+      const byDay = hasEarthOrientationTable() && (byMonth || opts.delta_ut1 === undefined);
+      if (byMonth || byDay) {
+        const day = Math.floor(utcMillis(chunkTime) / MS_PER_DAY);
+        let lo = 1;
+        while (lo < n) {
+          const mid = Math.ceil((lo + n) / 2);
+          const t = rowTime(offset + mid - 1);
+          const sameMonth = t.year === chunkTime.year && t.month === chunkTime.month;
+          const sameDay = Math.floor(utcMillis(t) / MS_PER_DAY) === day;
+          if ((!byMonth || sameMonth) && (!byDay || sameDay)) {
+            lo = mid;
+          } else {
+            n = mid - 1;
+          }
+        }
+      }
+      const scales = resolveTimeScales(opts, chunkTime);
+      const rc = _series!(
+        time.year,
+        time.month,
+        time.day,
+        time.hour,
+        time.minute,
+        time.second,
+        time.timezone,
+        stepSeconds,
+        offset,
+        n,
+        latitude,
+        longitude,
+        opts.elevation ?? 0,
+        opts.pressure ?? 1013.25,
+        opts.temperature ?? 15,
+        scales.delta_ut1,
+        scales.delta_t,
+        opts.slope ?? 0,
+        opts.azm_rotation ?? 0,
+        opts.atmos_refract ?? 0.5667,
+        opts.function ?? SPA_ALL,
+        buf,
+      );
+      if (rc !== 0) {
+        throw calculationError(rc, spaInputs(chunkTime, latitude, longitude, opts, scales));
+      }
+
+      const base = buf / 8;
+      for (let f = 0; f < fields; f++) {
+        data.set(m.HEAPF64.subarray(base + f * n, base + (f + 1) * n), f * count + offset);
+      }
+    }
+  } finally {
+    _heapFree!(buf);
+  }
+
+  const series = { count, data } as SpaSeries;
+  SPA_SERIES_FIELDS.forEach((field, f) => {
+    series[field] = data.subarray(f * count, (f + 1) * count);
+  });
+  return series;
+}
+
+/** Maximum grid cells evaluated per spa_grid_wrapper() call. */
+const GRID_TILE_CELLS = Math.floor(HEAP_BUDGET / (SPA_GRID_FIELDS.length * 8));
+
+/**
+ * Validate that every element of a coordinate array is a finite number in range.
+ * @internal
+ */
+function assertCoordinateArray(
+  values: ArrayLike<number>,
+  name: string,
+  field: 'latitude' | 'longitude',
+): void {
+  if (values == null || typeof values.length !== 'number') {
+    throw new TypeError(`SPA: ${name} must be an array of numbers`);
+  }
+  for (let i = 0; i < values.length; i++) {
+    assertFiniteNumber(values[i], `${name}[${i}]`);
+    assertSpaRange(values[i], field, `${name}[${i}]`);
+  }
+}
+
+/**
+ * Compute topocentric zenith, azimuth, and incidence for one instant over a
+ * latitude/longitude grid.
+ *
+ * The geocentric sun position depends only on time, so the WASM side computes
+ * it once per tile and runs only the topocentric corrections per cell. Rise,
+ * transit, and set are not computed.
+ *
+ * @param date - Date and time for the calculation
+ * @param latitudes - Grid row latitudes in degrees (-90 to 90)
+ * @param longitudes - Grid column longitudes in degrees (-180 to 180)
+ * @param options - Optional parameters, plus an optional `out` buffer
+ * @returns Row-major views over a Float64Array, one value per cell
+ * @throws {TypeError} If date is not a valid Date, or if coordinates/option fields are not numbers
+ * @throws {SpaError} If a coordinate, the date's year, or an option field is outside its spa.h range
+ * @throws {RangeError} If `out` is too small
+ */
+export async function spaGrid(
+  date: Date,
+  latitudes: ArrayLike<number>,
+  longitudes: ArrayLike<number>,
+  options?: SpaGridOptions,
+): Promise<SpaGrid> {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new TypeError('SPA: date must be a valid Date object');
+  }
+  assertCoordinateArray(latitudes, 'latitudes', 'latitude');
+  assertCoordinateArray(longitudes, 'longitudes', 'longitude');
+  if (options) {
+    validateOptions(options);
+  }
+  validateYear(date, options, 'date');
+
+  const rows = latitudes.length;
+  const cols = longitudes.length;
+  const cells = rows * cols;
+  const fields = SPA_GRID_FIELDS.length;
+  const opts = options ?? {};
+
+  let data = opts.out;
+  if (data === undefined) {
+    data = new Float64Array(fields * cells);
+  } else if (!(data instanceof Float64Array)) {
+    throw new TypeError('SPA: options.out must be a Float64Array');
+  } else if (data.length < fields * cells) {
+    throw new RangeError(
+      `SPA: options.out must hold at least ${fields * cells} values, got ${data.length}`,
+    );
+  }
+
+  const grid = { rows, cols, data } as SpaGrid;
+  SPA_GRID_FIELDS.forEach((field, f) => {
+    grid[field] = data.subarray(f * cells, (f + 1) * cells);
+  });
+  if (cells === 0) return grid;
+
+  await init();
+
+  const m = _module!;
+  const time = localTime(date, opts.timezone, opts.input);
+  const scales = resolveTimeScales(opts, time);
+  const tileCols = Math.min(cols, GRID_TILE_CELLS);
+  const tileRows = Math.min(rows, Math.max(1, Math.floor(GRID_TILE_CELLS / tileCols)));
+  const tileCells = tileRows * tileCols;
+
+  const latPtr = _malloc!(tileRows * 8);
+  const lonPtr = _malloc!(tileCols * 8);
+  const outPtr = _malloc!(fields * tileCells * 8);
+
+  try {
+    if (!latPtr || !lonPtr || !outPtr) {
+      throw new Error('SPA: memory allocation failed');
+    }
+
+    for (let col0 = 0; col0 < cols; col0 += tileCols) {
+      const nc = Math.min(tileCols, cols - col0);
+      for (let j = 0; j < nc; j++) m.HEAPF64[lonPtr / 8 + j] = longitudes[col0 + j];
+
+      for (let row0 = 0; row0 < rows; row0 += tileRows) {
+        const nr = Math.min(tileRows, rows - row0);
+        for (let i = 0; i < nr; i++) m.HEAPF64[latPtr / 8 + i] = latitudes[row0 + i];
+
+        const rc = _grid!(
+          time.year,
+          time.month,
+          time.day,
+          time.hour,
+          time.minute,
+          time.second,
+          time.timezone,
+          latPtr,
+          nr,
+          lonPtr,
+          nc,
+          opts.elevation ?? 0,
+          opts.pressure ?? 1013.25,
+          opts.temperature ?? 15,
+          scales.delta_ut1,
+          scales.delta_t,
+          opts.slope ?? 0,
+          opts.azm_rotation ?? 0,
+          opts.atmos_refract ?? 0.5667,
+          outPtr,
+        );
+        if (rc !== 0) {
+          throw calculationError(rc, spaInputs(time, undefined, undefined, opts, scales));
+        }
+
+        const base = outPtr / 8;
+        for (let f = 0; f < fields; f++) {
+          for (let i = 0; i < nr; i++) {
+            const src = base + f * nr * nc + i * nc;
+            data.set(m.HEAPF64.subarray(src, src + nc), f * cells + (row0 + i) * cols + col0);
+          }
+        }
+      }
+    }
+  } finally {
+    if (latPtr) _heapFree!(latPtr);
+    if (lonPtr) _heapFree!(lonPtr);
+    if (outPtr) _heapFree!(outPtr);
+  }
+
+  return grid;
+}
+
+/** Default number of records computed per spaStream() and spaIterate() batch. */
+const STREAM_CHUNK = 1024;
+
+/**
+ * Validate spaStream()/spaIterate() options once, up front.
+ * @internal
+ */
+function streamSetup<T>(
+  options: SpaStreamOptions<T> | undefined,
+): [chunkSize: number, point: (record: T) => SpaStreamPoint, opts: SpaOptions] {
+  const { chunkSize = STREAM_CHUNK, point, ...opts } = options ?? {};
+  assertFiniteNumber(chunkSize, 'options.chunkSize');
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new RangeError(`SPA: options.chunkSize must be a positive integer, got ${chunkSize}`);
+  }
+  if (point !== undefined && typeof point !== 'function') {
+    throw new TypeError('SPA: options.point must be a function');
+  }
+  validateOptions(opts);
+  return [chunkSize, point ?? ((record) => record as SpaStreamPoint), opts];
+}
+
+/** Doubles per point in the spa_points_wrapper() input buffer. */
+const POINT_INPUT_COUNT = 11;
+
+// Output columns of spa_points_wrapper(): zenith, azimuth_astro, azimuth,
+// incidence, sunrise, sunset, suntransit, sun_transit_alt, eot, r, and the
+// day_type code.
+const POINT_FIELD_COUNT = 11;
+
+/** Points evaluated per spa_points_wrapper() call. */
+const POINTS_CHUNK = Math.floor(HEAP_BUDGET / ((POINT_INPUT_COUNT + POINT_FIELD_COUNT) * 8));
+
+/** A validated stream record: its local time and observer location. */
+interface StreamPoint {
+  time: LocalTime;
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Run spa_points_wrapper() over validated points, POINTS_CHUNK at a time,
+ * appending one SpaResult per point to `results`. On a C error, the results
+ * before the failing point are appended before it is thrown. The heap
+ * buffers are freed before returning, so none outlive a generator that is
+ * never resumed. The module must be loaded.
+ * @internal
+ */
+function calculatePoints(
+  points: readonly StreamPoint[],
+  opts: SpaOptions,
+  results: SpaResult[],
+): void {
+  if (points.length === 0) return;
+  const m = _module!;
+  const chunk = Math.min(points.length, POINTS_CHUNK);
+  const pressure = opts.pressure ?? 1013.25;
+
+  const inPtr = _malloc!(POINT_INPUT_COUNT * chunk * 8);
+  const outPtr = _malloc!(POINT_FIELD_COUNT * chunk * 8);
+  const failedPtr = _malloc!(4);
+
+  try {
+    if (!inPtr || !outPtr || !failedPtr) {
+      throw new Error('SPA: memory allocation failed');
+    }
+
+    for (let offset = 0; offset < points.length; offset += chunk) {
+      const n = Math.min(chunk, points.length - offset);
+      for (let i = 0; i < n; i++) {
+        const { time, latitude, longitude } = points[offset + i];
+        const scales = resolveTimeScales(opts, time);
+        m.HEAPF64.set(
+          [
+            time.year,
+            time.month,
+            time.day,
+            time.hour,
+            time.minute,
+            time.second,
+            time.timezone,
+            latitude,
+            longitude,
+            scales.delta_ut1,
+            scales.delta_t,
+          ],
+          inPtr / 8 + i * POINT_INPUT_COUNT,
+        );
+      }
+
+      const rc = _points!(
+        inPtr,
+        n,
+        opts.elevation ?? 0,
+        pressure,
+        opts.temperature ?? 15,
+        opts.slope ?? 0,
+        opts.azm_rotation ?? 0,
+        opts.atmos_refract ?? 0.5667,
+        opts.function ?? SPA_ALL,
+        outPtr,
+        failedPtr,
+      );
+      const done = rc === 0 ? n : m.getValue(failedPtr, 'i32');
+
+      const heap = m.HEAPF64;
+      const base = outPtr / 8;
+      for (let i = 0; i < done; i++) {
+        const column = (f: number): number => heap[base + f * n + i];
+        const zenith = column(0);
+        const r = column(9);
+        results.push({
+          zenith,
+          azimuth_astro: column(1),
+          azimuth: column(2),
+          incidence: column(3),
+          sunrise: column(4),
+          sunset: column(5),
+          suntransit: column(6),
+          sun_transit_alt: column(7),
+          eot: column(8),
+          r,
+          ...airMassFields(zenith, r, pressure),
+          error_code: 0,
+          dayType: DAY_TYPES[column(10)],
+        });
+      }
+
+      if (rc !== 0) {
+        const { time, latitude, longitude } = points[offset + done];
+        const scales = resolveTimeScales(opts, time);
+        throw calculationError(rc, spaInputs(time, latitude, longitude, opts, scales));
+      }
+    }
+  } finally {
+    if (inPtr) _heapFree!(inPtr);
+    if (outPtr) _heapFree!(outPtr);
+    if (failedPtr) _heapFree!(failedPtr);
+  }
+}
+
+/**
+ * Compute a batch of stream records with one spa_points_wrapper() call per
+ * POINTS_CHUNK records. Records are validated in order, and the records
+ * before an invalid one are still computed and emitted before its error is
+ * thrown. The module must be loaded and `opts` validated.
+ * @internal
+ */
+function* enrichRecords<T>(
+  records: readonly T[],
+  point: (record: T) => SpaStreamPoint,
+  opts: SpaOptions,
+): Generator<SpaStreamResult<T>, void, undefined> {
+  const points: StreamPoint[] = [];
+  let error: unknown;
+  try {
+    for (const record of records) {
+      const { date, latitude, longitude } = point(record);
+      const instant = date instanceof Date ? date : new Date(date);
+      if (isNaN(instant.getTime())) {
+        throw new TypeError(`SPA: record date must be a valid date, got ${String(date)}`);
+      }
+      validateLocation(latitude, longitude);
+      validateYear(instant, opts, 'record date');
+      points.push({ time: localTime(instant, opts.timezone, opts.input), latitude, longitude });
+    }
+  } catch (err) {
+    error = err;
+  }
+
+  // A C error can only come from a point before the first invalid record.
+  const results: SpaResult[] = [];
+  let failed = points.length < records.length;
+  try {
+    calculatePoints(points, opts, results);
+  } catch (err) {
+    error = err;
+    failed = true;
+  }
+
+  for (let i = 0; i < results.length; i++) {
+    yield { ...records[i], ...results[i] };
+  }
+  if (failed) throw error;
+}
+
+/**
+ * Enrich a stream of `(date, latitude, longitude)` records with sun positions,
+ * as a Node.js object-mode Transform.
+ *
+ * Each record is written out with every SpaResult field added, in input
+ * order. Records are collected into batches of `chunkSize` and computed
+ * together, so at most one batch is held on the writable side. The batch's
+ * results are pushed at once and the next record is not accepted until the
+ * readable side drains, so a slow consumer pauses the source. A record that
+ * fails validation destroys the stream with that error, after the records
+ * before it have been pushed.
+ *
+ * Node.js only. See spaIterate() for an async iterator that also runs in
+ * browsers.
+ *
+ * @param options - spa() options for every record, plus `chunkSize` and a `point` accessor
+ * @returns An object-mode Transform
+ * @throws {TypeError} If `point` is not a function, or if option fields are not numbers
+ * @throws {SpaError} If an option field is outside its spa.h range
+ * @throws {RangeError} If `chunkSize` is not a positive integer, or if option fields are Infinity/NaN
+ */
+export function spaStream<T extends object = SpaStreamPoint>(
+  options?: SpaStreamOptions<T>,
+): Transform {
+  const [chunkSize, point, opts] = streamSetup(options);
+  const { Transform } = _loadModule('node:stream') as typeof import('node:stream');
+  let batch: T[] = [];
+
+  async function drain(stream: Transform): Promise<void> {
+    await init();
+    const records = batch;
+    batch = [];
+    for (const record of enrichRecords(records, point, opts)) {
+      stream.push(record);
+    }
+  }
+
+  return new Transform({
+    objectMode: true,
+    transform(record: T, _encoding, callback) {
+      batch.push(record);
+      if (batch.length < chunkSize) {
+        callback();
+        return;
+      }
+      drain(this).then(() => callback(), callback);
+    },
+    flush(callback) {
+      drain(this).then(() => callback(), callback);
+    },
+  });
+}
+
+/**
+ * Enrich `(date, latitude, longitude)` records with sun positions, as an
+ * async generator.
+ *
+ * Records are read from `source` lazily, `chunkSize` at a time, and each
+ * batch is computed together. Nothing more is read until the consumer has
+ * taken the previous batch's results. Validation runs on the first `next()`.
+ *
+ * ```js
+ * for await (const row of spaIterate(readRows(file), { timezone: 0, input: 'utc' })) {
+ *   console.log(row.zenith);
+ * }
+ * ```
+ *
+ * @param source - Records, as any sync or async iterable
+ * @param options - spa() options for every record, plus `chunkSize` and a `point` accessor
+ * @returns Each record with every SpaResult field added, in input order
+ * @throws {TypeError} If a record's date is not valid, or if `point`/coordinates/option fields have the wrong type
+ * @throws {SpaError} If a record's year or coordinates, or an option field, is outside its spa.h range
+ * @throws {RangeError} If `chunkSize` is not a positive integer, or if option fields are Infinity/NaN
+ */
+export async function* spaIterate<T extends object = SpaStreamPoint>(
+  source: AsyncIterable<T> | Iterable<T>,
+  options?: SpaStreamOptions<T>,
+): AsyncGenerator<SpaStreamResult<T>, void, undefined> {
+  const [chunkSize, point, opts] = streamSetup(options);
+  await init();
+  let batch: T[] = [];
+  for await (const record of source) {
+    batch.push(record);
+    if (batch.length === chunkSize) {
+      yield* enrichRecords(batch, point, opts);
+      batch = [];
+    }
+  }
+  yield* enrichRecords(batch, point, opts);
+}
+
+/** Default spacing of the sunPath() day curves, in minutes. */
+const SUN_PATH_STEP_MINUTES = 10;
+
+/**
+ * The UTC offset sunPath() uses for the whole year: the smaller of the offsets
+ * in effect on January 1 and July 1, which is standard time in zones with DST.
+ * @internal
+ */
+function standardOffset(year: number, timezone: number | string | undefined): number {
+  const jan = localTime(new Date(utcDayStart(year, 0, 1)), timezone, 'utc');
+  const jul = localTime(new Date(utcDayStart(year, 6, 1)), timezone, 'utc');
+  return Math.min(jan.timezone, jul.timezone);
+}
+
+/**
+ * Evaluate `count` instants `stepSeconds` apart from `startMs` as sun path
+ * points, with unit-disc stereographic coordinates: zenith at the center,
+ * horizon on the unit circle, north up and east to the right.
+ * @internal
+ */
+async function pathPoints(
+  startMs: number,
+  count: number,
+  stepSeconds: number,
+  latitude: number,
+  longitude: number,
+  opts: SpaOptions,
+): Promise<SpaSunPathPoint[]> {
+  const end = new Date(startMs + (count - 1) * stepSeconds * 1000);
+  const series = await spaSeries(new Date(startMs), end, stepSeconds, latitude, longitude, opts);
+  const points: SpaSunPathPoint[] = [];
+  for (let i = 0; i < series.count; i++) {
+    const zenith = series.zenith[i];
+    const azimuth = series.azimuth[i];
+    const r = Math.tan((zenith * DEG) / 2);
+    points.push({
+      time: new Date(startMs + i * stepSeconds * 1000),
+      azimuth,
+      elevation: 90 - zenith,
+      x: r * Math.sin(azimuth * DEG),
+      y: r * Math.cos(azimuth * DEG),
+    });
+  }
+  return points;
+}
+
+/**
+ * Sample the sun's path across the sky for a sun path diagram.
+ *
+ * Each entry of `days` traces one local calendar day from 00:00 to 24:00 in
+ * `stepMinutes` steps. Each entry of `analemmas` follows one clock hour through
+ * every day of `year`, tracing the figure-eight loop. Clock times use a fixed
+ * offset for the whole year: the `timezone` as given, or for an IANA zone (or
+ * the host zone) its standard-time offset, so that loops do not jump at DST
+ * changes.
+ *
+ * Points below the horizon are included, with negative `elevation` and `x`/`y`
+ * outside the unit circle; sunPathSvg() clips them at the horizon.
+ *
+ * @param latitude - Observer latitude in degrees (-90 to 90)
+ * @param longitude - Observer longitude in degrees (-180 to 180)
+ * @param options - Year, clock hours, days, and the usual spa() options. `function` is ignored
+ * @returns Day curves and analemma loops
+ * @throws {TypeError} If latitude/longitude/option fields are not numbers, or `dates` holds an invalid Date
+ * @throws {SpaError} If latitude/longitude, `options.year`, or an option field is outside its spa.h range
+ * @throws {RangeError} If hours/stepMinutes are out of range, or if option fields are Infinity/NaN
+ */
+export async function sunPath(
+  latitude: number,
+  longitude: number,
+  options?: SpaSunPathOptions,
+): Promise<SpaSunPath> {
+  validateLocation(latitude, longitude);
+  const opts = options ?? {};
+  validateOptions(opts);
+
+  const year = opts.year ?? new Date().getFullYear();
+  assertFiniteNumber(year, 'options.year');
+  if (!Number.isInteger(year)) {
+    throw new RangeError(`SPA: options.year must be an integer, got ${year}`);
+  }
+  assertSpaRange(year, 'year', 'options.year');
+  const hours = opts.hours ?? Array.from({ length: 24 }, (_, h) => h);
+  if (!Array.isArray(hours)) {
+    throw new TypeError('SPA: options.hours must be an array of numbers');
+  }
+  hours.forEach((h, i) => {
+    assertFiniteNumber(h, `options.hours[${i}]`);
+    if (h < 0 || h >= 24) {
+      throw new RangeError(
+        `SPA: options.hours[${i}] must be at least 0 and less than 24, got ${h}`,
+      );
+    }
+  });
+  if (opts.dates !== undefined && !Array.isArray(opts.dates)) {
+    throw new TypeError('SPA: options.dates must be an array of Dates');
+  }
+  opts.dates?.forEach((d, i) => {
+    if (!(d instanceof Date) || isNaN(d.getTime())) {
+      throw new TypeError(`SPA: options.dates[${i}] must be a valid Date object`);
+    }
+  });
+  const stepMinutes = opts.stepMinutes ?? SUN_PATH_STEP_MINUTES;
+  assertFiniteNumber(stepMinutes, 'options.stepMinutes');
+  if (stepMinutes <= 0 || stepMinutes > 1440) {
+    throw new RangeError(
+      `SPA: options.stepMinutes must be greater than 0 and at most 1440, got ${stepMinutes}`,
+    );
+  }
+
+  const timezone = standardOffset(year, opts.timezone);
+  const seriesOpts: SpaOptions = { ...opts, timezone, input: 'utc', function: SPA_ZA };
+
+  let days: LocalTime[];
+  if (opts.dates) {
+    days = opts.dates.map((d) => localTime(d, timezone, opts.input));
+  } else {
+    const s = await seasons(year, opts);
+    days = [s.marchEquinox, s.juneSolstice, s.septemberEquinox, s.decemberSolstice].map((d) =>
+      localTime(d, timezone, 'utc'),
+    );
+  }
+
+  const stepSeconds = stepMinutes * 60;
+  const dayCurves: SpaSunPathDay[] = [];
+  for (const day of days) {
+    const midnight = utcDayStart(day.year, day.month - 1, day.day) - timezone * MS_PER_HOUR;
+    const count = Math.floor(MS_PER_DAY / (stepSeconds * 1000)) + 1;
+    dayCurves.push({
+      date: new Date(midnight),
+      points: await pathPoints(midnight, count, stepSeconds, latitude, longitude, seriesOpts),
+    });
+  }
+
+  const yearStart = utcDayStart(year, 0, 1) - timezone * MS_PER_HOUR;
+  const daysInYear = (utcDayStart(year + 1, 0, 1) - utcDayStart(year, 0, 1)) / MS_PER_DAY;
+  const analemmas: SpaSunPathAnalemma[] = [];
+  for (const hour of hours) {
+    const start = yearStart + hour * MS_PER_HOUR;
+    analemmas.push({
+      hour,
+      points: await pathPoints(start, daysInYear, 86400, latitude, longitude, seriesOpts),
+    });
+  }
+
+  return { latitude, longitude, timezone, days: dayCurves, analemmas };
 }
 
 export default spa;
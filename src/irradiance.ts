@@ -0,0 +1,363 @@
+import type {
+  SpaIrradiance,
+  SpaPoaIrradiance,
+  SpaPoaOptions,
+  SpaResult,
+  SpaTrackerResult,
+  SpaTranspositionModel,
+} from './types.js';
+import { assertFiniteNumber } from './validate.js';
+import { DEG } from './math.js';
+
+/**
+ * Default solar constant in W/m² (IAU 2015 nominal total solar irradiance).
+ * @internal
+ */
+export const SOLAR_CONSTANT = 1361;
+
+const MODELS: readonly SpaTranspositionModel[] = [
+  'isotropic',
+  'klucher',
+  'haydavies',
+  'reindl',
+  'perez',
+];
+
+/** Lower bound for cos(zenith) in the beam ratio Rb, as cos(89°). */
+const MIN_COS_ZENITH = 0.01745;
+
+/**
+ * Perez et al. (1990) "all sites composite" coefficients, one row per sky
+ * clearness bin: [f11, f12, f13, f21, f22, f23].
+ */
+const PEREZ_COEFFICIENTS: readonly (readonly number[])[] = [
+  [-0.008, 0.588, -0.062, -0.06, 0.072, -0.022],
+  [0.13, 0.683, -0.151, -0.019, 0.066, -0.029],
+  [0.33, 0.487, -0.221, 0.055, -0.064, -0.026],
+  [0.568, 0.187, -0.295, 0.109, -0.152, -0.014],
+  [0.873, -0.392, -0.362, 0.226, -0.462, 0.001],
+  [1.132, -1.237, -0.412, 0.288, -0.823, 0.056],
+  [1.06, -1.6, -0.359, 0.264, -1.127, 0.131],
+  [0.678, -0.327, -0.25, 0.156, -1.377, 0.251],
+];
+
+/** Upper edges of the Perez sky clearness bins; the last bin is open. */
+const PEREZ_EPSILON_BINS = [1.065, 1.23, 1.5, 1.95, 2.8, 4.5, 6.2];
+
+/**
+ * Kasten and Young (1989) relative air mass for a zenith angle in degrees,
+ * or NaN with the sun below the horizon.
+ * @internal
+ */
+export function relativeAirMass(zenith: number): number {
+  if (zenith >= 90) return NaN;
+  return 1 / (Math.cos(zenith * DEG) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+}
+
+/**
+ * Air mass and extraterrestrial normal irradiance for a spa() result: the
+ * relative air mass, the same scaled by station pressure, and
+ * SOLAR_CONSTANT / r².
+ * @internal
+ */
+export function airMassFields(
+  zenith: number,
+  r: number,
+  pressure: number,
+): Pick<SpaResult, 'airmass_relative' | 'airmass_absolute' | 'dni_extra'> {
+  const am = relativeAirMass(zenith);
+  return {
+    airmass_relative: am,
+    airmass_absolute: (am * pressure) / 1013.25,
+    dni_extra: SOLAR_CONSTANT / (r * r),
+  };
+}
+
+/**
+ * Station pressure in millibars from elevation in meters, from the standard
+ * atmosphere (as pvlib's alt2pres).
+ * @internal
+ */
+export function pressureFromElevation(elevation: number): number {
+  return Math.pow((44331.514 - elevation) / 11880.516, 1 / 0.1902632);
+}
+
+/**
+ * Haurwitz (1945) clear-sky GHI in W/m² from the apparent zenith in degrees.
+ * @internal
+ */
+export function haurwitz(zenith: number): number {
+  const cosZenith = Math.cos(zenith * DEG);
+  if (cosZenith <= 0) return 0;
+  return 1098 * cosZenith * Math.exp(-0.059 / cosZenith);
+}
+
+/**
+ * Ineichen and Perez (2002) clear-sky model, as in pvlib's ineichen().
+ * @internal
+ */
+export function ineichen(
+  zenith: number,
+  linkeTurbidity: number,
+  elevation: number,
+  pressure: number,
+  dniExtra: number,
+): SpaIrradiance {
+  const cosZenith = Math.cos(zenith * DEG);
+  if (cosZenith <= 0 || zenith >= 90) return { ghi: 0, dni: 0, dhi: 0 };
+
+  const tl = linkeTurbidity;
+  const am = (relativeAirMass(zenith) * pressure) / 1013.25;
+  const fh1 = Math.exp(-elevation / 8000);
+  const fh2 = Math.exp(-elevation / 1250);
+  const cg1 = 5.09e-5 * elevation + 0.868;
+  const cg2 = 3.92e-5 * elevation + 0.0387;
+
+  const ghi =
+    cg1 * dniExtra * cosZenith * Math.max(Math.exp(-cg2 * am * (fh1 + fh2 * (tl - 1))), 0);
+
+  // Beam from the turbidity, capped by the empirical beam-to-global ratio.
+  const b = 0.664 + 0.163 / fh1;
+  const bnci = dniExtra * Math.max(b * Math.exp(-0.09 * am * (tl - 1)), 0);
+  const ratio = (1 - (0.1 - 0.2 * Math.exp(-tl)) / (0.1 + 0.882 / fh1)) / cosZenith;
+  const dni = Math.min(bnci, ghi * Math.max(ratio, 0));
+
+  return { ghi, dni, dhi: ghi - dni * cosZenith };
+}
+
+/**
+ * Ineichen (2008) simplified Solis clear-sky model, as in pvlib's
+ * simplified_solis(). Pressure in millibars, precipitable water in cm.
+ * @internal
+ */
+export function simplifiedSolis(
+  elevationAngle: number,
+  aod700: number,
+  precipitableWater: number,
+  pressure: number,
+  dniExtra: number,
+): SpaIrradiance {
+  if (elevationAngle <= 0) return { ghi: 0, dni: 0, dhi: 0 };
+
+  const a = aod700;
+  const w = Math.max(precipitableWater, 0.2);
+  const lw = Math.log(w);
+  const lp = Math.log(pressure / 1013.25);
+
+  const i0p =
+    dniExtra * (0.12 * w ** 0.56 * a * a + 0.97 * w ** 0.032 * a + 1.08 * w ** 0.0051 + 0.071 * lp);
+
+  const taub =
+    (1.82 + 0.056 * lw + 0.0071 * lw * lw) * a +
+    (0.33 + 0.045 * lw + 0.0096 * lw * lw) +
+    (0.0089 * w + 0.13) * lp;
+  const b = (0.00925 * a * a + 0.0148 * a - 0.0172) * lw + (-0.7565 * a * a + 0.5057 * a + 0.4557);
+
+  const taug =
+    (1.24 + 0.047 * lw + 0.0061 * lw * lw) * a +
+    (0.27 + 0.043 * lw + 0.009 * lw * lw) +
+    (0.0079 * w + 0.1) * lp;
+  const g = -0.0147 * lw - 0.3079 * a * a + 0.2846 * a + 0.3798;
+
+  const td =
+    a < 0.05
+      ? [86 * w - 13800, -3.11 * w + 79.4, -0.23 * w + 74.8, 0.092 * w - 8.86, 0.0042 * w + 3.12]
+      : [
+          -0.21 * w + 11.6,
+          0.27 * w - 20.7,
+          -0.134 * w + 15.5,
+          0.0554 * w - 5.71,
+          0.0057 * w + 2.94,
+        ];
+  const tdp = a < 0.05 ? -0.83 * (1 + a) ** -17.2 : -0.71 * (1 + a) ** -15;
+  const taud = td[0] * a ** 4 + td[1] * a ** 3 + td[2] * a * a + td[3] * a + td[4] + tdp * lp;
+  const d = -0.337 * a * a + 0.63 * a + 0.116 + lp / (18 + 152 * a);
+
+  const sinElevation = Math.sin(elevationAngle * DEG);
+  return {
+    ghi: i0p * Math.exp(-taug / sinElevation ** g) * sinElevation,
+    dni: i0p * Math.exp(-taub / sinElevation ** b),
+    dhi: i0p * Math.exp(-taud / sinElevation ** d),
+  };
+}
+
+/**
+ * Perez et al. (1990) sky diffuse on a tilted surface. Falls back to the
+ * isotropic sky with the sun at or below the horizon, where the model's
+ * air mass is undefined.
+ */
+function perez(
+  dhi: number,
+  dni: number,
+  dniExtra: number,
+  zenith: number,
+  cosIncidence: number,
+  tilt: number,
+): number {
+  const isotropic = dhi * 0.5 * (1 + Math.cos(tilt * DEG));
+  if (dhi <= 0 || zenith >= 90) return Math.max(isotropic, 0);
+
+  const z = zenith * DEG;
+  const kz3 = 1.041 * z * z * z;
+  const epsilon = ((dhi + dni) / dhi + kz3) / (1 + kz3);
+  const brightness = (dhi * relativeAirMass(zenith)) / dniExtra;
+
+  let bin = 0;
+  while (bin < PEREZ_EPSILON_BINS.length && epsilon >= PEREZ_EPSILON_BINS[bin]) bin++;
+  const [f11, f12, f13, f21, f22, f23] = PEREZ_COEFFICIENTS[bin];
+
+  const f1 = Math.max(f11 + f12 * brightness + f13 * z, 0);
+  const f2 = f21 + f22 * brightness + f23 * z;
+  const a = Math.max(cosIncidence, 0);
+  const b = Math.max(Math.cos(z), Math.cos(85 * DEG));
+
+  const sky =
+    dhi * (0.5 * (1 - f1) * (1 + Math.cos(tilt * DEG)) + (f1 * a) / b + f2 * Math.sin(tilt * DEG));
+  return Math.max(sky, 0);
+}
+
+/**
+ * Transpose horizontal irradiance onto a tilted surface.
+ *
+ * The beam component is `dni` times the cosine of the incidence angle, and
+ * the ground-reflected component uses an isotropic ground with `albedo`. The
+ * sky-diffuse component comes from `model`:
+ *
+ * - `isotropic`: uniform sky (Liu and Jordan, 1963)
+ * - `klucher`: horizon and circumsolar brightening under clear skies (Klucher, 1979)
+ * - `haydavies`: circumsolar share from the anisotropy index DNI / DNI_extra (Hay and Davies, 1980)
+ * - `reindl`: Hay-Davies plus horizon brightening (Reindl et al., 1990)
+ * - `perez`: circumsolar and horizon terms from sky clearness and brightness bins
+ *   (Perez et al., 1990, all-sites composite coefficients)
+ *
+ * The formulas follow pvlib-python's implementations. The anisotropic models
+ * need the extraterrestrial DNI, taken as `solarConstant / r²` from the
+ * SPA's earth radius vector, so `sun` must carry `r` (any spa() result
+ * does). Perez uses the Kasten–Young air mass for the given zenith and falls
+ * back to the isotropic sky with the sun at or below the horizon.
+ *
+ * @param irradiance - Measured or modeled `ghi`, `dni`, and `dhi` in W/m²
+ * @param sun - `zenith` and `azimuth` in degrees, plus `r` in AU for haydavies, reindl, and perez
+ * @param surface - `surfaceTilt` and `surfaceAzimuth` (eastward from north) in degrees, e.g. a tracker() result
+ * @param options - Model, albedo, and solar constant
+ * @returns Plane-of-array components in W/m² and the incidence angle
+ * @throws {TypeError} If an argument or field has the wrong type, or `r` is missing when required
+ * @throws {RangeError} If a field is Infinity/NaN or out of range, or the model is unknown
+ */
+export function poaIrradiance(
+  irradiance: SpaIrradiance,
+  sun: Pick<SpaResult, 'zenith' | 'azimuth'> & Partial<Pick<SpaResult, 'r'>>,
+  surface: Pick<SpaTrackerResult, 'surfaceTilt' | 'surfaceAzimuth'>,
+  options?: SpaPoaOptions,
+): SpaPoaIrradiance {
+  for (const [arg, name] of [
+    [irradiance, 'irradiance'],
+    [sun, 'sun'],
+    [surface, 'surface'],
+  ] as const) {
+    if (typeof arg !== 'object' || arg === null) {
+      throw new TypeError(`SPA: ${name} must be an object`);
+    }
+  }
+  const { ghi, dni, dhi } = irradiance;
+  assertFiniteNumber(ghi, 'irradiance.ghi');
+  assertFiniteNumber(dni, 'irradiance.dni');
+  assertFiniteNumber(dhi, 'irradiance.dhi');
+  assertFiniteNumber(sun.zenith, 'sun.zenith');
+  assertFiniteNumber(sun.azimuth, 'sun.azimuth');
+  assertFiniteNumber(surface.surfaceTilt, 'surface.surfaceTilt');
+  assertFiniteNumber(surface.surfaceAzimuth, 'surface.surfaceAzimuth');
+  if (sun.zenith < 0 || sun.zenith > 180) {
+    throw new RangeError(`SPA: sun.zenith must be between 0 and 180, got ${sun.zenith}`);
+  }
+  if (surface.surfaceTilt < 0 || surface.surfaceTilt > 180) {
+    throw new RangeError(
+      `SPA: surface.surfaceTilt must be between 0 and 180, got ${surface.surfaceTilt}`,
+    );
+  }
+
+  const opts = options ?? {};
+  const model = opts.model ?? 'isotropic';
+  if (!MODELS.includes(model)) {
+    throw new RangeError(`SPA: options.model must be one of ${MODELS.join(', ')}, got ${model}`);
+  }
+  const albedo = opts.albedo ?? 0.25;
+  assertFiniteNumber(albedo, 'options.albedo');
+  if (albedo < 0 || albedo > 1) {
+    throw new RangeError(`SPA: options.albedo must be between 0 and 1, got ${albedo}`);
+  }
+  const solarConstant = opts.solarConstant ?? SOLAR_CONSTANT;
+  assertFiniteNumber(solarConstant, 'options.solarConstant');
+  if (solarConstant <= 0) {
+    throw new RangeError(`SPA: options.solarConstant must be greater than 0, got ${solarConstant}`);
+  }
+
+  let dniExtra = NaN;
+  if (model === 'haydavies' || model === 'reindl' || model === 'perez') {
+    if (sun.r === undefined) {
+      throw new TypeError(`SPA: sun.r is required for the ${model} model; pass a spa() result`);
+    }
+    assertFiniteNumber(sun.r, 'sun.r');
+    if (sun.r <= 0) {
+      throw new RangeError(`SPA: sun.r must be greater than 0, got ${sun.r}`);
+    }
+    dniExtra = solarConstant / (sun.r * sun.r);
+  }
+
+  const tilt = surface.surfaceTilt;
+  const cosZenith = Math.cos(sun.zenith * DEG);
+  const cosIncidence =
+    cosZenith * Math.cos(tilt * DEG) +
+    Math.sin(sun.zenith * DEG) *
+      Math.sin(tilt * DEG) *
+      Math.cos((sun.azimuth - surface.surfaceAzimuth) * DEG);
+  const incidence = Math.acos(Math.max(-1, Math.min(1, cosIncidence))) / DEG;
+  const projection = Math.max(cosIncidence, 0);
+
+  const beam = Math.max(dni * projection, 0);
+  const groundReflected = ghi * albedo * 0.5 * (1 - Math.cos(tilt * DEG));
+  const skyView = 0.5 * (1 + Math.cos(tilt * DEG));
+  const rb = projection / Math.max(cosZenith, MIN_COS_ZENITH);
+
+  let skyDiffuse: number;
+  switch (model) {
+    case 'isotropic':
+      skyDiffuse = dhi * skyView;
+      break;
+    case 'klucher': {
+      const f = ghi > 0 ? 1 - (dhi / ghi) ** 2 : 0;
+      skyDiffuse =
+        dhi *
+        skyView *
+        (1 + f * Math.sin(0.5 * tilt * DEG) ** 3) *
+        (1 + f * projection ** 2 * Math.sin(sun.zenith * DEG) ** 3);
+      break;
+    }
+    case 'haydavies': {
+      const ai = dni / dniExtra;
+      skyDiffuse = Math.max(dhi * (1 - ai) * skyView, 0) + Math.max(dhi * ai * rb, 0);
+      break;
+    }
+    case 'reindl': {
+      const ai = dni / dniExtra;
+      const beamHorizontal = Math.max(dni * cosZenith, 0);
+      const horizon = ghi > 0 ? Math.sqrt(beamHorizontal / ghi) : 0;
+      skyDiffuse = Math.max(
+        dhi * (ai * rb + (1 - ai) * skyView * (1 + horizon * Math.sin(0.5 * tilt * DEG) ** 3)),
+        0,
+      );
+      break;
+    }
+    case 'perez':
+      skyDiffuse = perez(dhi, dni, dniExtra, sun.zenith, cosIncidence, tilt);
+      break;
+  }
+
+  return {
+    global: beam + skyDiffuse + groundReflected,
+    beam,
+    skyDiffuse,
+    groundReflected,
+    incidence,
+  };
+}
@@ -0,0 +1,5 @@
+/**
+ * Degrees to radians.
+ * @internal
+ */
+export const DEG = Math.PI / 180;
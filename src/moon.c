@@ -0,0 +1,279 @@
+/*
+ * moon.c
+ *
+ * Topocentric moon position, following NREL's Solar and Moon Position
+ * Algorithm (SAMPA, I. Reda, NREL/TP-3B0-47681, 2010). The geocentric
+ * lunar longitude, latitude and distance come from the truncated
+ * ELP-2000/82 series in J. Meeus, "Astronomical Algorithms", 2nd ed.,
+ * chapter 47. Everything after that is the SPA itself: nutation,
+ * obliquity and apparent sidereal time from
+ * calculate_geocentric_sun_right_ascension_and_declination(), and the
+ * right ascension, declination, parallax, refraction and azimuth
+ * routines that spa.h exports for this purpose, with the moon's
+ * equatorial horizontal parallax in place of the sun's.
+ *
+ * The same call computes the sun's apparent longitude and distance, so
+ * the elongation, phase angle and illuminated fraction (Meeus chapter
+ * 48) come at no extra cost.
+ *
+ * Copyright (c) 2023-2026 Aric Camarata. MIT License.
+ */
+
+#include "spa.h"
+#include <stdlib.h>
+#include <math.h>
+
+#define MOON_FIELD_COUNT 13
+#define TERM_COUNT 60
+
+#define EARTH_RADIUS_KM 6378.14
+#define AU_KM 149597870.7
+/* Moon radius over earth equatorial radius, for the semidiameter. */
+#define MOON_EARTH_RADIUS_RATIO 0.272481
+
+/* Defined in spa.c but not declared in spa.h. */
+int    validate_inputs(spa_data *spa);
+double julian_day(int year, int month, int day, int hour, int minute, double second,
+                  double dut1, double tz);
+void   calculate_geocentric_sun_right_ascension_and_declination(spa_data *spa);
+
+enum {TERM_D, TERM_M, TERM_MPR, TERM_F, TERM_ARG_COUNT};
+
+/* Meeus table 47.A: multiples of D, M, M', F and the coefficients of
+ * sin (longitude, 1e-6 degrees) and cos (distance, 1e-3 km). */
+static const int ML_TERMS[TERM_COUNT][TERM_ARG_COUNT] = {
+    {0, 0, 1, 0}, {2, 0,-1, 0}, {2, 0, 0, 0}, {0, 0, 2, 0}, {0, 1, 0, 0},
+    {0, 0, 0, 2}, {2, 0,-2, 0}, {2,-1,-1, 0}, {2, 0, 1, 0}, {2,-1, 0, 0},
+    {0, 1,-1, 0}, {1, 0, 0, 0}, {0, 1, 1, 0}, {2, 0, 0,-2}, {0, 0, 1, 2},
+    {0, 0, 1,-2}, {4, 0,-1, 0}, {0, 0, 3, 0}, {4, 0,-2, 0}, {2, 1,-1, 0},
+    {2, 1, 0, 0}, {1, 0,-1, 0}, {1, 1, 0, 0}, {2,-1, 1, 0}, {2, 0, 2, 0},
+    {4, 0, 0, 0}, {2, 0,-3, 0}, {0, 1,-2, 0}, {2, 0,-1, 2}, {2,-1,-2, 0},
+    {1, 0, 1, 0}, {2,-2, 0, 0}, {0, 1, 2, 0}, {0, 2, 0, 0}, {2,-2,-1, 0},
+    {2, 0, 1,-2}, {2, 0, 0, 2}, {4,-1,-1, 0}, {0, 0, 2, 2}, {3, 0,-1, 0},
+    {2, 1, 1, 0}, {4,-1,-2, 0}, {0, 2,-1, 0}, {2, 2,-1, 0}, {2, 1,-2, 0},
+    {2,-1, 0,-2}, {4, 0, 1, 0}, {0, 0, 4, 0}, {4,-1, 0, 0}, {1, 0,-2, 0},
+    {2, 1, 0,-2}, {0, 0, 2,-2}, {1, 1, 1, 0}, {3, 0,-2, 0}, {4, 0,-3, 0},
+    {2,-1, 2, 0}, {0, 2, 1, 0}, {1, 1,-1, 0}, {2, 0, 3, 0}, {2, 0,-1,-2},
+};
+
+static const double ML_SIN[TERM_COUNT] = {
+    6288774, 1274027,  658314,  213618, -185116, -114332,   58793,   57066,
+      53322,   45758,  -40923,  -34720,  -30383,   15327,  -12528,   10980,
+      10675,   10034,    8548,   -7888,   -6766,   -5163,    4987,    4036,
+       3994,    3861,    3665,   -2689,   -2602,    2390,   -2348,    2236,
+      -2120,   -2069,    2048,   -1773,   -1595,    1215,   -1110,    -892,
+       -810,     759,    -713,    -700,     691,     596,     549,     537,
+        520,    -487,    -399,    -381,     351,    -340,     330,     327,
+       -323,     299,     294,       0,
+};
+
+static const double ML_COS[TERM_COUNT] = {
+    -20905355, -3699111, -2955968,  -569925,    48888,    -3149,   246158,  -152138,
+      -170733,  -204586,  -129620,   108743,   104755,    10321,        0,    79661,
+       -34782,   -23210,   -21636,    24208,    30824,    -8379,   -16675,   -12831,
+       -10445,   -11650,    14403,    -7003,        0,    10056,     6322,    -9884,
+         5751,        0,    -4950,     4130,        0,    -3958,        0,     3258,
+         2616,    -1897,    -2117,     2354,        0,        0,    -1423,    -1117,
+        -1571,    -1739,        0,    -4421,        0,        0,        0,        0,
+         1165,        0,        0,     8752,
+};
+
+/* Meeus table 47.B: multiples of D, M, M', F and the coefficients of
+ * sin (latitude, 1e-6 degrees). */
+static const int MB_TERMS[TERM_COUNT][TERM_ARG_COUNT] = {
+    {0, 0, 0, 1}, {0, 0, 1, 1}, {0, 0, 1,-1}, {2, 0, 0,-1}, {2, 0,-1, 1},
+    {2, 0,-1,-1}, {2, 0, 0, 1}, {0, 0, 2, 1}, {2, 0, 1,-1}, {0, 0, 2,-1},
+    {2,-1, 0,-1}, {2, 0,-2,-1}, {2, 0, 1, 1}, {2, 1, 0,-1}, {2,-1,-1, 1},
+    {2,-1, 0, 1}, {2,-1,-1,-1}, {0, 1,-1,-1}, {4, 0,-1,-1}, {0, 1, 0, 1},
+    {0, 0, 0, 3}, {0, 1,-1, 1}, {1, 0, 0, 1}, {0, 1, 1, 1}, {0, 1, 1,-1},
+    {0, 1, 0,-1}, {1, 0, 0,-1}, {0, 0, 3, 1}, {4, 0, 0,-1}, {4, 0,-1, 1},
+    {0, 0, 1,-3}, {4, 0,-2, 1}, {2, 0, 0,-3}, {2, 0, 2,-1}, {2,-1, 1,-1},
+    {2, 0,-2, 1}, {0, 0, 3,-1}, {2, 0, 2, 1}, {2, 0,-3,-1}, {2, 1,-1, 1},
+    {2, 1, 0, 1}, {4, 0, 0, 1}, {2,-1, 1, 1}, {2,-2, 0,-1}, {0, 0, 1, 3},
+    {2, 1, 1,-1}, {1, 1, 0,-1}, {1, 1, 0, 1}, {0, 1,-2,-1}, {2, 1,-1,-1},
+    {1, 0, 1, 1}, {2,-1,-2,-1}, {0, 1, 2, 1}, {4, 0,-2,-1}, {4,-1,-1,-1},
+    {1, 0, 1,-1}, {4, 0, 1,-1}, {1, 0,-1,-1}, {4,-1, 0,-1}, {2,-2, 0, 1},
+};
+
+static const double MB_SIN[TERM_COUNT] = {
+    5128122,  280602,  277693,  173237,   55413,   46271,   32573,   17198,
+       9266,    8822,    8216,    4324,    4200,   -3359,    2463,    2211,
+       2065,   -1870,    1828,   -1794,   -1749,   -1565,   -1491,   -1475,
+      -1410,   -1344,   -1335,    1107,    1021,     833,     777,     671,
+        607,     596,     491,    -451,     439,     422,     421,    -366,
+       -351,     331,     315,     302,    -283,    -229,     223,     223,
+       -220,    -220,    -185,     181,    -177,     176,     166,    -164,
+        132,    -119,     115,     107,
+};
+
+/*
+ * Sum a periodic series. Terms with M are scaled by the eccentricity
+ * factor e (or e^2 for 2M), which accounts for the decreasing
+ * eccentricity of the earth's orbit.
+ */
+static double moon_periodic_sum(const int terms[TERM_COUNT][TERM_ARG_COUNT],
+                                const double *coeffs, int use_cos,
+                                const double *args, double e)
+{
+    double sum = 0, angle, scale;
+    int i, j;
+
+    for (i = 0; i < TERM_COUNT; i++) {
+        if (coeffs[i] == 0) continue;
+
+        angle = 0;
+        for (j = 0; j < TERM_ARG_COUNT; j++) angle += terms[i][j] * args[j];
+        angle = deg2rad(angle);
+
+        scale = abs(terms[i][TERM_M]) == 2 ? e*e : terms[i][TERM_M] != 0 ? e : 1;
+        sum  += scale * coeffs[i] * (use_cos ? cos(angle) : sin(angle));
+    }
+
+    return sum;
+}
+
+/*
+ * Geocentric ecliptic longitude and latitude [degrees] of the moon, referred
+ * to the mean equinox of date, and its distance [km], at jce Julian
+ * ephemeris centuries from J2000.0 (Meeus 47.1 to 47.7 and the additive
+ * terms A1, A2, A3).
+ */
+static void moon_geocentric_position(double jce, double *lamda_prime, double *beta,
+                                     double *distance)
+{
+    double args[TERM_ARG_COUNT];
+    double l_prime, e, a1, a2, a3, sum_l, sum_r, sum_b;
+
+    /* Fourth-order polynomials in T, written as T times a cubic. */
+    l_prime        = limit_degrees(218.3164477 + jce*third_order_polynomial(
+                         -1.0/65194000, 1.0/538841, -0.0015786, 481267.88123421, jce));
+    args[TERM_D]   = limit_degrees(297.8501921 + jce*third_order_polynomial(
+                         -1.0/113065000, 1.0/545868, -0.0018819, 445267.1114034, jce));
+    args[TERM_M]   = limit_degrees(357.5291092 + jce*third_order_polynomial(
+                         0, 1.0/24490000, -0.0001536, 35999.0502909, jce));
+    args[TERM_MPR] = limit_degrees(134.9633964 + jce*third_order_polynomial(
+                         -1.0/14712000, 1.0/69699, 0.0087414, 477198.8675055, jce));
+    args[TERM_F]   = limit_degrees(93.2720950 + jce*third_order_polynomial(
+                         1.0/863310000, -1.0/3526000, -0.0036539, 483202.0175233, jce));
+
+    e  = 1 - jce*(0.002516 + jce*0.0000074);
+    a1 = limit_degrees(119.75 + 131.849*jce);
+    a2 = limit_degrees(53.09 + 479264.29*jce);
+    a3 = limit_degrees(313.45 + 481266.484*jce);
+
+    sum_l = moon_periodic_sum(ML_TERMS, ML_SIN, 0, args, e)
+          + 3958*sin(deg2rad(a1)) + 1962*sin(deg2rad(l_prime - args[TERM_F]))
+          + 318*sin(deg2rad(a2));
+    sum_r = moon_periodic_sum(ML_TERMS, ML_COS, 1, args, e);
+    sum_b = moon_periodic_sum(MB_TERMS, MB_SIN, 0, args, e)
+          - 2235*sin(deg2rad(l_prime)) + 382*sin(deg2rad(a3))
+          + 175*sin(deg2rad(a1 - args[TERM_F])) + 175*sin(deg2rad(a1 + args[TERM_F]))
+          + 127*sin(deg2rad(l_prime - args[TERM_MPR]))
+          - 115*sin(deg2rad(l_prime + args[TERM_MPR]));
+
+    *lamda_prime = limit_degrees(l_prime + sum_l/1000000.0);
+    *beta        = sum_b/1000000.0;
+    *distance    = 385000.56 + sum_r/1000.0;
+}
+
+/*
+ * Same inputs as spa_calculate_wrapper() without the surface and function
+ * code. Writes MOON_FIELD_COUNT doubles to `out`:
+ *   out[0]   topocentric zenith angle [degrees], refraction included
+ *   out[1]   topocentric azimuth, westward from south [degrees]
+ *   out[2]   topocentric azimuth, eastward from north [degrees]
+ *   out[3]   topocentric elevation without refraction [degrees]
+ *   out[4]   topocentric right ascension [degrees]
+ *   out[5]   topocentric declination [degrees]
+ *   out[6]   distance between the centers of the earth and moon [km]
+ *   out[7]   equatorial horizontal parallax [degrees]
+ *   out[8]   geocentric semidiameter [degrees]
+ *   out[9]   illuminated fraction of the disk (0 to 1)
+ *   out[10]  phase angle, sun-moon-earth [degrees]
+ *   out[11]  geocentric elongation from the sun [degrees]
+ *   out[12]  moon minus sun apparent longitude / 360 (0 new, 0.5 full)
+ *
+ * Returns 0 on success, or the spa validate_inputs() error code; `out` is
+ * untouched on error.
+ */
+int spa_moon_wrapper(
+    int year, int month, int day,
+    int hour, int minute, double second,
+    double timezone,
+    double latitude, double longitude, double elevation,
+    double pressure, double temperature,
+    double delta_ut1, double delta_t,
+    double atmos_refract, double *out)
+{
+    double lamda_prime, beta, distance, lamda, parallax;
+    double alpha, delta, h, del_alpha, delta_prime, alpha_prime, h_prime;
+    double e0, e, azimuth_astro, psi, sun_distance, phase_angle;
+    int rc;
+
+    spa_data spa = {0};
+    spa.year          = year;
+    spa.month         = month;
+    spa.day           = day;
+    spa.hour          = hour;
+    spa.minute        = minute;
+    spa.second        = second;
+    spa.timezone      = timezone;
+    spa.latitude      = latitude;
+    spa.longitude     = longitude;
+    spa.elevation     = elevation;
+    spa.pressure      = pressure;
+    spa.temperature   = temperature;
+    spa.delta_ut1     = delta_ut1;
+    spa.delta_t       = delta_t;
+    spa.atmos_refract = atmos_refract;
+    spa.function      = SPA_ZA;
+
+    rc = validate_inputs(&spa);
+    if (rc != 0) return rc;
+
+    /* Time scales, nutation, obliquity, sidereal time, and the sun. */
+    spa.jd = julian_day(year, month, day, hour, minute, second, delta_ut1, timezone);
+    calculate_geocentric_sun_right_ascension_and_declination(&spa);
+
+    moon_geocentric_position(spa.jce, &lamda_prime, &beta, &distance);
+    lamda    = lamda_prime + spa.del_psi;
+    parallax = rad2deg(asin(EARTH_RADIUS_KM / distance));
+
+    alpha = geocentric_right_ascension(lamda, spa.epsilon, beta);
+    delta = geocentric_declination(beta, spa.epsilon, lamda);
+    h     = observer_hour_angle(spa.nu, longitude, alpha);
+
+    right_ascension_parallax_and_topocentric_dec(latitude, elevation, parallax, h, delta,
+                                                 &del_alpha, &delta_prime);
+    alpha_prime = topocentric_right_ascension(alpha, del_alpha);
+    h_prime     = topocentric_local_hour_angle(h, del_alpha);
+
+    e0 = topocentric_elevation_angle(latitude, delta_prime, h_prime);
+    e  = topocentric_elevation_angle_corrected(e0,
+             atmospheric_refraction_correction(pressure, temperature, atmos_refract, e0));
+    azimuth_astro = topocentric_azimuth_angle_astro(h_prime, latitude, delta_prime);
+
+    /* Elongation and phase angle from the apparent geocentric positions. */
+    psi = rad2deg(acos(cos(deg2rad(beta)) * cos(deg2rad(spa.beta)) *
+                       cos(deg2rad(lamda - spa.lamda)) +
+                       sin(deg2rad(beta)) * sin(deg2rad(spa.beta))));
+    sun_distance = spa.r * AU_KM;
+    phase_angle  = rad2deg(atan2(sun_distance * sin(deg2rad(psi)),
+                                 distance - sun_distance * cos(deg2rad(psi))));
+
+    out[0]  = topocentric_zenith_angle(e);
+    out[1]  = azimuth_astro;
+    out[2]  = topocentric_azimuth_angle(azimuth_astro);
+    out[3]  = e0;
+    out[4]  = alpha_prime;
+    out[5]  = delta_prime;
+    out[6]  = distance;
+    out[7]  = parallax;
+    out[8]  = rad2deg(asin(MOON_EARTH_RADIUS_RATIO * sin(deg2rad(parallax))));
+    out[9]  = (1 + cos(deg2rad(phase_angle))) / 2;
+    out[10] = phase_angle;
+    out[11] = psi;
+    out[12] = limit_degrees(lamda - spa.lamda) / 360.0;
+
+    return 0;
+}
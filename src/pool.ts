@@ -0,0 +1,485 @@
+import type {
+  EarthOrientationEntry,
+  SpaErrorField,
+  SpaGrid,
+  SpaGridOptions,
+  SpaPool,
+  SpaPoolOptions,
+  SpaSeries,
+  SpaSeriesOptions,
+} from './types.js';
+import { SPA_GRID_FIELDS, SPA_SERIES_FIELDS } from './types.js';
+import { SpaError } from './errors.js';
+import { currentEarthOrientationTable } from './eop.js';
+import { localTime, utcMillis } from './timezone.js';
+
+// Node built-ins are loaded at runtime so browser bundles do not pull them in.
+// The ESM build gets a createRequire-based __require from the tsup banner.
+declare const __require: NodeRequire;
+const _loadModule = typeof __require === 'function' ? __require : require;
+
+/** The subset of the Web Worker API the pool uses. The package builds without DOM types. */
+interface WebWorker {
+  postMessage(message: unknown): void;
+  addEventListener(type: 'message', listener: (event: { data: PoolResponse }) => void): void;
+  addEventListener(type: 'error', listener: (event: { message: string }) => void): void;
+  terminate(): void;
+}
+declare const Worker: new (url: URL, options: { type: 'module' }) => WebWorker;
+
+const IS_NODE = typeof process !== 'undefined' && process.versions?.node !== undefined;
+
+/**
+ * A job for a pool worker: the name of a library function and its arguments.
+ * `eop`, when present, is the Earth orientation table to load first.
+ * @internal
+ */
+export type PoolRequest = (
+  | { method: 'spaSeries'; args: Parameters<SpaPool['spaSeries']> }
+  | { method: 'spaGrid'; args: Parameters<SpaPool['spaGrid']> }
+) & { eop?: readonly EarthOrientationEntry[] | null };
+
+type SeriesResult = Pick<SpaSeries, 'count' | 'data'>;
+type GridResult = Pick<SpaGrid, 'rows' | 'cols' | 'data'>;
+
+/**
+ * A job result without its field views, which do not survive postMessage().
+ * @internal
+ */
+export type PoolResult = SeriesResult | GridResult;
+
+/**
+ * An Error flattened for postMessage(), which drops subclasses and own properties.
+ * @internal
+ */
+export interface PoolError {
+  name: string;
+  message: string;
+  field?: SpaErrorField;
+  value?: number;
+}
+
+/**
+ * A message from a worker: `ready` once its WASM module has loaded (or
+ * `failed`), then one `result` or `error` per job.
+ * @internal
+ */
+export type PoolResponse =
+  | { type: 'ready' }
+  | { type: 'failed'; error: PoolError }
+  | { type: 'result'; result: PoolResult }
+  | { type: 'error'; error: PoolError };
+
+interface Job {
+  request: PoolRequest;
+  /** The Earth orientation table loaded in this thread when the job was submitted. */
+  eop: ReturnType<typeof currentEarthOrientationTable>;
+  resolve(result: PoolResult): void;
+  reject(err: Error): void;
+}
+
+/** A Node.js or Web worker behind one interface. */
+interface PoolWorker {
+  /** The job this worker is running. */
+  job: Job | null;
+  /** Version of the Earth orientation table last sent to this worker. */
+  eopVersion: number;
+  post(request: PoolRequest): void;
+  /** Let Node.js exit while this worker is idle. No-op in browsers. */
+  setBusy(busy: boolean): void;
+  terminate(): Promise<void>;
+}
+
+/**
+ * Start a worker running dist/worker.mjs. `onExit` is called at most once,
+ * when the worker throws outside a job or exits.
+ */
+function spawnWorker(
+  onMessage: (message: PoolResponse) => void,
+  onExit: (err: Error) => void,
+): PoolWorker {
+  let exited = false;
+  const exit = (err: Error): void => {
+    if (!exited) {
+      exited = true;
+      onExit(err);
+    }
+  };
+
+  if (IS_NODE) {
+    const { Worker: NodeWorker } = _loadModule(
+      'node:worker_threads',
+    ) as typeof import('node:worker_threads');
+    const worker = new NodeWorker(new URL('./worker.mjs', import.meta.url));
+    worker.on('message', onMessage);
+    worker.on('error', exit);
+    worker.on('exit', (code) => exit(new Error(`SPA: pool worker exited with code ${code}`)));
+    return {
+      job: null,
+      eopVersion: 0,
+      post: (request) => worker.postMessage(request),
+      setBusy: (busy) => (busy ? worker.ref() : worker.unref()),
+      terminate: async () => {
+        exited = true;
+        await worker.terminate();
+      },
+    };
+  }
+
+  // Written out in full so that bundlers detect and emit the worker script.
+  const worker = new Worker(new URL('./worker.mjs', import.meta.url), { type: 'module' });
+  worker.addEventListener('message', (event) => onMessage(event.data));
+  worker.addEventListener('error', (event) =>
+    exit(new Error(`SPA: pool worker failed: ${event.message}`)),
+  );
+  return {
+    job: null,
+    eopVersion: 0,
+    post: (request) => worker.postMessage(request),
+    setBusy: () => {},
+    terminate: async () => {
+      exited = true;
+      worker.terminate();
+    },
+  };
+}
+
+/** Rebuild an Error flattened by a worker, including SpaError fields. */
+function reviveError(flat: PoolError): Error {
+  let err: Error;
+  if (flat.field !== undefined && flat.value !== undefined) {
+    err = new SpaError(flat.field, flat.value);
+  } else if (flat.name === 'TypeError') {
+    err = new TypeError(flat.message);
+  } else if (flat.name === 'RangeError') {
+    err = new RangeError(flat.message);
+  } else {
+    err = new Error(flat.message);
+  }
+  err.message = flat.message;
+  return err;
+}
+
+/** Smallest series slice, in rows, or grid slice, in cells, worth a worker of its own. */
+const MIN_SLICE = 4096;
+
+/** Split `total` items into `parts` consecutive runs, as [first, count] pairs. */
+function ranges(total: number, parts: number): [number, number][] {
+  return Array.from({ length: parts }, (_, k) => {
+    const first = Math.floor((k * total) / parts);
+    return [first, Math.floor(((k + 1) * total) / parts) - first];
+  });
+}
+
+/**
+ * Split a spaSeries() job into at most `parts` slices of consecutive rows, or
+ * return null to run it whole. Slices keep the series' fixed UTC offset and
+ * start on whole seconds, so each row falls on the same wall-clock time as in
+ * one call. Invalid arguments are left to the worker to report.
+ */
+function seriesSlices(
+  args: Parameters<SpaPool['spaSeries']>,
+  parts: number,
+): Parameters<SpaPool['spaSeries']>[] | null {
+  const [start, end, stepSeconds, latitude, longitude, options] = args;
+  if (!(start instanceof Date) || !(end instanceof Date) || !Number.isInteger(stepSeconds)) {
+    return null;
+  }
+  const count = Math.floor((end.getTime() - start.getTime()) / (stepSeconds * 1000)) + 1;
+  const n = Math.min(parts, Math.floor(count / MIN_SLICE));
+  if (!(stepSeconds > 0 && n > 1)) return null;
+
+  let time;
+  try {
+    time = localTime(start, options?.timezone, options?.input);
+  } catch {
+    return null;
+  }
+  if (!Number.isInteger(time.timezone * 3600)) return null;
+
+  const first = utcMillis(time);
+  const opts: SpaSeriesOptions = { ...options, timezone: time.timezone, input: 'utc' };
+  return ranges(count, n).map(([row, rows]) => {
+    const sliceStart = first + row * stepSeconds * 1000;
+    const sliceEnd = sliceStart + (rows - 1) * stepSeconds * 1000;
+    return [new Date(sliceStart), new Date(sliceEnd), stepSeconds, latitude, longitude, opts];
+  });
+}
+
+/**
+ * Split a spaGrid() job into at most `parts` slices of consecutive latitudes,
+ * or return null to run it whole.
+ */
+function gridSlices(
+  args: Parameters<SpaPool['spaGrid']>,
+  parts: number,
+): Parameters<SpaPool['spaGrid']>[] | null {
+  const [date, latitudes, longitudes, options] = args;
+  const rows = latitudes?.length;
+  const cols = longitudes?.length;
+  const n = Math.min(parts, rows, Math.floor((rows * cols) / MIN_SLICE));
+  if (!(n > 1)) return null;
+  return ranges(rows, n).map(([row, count]) => [
+    date,
+    Array.prototype.slice.call(latitudes, row, row + count) as number[],
+    longitudes,
+    options,
+  ]);
+}
+
+/**
+ * Join the field-major `data` of consecutive slices, holding `lengths[k]`
+ * values per field, into one field-major buffer.
+ */
+function joinSlices(results: PoolResult[], lengths: number[], fields: number): Float64Array {
+  const total = lengths.reduce((sum, n) => sum + n, 0);
+  const data = new Float64Array(fields * total);
+  let offset = 0;
+  results.forEach(({ data: part }, k) => {
+    const n = lengths[k];
+    for (let f = 0; f < fields; f++) {
+      data.set(part.subarray(f * n, (f + 1) * n), f * total + offset);
+    }
+    offset += n;
+  });
+  return data;
+}
+
+function defaultPoolSize(): number {
+  if (IS_NODE) {
+    return (_loadModule('node:os') as typeof import('node:os')).availableParallelism();
+  }
+  return typeof navigator !== 'undefined' && navigator.hardwareConcurrency > 0
+    ? navigator.hardwareConcurrency
+    : 4;
+}
+
+/**
+ * Start a pool of workers for running spaSeries() and spaGrid() jobs in
+ * parallel: `worker_threads` in Node.js, module Web Workers in browsers.
+ *
+ * Each worker loads its own WASM module, so one job runs per worker at a time
+ * and a job waits in a queue until a worker is idle. The result buffer is
+ * transferred back to the calling thread rather than copied. Errors are
+ * rethrown in the calling thread with the same class, including SpaError.
+ * Each job uses the Earth orientation table that was loaded in the calling
+ * thread when the job was submitted; workers are sent a new table with their
+ * next job after setEarthOrientationTable() changes it.
+ * If a worker crashes, its job rejects and a new worker replaces it.
+ *
+ * A series of at least 2 × MIN_SLICE rows, or a grid of as many cells, is
+ * split into up to `size` slices that run on separate workers and are joined
+ * in order. Grids split between latitudes. If any slice fails, the job is run
+ * again whole so that its error is the one spaSeries() or spaGrid() would throw.
+ *
+ * In Node.js, idle workers do not keep the process alive. Call `close()` when
+ * done to free their memory.
+ *
+ * @param options - Optional pool `size`
+ * @returns A pool that is ready once every worker has loaded its WASM module
+ * @throws {TypeError} If size is not a number
+ * @throws {RangeError} If size is not a positive integer
+ */
+export async function createSpaPool(options?: SpaPoolOptions): Promise<SpaPool> {
+  const size = options?.size ?? defaultPoolSize();
+  if (typeof size !== 'number') {
+    throw new TypeError(`SPA: options.size must be a number, got ${typeof size}`);
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError(`SPA: options.size must be a positive integer, got ${size}`);
+  }
+
+  const workers = new Set<PoolWorker>();
+  const idle: PoolWorker[] = [];
+  const queue: Job[] = [];
+  let closed = false;
+
+  function dispatch(): void {
+    while (queue.length > 0 && idle.length > 0) {
+      const worker = idle.pop()!;
+      const job = queue.shift()!;
+      const { version, entries } = job.eop;
+      try {
+        worker.post(version === worker.eopVersion ? job.request : { ...job.request, eop: entries });
+      } catch (err) {
+        // Arguments that cannot be cloned, such as functions in options.
+        idle.push(worker);
+        job.reject(err as Error);
+        continue;
+      }
+      worker.job = job;
+      worker.eopVersion = version;
+      worker.setBusy(true);
+    }
+  }
+
+  function release(worker: PoolWorker): Job {
+    const job = worker.job!;
+    worker.job = null;
+    worker.setBusy(false);
+    idle.push(worker);
+    return job;
+  }
+
+  function start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let ready = false;
+      const worker = spawnWorker(
+        (message) => {
+          // close() has already settled every job.
+          if (closed) return;
+          switch (message.type) {
+            case 'ready':
+              ready = true;
+              worker.setBusy(false);
+              idle.push(worker);
+              resolve();
+              dispatch();
+              break;
+            case 'failed':
+              workers.delete(worker);
+              void worker.terminate();
+              reject(reviveError(message.error));
+              break;
+            case 'result':
+              release(worker).resolve(message.result);
+              dispatch();
+              break;
+            case 'error':
+              release(worker).reject(reviveError(message.error));
+              dispatch();
+              break;
+          }
+        },
+        (err) => {
+          workers.delete(worker);
+          const i = idle.indexOf(worker);
+          if (i >= 0) idle.splice(i, 1);
+          void worker.terminate();
+          // A worker that never loaded is not replaced, so a broken setup fails once.
+          if (!ready || closed) {
+            reject(err);
+            return;
+          }
+          worker.job?.reject(err);
+          worker.job = null;
+          start().catch((startErr: Error) => {
+            if (workers.size === 0) {
+              for (const job of queue.splice(0)) job.reject(startErr);
+            }
+          });
+        },
+      );
+      workers.add(worker);
+    });
+  }
+
+  async function close(): Promise<void> {
+    if (closed) return;
+    closed = true;
+    const err = new Error('SPA: pool is closed');
+    for (const job of queue.splice(0)) job.reject(err);
+    const stopping = [...workers].map((worker) => {
+      worker.job?.reject(err);
+      worker.job = null;
+      return worker.terminate();
+    });
+    workers.clear();
+    idle.length = 0;
+    await Promise.all(stopping);
+  }
+
+  function run(request: PoolRequest): Promise<PoolResult> {
+    if (closed) {
+      return Promise.reject(new Error('SPA: pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ request, eop: currentEarthOrientationTable(), resolve, reject });
+      dispatch();
+    });
+  }
+
+  /** Run slices of one job in parallel, or resolve null if any of them fails. */
+  function runSlices<T extends PoolResult>(requests: PoolRequest[]): Promise<T[] | null> {
+    return (Promise.all(requests.map(run)) as Promise<T[]>).catch(() => null);
+  }
+
+  async function runSeries(args: Parameters<SpaPool['spaSeries']>): Promise<SeriesResult> {
+    const slices = seriesSlices(args, size);
+    const parts =
+      slices &&
+      (await runSlices<SeriesResult>(slices.map((a) => ({ method: 'spaSeries', args: a }))));
+    if (!parts) {
+      return (await run({ method: 'spaSeries', args })) as SeriesResult;
+    }
+    const counts = parts.map((part) => part.count);
+    return {
+      count: counts.reduce((sum, n) => sum + n, 0),
+      data: joinSlices(parts, counts, SPA_SERIES_FIELDS.length),
+    };
+  }
+
+  async function runGrid(args: Parameters<SpaPool['spaGrid']>): Promise<GridResult> {
+    const slices = gridSlices(args, size);
+    const parts =
+      slices && (await runSlices<GridResult>(slices.map((a) => ({ method: 'spaGrid', args: a }))));
+    if (!parts) {
+      return (await run({ method: 'spaGrid', args })) as GridResult;
+    }
+    const cols = parts[0].cols;
+    return {
+      rows: parts.reduce((sum, part) => sum + part.rows, 0),
+      cols,
+      data: joinSlices(
+        parts,
+        parts.map((part) => part.rows * cols),
+        SPA_GRID_FIELDS.length,
+      ),
+    };
+  }
+
+  try {
+    await Promise.all(Array.from({ length: size }, start));
+  } catch (err) {
+    await close();
+    throw err;
+  }
+
+  return {
+    size,
+
+    async spaSeries(start, end, stepSeconds, latitude, longitude, options) {
+      if ((options as SpaSeriesOptions | undefined)?.out !== undefined) {
+        throw new TypeError('SPA: options.out is not supported by pool jobs');
+      }
+      const { count, data } = await runSeries([
+        start,
+        end,
+        stepSeconds,
+        latitude,
+        longitude,
+        options,
+      ]);
+      const series = { count, data } as SpaSeries;
+      SPA_SERIES_FIELDS.forEach((field, f) => {
+        series[field] = data.subarray(f * count, (f + 1) * count);
+      });
+      return series;
+    },
+
+    async spaGrid(date, latitudes, longitudes, options) {
+      if ((options as SpaGridOptions | undefined)?.out !== undefined) {
+        throw new TypeError('SPA: options.out is not supported by pool jobs');
+      }
+      const { rows, cols, data } = await runGrid([date, latitudes, longitudes, options]);
+      const cells = rows * cols;
+      const grid = { rows, cols, data } as SpaGrid;
+      SPA_GRID_FIELDS.forEach((field, f) => {
+        grid[field] = data.subarray(f * cells, (f + 1) * cells);
+      });
+      return grid;
+    },
+
+    close,
+  };
+}
@@ -8,12 +8,84 @@
  * The wrapper allocates a result struct on the heap, fills it from the
  * spa_data output fields, and returns the pointer. The caller is
  * responsible for reading the doubles and calling spa_free_result().
+ * The earth radius vector r is carried alongside the outputs so that
+ * callers can scale the solar constant without recomputing it.
+ * When the sun neither rises nor sets, transit time and altitude are
+ * filled in anyway and day_type records polar day or polar night.
+ *
+ * spa_calculate_detailed_wrapper() takes the same inputs and writes the
+ * final outputs followed by every intermediate spa_data value (Julian
+ * days, heliocentric and geocentric terms, nutation, hour angles,
+ * refraction) into a caller-allocated buffer of DETAILED_FIELD_COUNT
+ * doubles.
+ *
+ * spa_rise_set_wrapper() solves rise and set for any number of target
+ * sun altitudes in one call (sunrise/sunset, civil, nautical and
+ * astronomical twilight, or custom angles). It follows the NREL
+ * calculate_eot_and_sun_rise_transit_set() procedure, which hard-codes
+ * the sunrise altitude, but reuses the three-day right ascension and
+ * declination table across all altitudes.
+ *
+ * spa_series_wrapper() evaluates a run of evenly spaced instants in one
+ * call and writes the outputs column-major into a caller-allocated
+ * buffer, so a time series crosses the JS/WASM boundary once per chunk
+ * instead of once per instant.
+ *
+ * spa_grid_wrapper() evaluates one instant over a lat/lon grid. The
+ * geocentric sun position depends only on time, so it is computed once
+ * and only the topocentric corrections run per grid cell.
+ *
+ * spa_points_wrapper() evaluates a batch of unrelated instants and
+ * observer locations, each with its own time zone offset and time
+ * scales, so a stream of records crosses the boundary once per batch.
+ *
+ * spa_sun_longitude_wrapper() returns the apparent solar longitude at a
+ * Julian day, for finding equinoxes, solstices and other solar terms.
  *
  * Copyright (c) 2023-2026 Aric Camarata. MIT License.
  */
 
 #include "spa.h"
 #include <stdlib.h>
+#include <math.h>
+
+#define SERIES_FIELD_COUNT 9
+#define GRID_FIELD_COUNT   4
+#define DETAILED_FIELD_COUNT 46
+#define POINT_INPUT_COUNT  11
+#define POINT_FIELD_COUNT  11
+#define SUN_RADIUS 0.26667
+
+/* Defined in spa.c but not declared in spa.h. */
+int    validate_inputs(spa_data *spa);
+double julian_day(int year, int month, int day, int hour, int minute, double second,
+                  double dut1, double tz);
+void   calculate_geocentric_sun_right_ascension_and_declination(spa_data *spa);
+double sun_equatorial_horizontal_parallax(double r);
+double surface_incidence_angle(double zenith, double azimuth_astro, double azm_rotation,
+                               double slope);
+double deg2rad(double degrees);
+double limit_degrees180pm(double degrees);
+double limit_zero2one(double value);
+double dayfrac_to_local_hr(double dayfrac, double timezone);
+double approx_sun_transit_time(double alpha_zero, double longitude, double nu);
+double sun_hour_angle_at_rise_set(double latitude, double delta_zero, double h0_prime);
+void   approx_sun_rise_and_set(double *m_rts, double h0);
+double rts_alpha_delta_prime(double *ad, double n);
+double rts_sun_altitude(double latitude, double delta_prime, double h_prime);
+double sun_rise_and_set(double *m_rts, double *h_rts, double *delta_prime, double latitude,
+                        double *h_prime, double h0_prime, int sun);
+
+/* Index enums from spa.c. */
+enum {JD_MINUS, JD_ZERO, JD_PLUS, JD_COUNT};
+enum {SUN_TRANSIT, SUN_RISE, SUN_SET, SUN_COUNT};
+
+/* spa_result.day_type values. */
+enum {DAY_NORMAL, DAY_POLAR_DAY, DAY_POLAR_NIGHT};
+
+/* Defined below. */
+static void fill_polar_transit(spa_data *spa);
+static int  day_type(const spa_data *spa);
 
 typedef struct {
     double zenith;
@@ -25,9 +97,42 @@ typedef struct {
     double suntransit;
     double sun_transit_alt;
     double eot;
+    double r;
     int    error_code;
+    int    day_type;
 } spa_result;
 
+static void set_inputs(
+    spa_data *spa,
+    int year, int month, int day,
+    int hour, int minute, double second,
+    double timezone,
+    double latitude, double longitude, double elevation,
+    double pressure, double temperature,
+    double delta_ut1, double delta_t,
+    double slope, double azm_rotation, double atmos_refract,
+    int function_code)
+{
+    spa->year          = year;
+    spa->month         = month;
+    spa->day           = day;
+    spa->hour          = hour;
+    spa->minute        = minute;
+    spa->second        = second;
+    spa->timezone      = timezone;
+    spa->latitude      = latitude;
+    spa->longitude     = longitude;
+    spa->elevation     = elevation;
+    spa->pressure      = pressure;
+    spa->temperature   = temperature;
+    spa->delta_ut1     = delta_ut1;
+    spa->delta_t       = delta_t;
+    spa->slope         = slope;
+    spa->azm_rotation  = azm_rotation;
+    spa->atmos_refract = atmos_refract;
+    spa->function      = function_code;
+}
+
 spa_result *spa_calculate_wrapper(
     int year, int month, int day,
     int hour, int minute, double second,
@@ -42,29 +147,17 @@ spa_result *spa_calculate_wrapper(
     if (!result) return NULL;
 
     spa_data spa;
-    spa.year          = year;
-    spa.month         = month;
-    spa.day           = day;
-    spa.hour          = hour;
-    spa.minute        = minute;
-    spa.second        = second;
-    spa.timezone      = timezone;
-    spa.latitude      = latitude;
-    spa.longitude     = longitude;
-    spa.elevation     = elevation;
-    spa.pressure      = pressure;
-    spa.temperature   = temperature;
-    spa.delta_ut1     = delta_ut1;
-    spa.delta_t       = delta_t;
-    spa.slope         = slope;
-    spa.azm_rotation  = azm_rotation;
-    spa.atmos_refract = atmos_refract;
-    spa.function      = function_code;
+    set_inputs(&spa, year, month, day, hour, minute, second, timezone,
+               latitude, longitude, elevation, pressure, temperature,
+               delta_ut1, delta_t, slope, azm_rotation, atmos_refract, function_code);
 
     int rc = spa_calculate(&spa);
     result->error_code = rc;
+    result->day_type   = DAY_NORMAL;
 
     if (rc == 0) {
+        fill_polar_transit(&spa);
+        result->day_type       = day_type(&spa);
         result->zenith         = spa.zenith;
         result->azimuth_astro  = spa.azimuth_astro;
         result->azimuth        = spa.azimuth;
@@ -74,6 +167,7 @@ spa_result *spa_calculate_wrapper(
         result->suntransit     = spa.suntransit;
         result->sun_transit_alt = spa.sta;
         result->eot            = spa.eot;
+        result->r              = spa.r;
     } else {
         result->zenith          = 0.0;
         result->azimuth_astro   = 0.0;
@@ -84,6 +178,7 @@ spa_result *spa_calculate_wrapper(
         result->suntransit      = 0.0;
         result->sun_transit_alt = 0.0;
         result->eot             = 0.0;
+        result->r               = 0.0;
     }
 
     return result;
@@ -92,3 +187,433 @@ spa_result *spa_calculate_wrapper(
 void spa_free_result(spa_result *result) {
     if (result) free(result);
 }
+
+/*
+ * Same inputs as spa_calculate_wrapper(). Writes DETAILED_FIELD_COUNT
+ * doubles to `out`: the nine result fields in spa_result order, then
+ * the spa_data intermediates in spa.h declaration order, then the
+ * day_type code. Values that the selected function code does not
+ * compute are 0.
+ *
+ * Returns the spa_calculate() error code; `out` is untouched on error.
+ */
+int spa_calculate_detailed_wrapper(
+    int year, int month, int day,
+    int hour, int minute, double second,
+    double timezone,
+    double latitude, double longitude, double elevation,
+    double pressure, double temperature,
+    double delta_ut1, double delta_t,
+    double slope, double azm_rotation, double atmos_refract,
+    int function_code, double *out)
+{
+    spa_data spa = {0};
+    set_inputs(&spa, year, month, day, hour, minute, second, timezone,
+               latitude, longitude, elevation, pressure, temperature,
+               delta_ut1, delta_t, slope, azm_rotation, atmos_refract, function_code);
+
+    int rc = spa_calculate(&spa);
+    if (rc != 0) return rc;
+    fill_polar_transit(&spa);
+
+    double values[DETAILED_FIELD_COUNT] = {
+        spa.zenith, spa.azimuth_astro, spa.azimuth, spa.incidence,
+        spa.sunrise, spa.sunset, spa.suntransit, spa.sta, spa.eot,
+        spa.jd, spa.jc, spa.jde, spa.jce, spa.jme,
+        spa.l, spa.b, spa.r,
+        spa.theta, spa.beta,
+        spa.x0, spa.x1, spa.x2, spa.x3, spa.x4,
+        spa.del_psi, spa.del_epsilon, spa.epsilon0, spa.epsilon,
+        spa.del_tau, spa.lamda, spa.nu0, spa.nu,
+        spa.alpha, spa.delta,
+        spa.h, spa.xi, spa.del_alpha, spa.delta_prime, spa.alpha_prime, spa.h_prime,
+        spa.e0, spa.del_e, spa.e,
+        spa.srha, spa.ssha,
+        day_type(&spa),
+    };
+    int i;
+
+    for (i = 0; i < DETAILED_FIELD_COUNT; i++) out[i] = values[i];
+
+    return 0;
+}
+
+/*
+ * Days since 1970-01-01 in the proleptic Gregorian calendar, and the
+ * inverse. Valid for the full SPA year range (-2000 to 6000).
+ * After H. Hinnant, "chrono-Compatible Low-Level Date Algorithms".
+ */
+static long days_from_civil(long y, int m, int d)
+{
+    y -= m <= 2;
+    long era = (y >= 0 ? y : y - 399) / 400;
+    long yoe = y - era * 400;
+    long doy = (153 * (m + (m > 2 ? -3 : 9)) + 2) / 5 + d - 1;
+    long doe = yoe * 365 + yoe / 4 - yoe / 100 + doy;
+    return era * 146097 + doe - 719468;
+}
+
+static void civil_from_days(long z, int *year, int *month, int *day)
+{
+    z += 719468;
+    long era = (z >= 0 ? z : z - 146096) / 146097;
+    long doe = z - era * 146097;
+    long yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+    long doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+    long mp  = (5 * doy + 2) / 153;
+    int  d   = (int)(doy - (153 * mp + 2) / 5 + 1);
+    int  m   = (int)(mp < 10 ? mp + 3 : mp - 9);
+    *year  = (int)(yoe + era * 400 + (m <= 2));
+    *month = m;
+    *day   = d;
+}
+
+/*
+ * Evaluate `count` instants starting at row `offset` of a series that
+ * begins at the given local time and advances by `step` seconds.
+ * Outputs are written column-major to `out`, which must hold
+ * SERIES_FIELD_COUNT * count doubles: out[field * count + row].
+ *
+ * Returns 0 on success, or the first non-zero spa_calculate() error code.
+ */
+int spa_series_wrapper(
+    int year, int month, int day,
+    int hour, int minute, double second,
+    double timezone, double step, int offset, int count,
+    double latitude, double longitude, double elevation,
+    double pressure, double temperature,
+    double delta_ut1, double delta_t,
+    double slope, double azm_rotation, double atmos_refract,
+    int function_code, double *out)
+{
+    long   start_day = days_from_civil(year, month, day);
+    double start_sod = hour * 3600.0 + minute * 60.0 + second;
+    int i;
+
+    spa_data spa = {0};
+    spa.timezone      = timezone;
+    spa.latitude      = latitude;
+    spa.longitude     = longitude;
+    spa.elevation     = elevation;
+    spa.pressure      = pressure;
+    spa.temperature   = temperature;
+    spa.delta_ut1     = delta_ut1;
+    spa.delta_t       = delta_t;
+    spa.slope         = slope;
+    spa.azm_rotation  = azm_rotation;
+    spa.atmos_refract = atmos_refract;
+    spa.function      = function_code;
+
+    for (i = 0; i < count; i++) {
+        double t    = start_sod + (double)(offset + i) * step;
+        double days = floor(t / 86400.0);
+        double sod  = t - days * 86400.0;
+
+        civil_from_days(start_day + (long)days, &spa.year, &spa.month, &spa.day);
+        spa.hour   = (int)(sod / 3600.0);
+        spa.minute = (int)((sod - spa.hour * 3600.0) / 60.0);
+        spa.second = sod - spa.hour * 3600.0 - spa.minute * 60.0;
+        if (spa.second >= 60.0) spa.second = 59.999999;
+
+        int rc = spa_calculate(&spa);
+        if (rc != 0) return rc;
+        fill_polar_transit(&spa);
+
+        out[0 * count + i] = spa.zenith;
+        out[1 * count + i] = spa.azimuth_astro;
+        out[2 * count + i] = spa.azimuth;
+        out[3 * count + i] = spa.incidence;
+        out[4 * count + i] = spa.sunrise;
+        out[5 * count + i] = spa.sunset;
+        out[6 * count + i] = spa.suntransit;
+        out[7 * count + i] = spa.sta;
+        out[8 * count + i] = spa.eot;
+    }
+
+    return 0;
+}
+
+/*
+ * Evaluate one instant at every (latitudes[i], longitudes[j]) pair.
+ * Outputs are written field-major, then row-major to `out`, which must
+ * hold GRID_FIELD_COUNT * n_lat * n_lon doubles:
+ * out[field * n_lat * n_lon + i * n_lon + j].
+ *
+ * Returns 0 on success, or the spa validate_inputs() error code. Only
+ * the first grid cell is bounds-checked; callers validate coordinates.
+ */
+int spa_grid_wrapper(
+    int year, int month, int day,
+    int hour, int minute, double second,
+    double timezone,
+    const double *latitudes, int n_lat,
+    const double *longitudes, int n_lon,
+    double elevation, double pressure, double temperature,
+    double delta_ut1, double delta_t,
+    double slope, double azm_rotation, double atmos_refract,
+    double *out)
+{
+    int cells = n_lat * n_lon;
+    int i, j;
+
+    spa_data spa = {0};
+    spa.year          = year;
+    spa.month         = month;
+    spa.day           = day;
+    spa.hour          = hour;
+    spa.minute        = minute;
+    spa.second        = second;
+    spa.timezone      = timezone;
+    spa.latitude      = n_lat > 0 ? latitudes[0] : 0.0;
+    spa.longitude     = n_lon > 0 ? longitudes[0] : 0.0;
+    spa.elevation     = elevation;
+    spa.pressure      = pressure;
+    spa.temperature   = temperature;
+    spa.delta_ut1     = delta_ut1;
+    spa.delta_t       = delta_t;
+    spa.slope         = slope;
+    spa.azm_rotation  = azm_rotation;
+    spa.atmos_refract = atmos_refract;
+    spa.function      = SPA_ZA_INC;
+
+    int rc = validate_inputs(&spa);
+    if (rc != 0) return rc;
+
+    spa.jd = julian_day(spa.year, spa.month, spa.day, spa.hour,
+                        spa.minute, spa.second, spa.delta_ut1, spa.timezone);
+    calculate_geocentric_sun_right_ascension_and_declination(&spa);
+    spa.xi = sun_equatorial_horizontal_parallax(spa.r);
+
+    for (j = 0; j < n_lon; j++) {
+        double h = observer_hour_angle(spa.nu, longitudes[j], spa.alpha);
+
+        for (i = 0; i < n_lat; i++) {
+            double latitude = latitudes[i];
+            double del_alpha, delta_prime, h_prime, e0, del_e, zenith, azimuth_astro;
+            int k = i * n_lon + j;
+
+            right_ascension_parallax_and_topocentric_dec(latitude, elevation, spa.xi,
+                                                         h, spa.delta, &del_alpha, &delta_prime);
+            h_prime = topocentric_local_hour_angle(h, del_alpha);
+
+            e0     = topocentric_elevation_angle(latitude, delta_prime, h_prime);
+            del_e  = atmospheric_refraction_correction(pressure, temperature, atmos_refract, e0);
+            zenith = topocentric_zenith_angle(topocentric_elevation_angle_corrected(e0, del_e));
+            azimuth_astro = topocentric_azimuth_angle_astro(h_prime, latitude, delta_prime);
+
+            out[0 * cells + k] = zenith;
+            out[1 * cells + k] = azimuth_astro;
+            out[2 * cells + k] = topocentric_azimuth_angle(azimuth_astro);
+            out[3 * cells + k] = surface_incidence_angle(zenith, azimuth_astro,
+                                                         azm_rotation, slope);
+        }
+    }
+
+    return 0;
+}
+
+/*
+ * Evaluate `count` independent points. `in` holds POINT_INPUT_COUNT
+ * doubles per point, point-major: year, month, day, hour, minute,
+ * second, timezone, latitude, longitude, delta_ut1, delta_t. Outputs
+ * are written column-major to `out`, which must hold POINT_FIELD_COUNT
+ * * count doubles: the ten spa_result doubles in struct order, then the
+ * day_type code. out[field * count + point].
+ *
+ * Returns 0 on success. Otherwise returns the spa_calculate() error
+ * code and stores the index of the failing point in `failed`; the
+ * points before it are filled.
+ */
+int spa_points_wrapper(
+    const double *in, int count,
+    double elevation, double pressure, double temperature,
+    double slope, double azm_rotation, double atmos_refract,
+    int function_code, double *out, int *failed)
+{
+    int i;
+
+    for (i = 0; i < count; i++) {
+        const double *p = in + i * POINT_INPUT_COUNT;
+        spa_data spa = {0};
+
+        set_inputs(&spa, (int)p[0], (int)p[1], (int)p[2], (int)p[3], (int)p[4], p[5], p[6],
+                   p[7], p[8], elevation, pressure, temperature, p[9], p[10],
+                   slope, azm_rotation, atmos_refract, function_code);
+
+        int rc = spa_calculate(&spa);
+        if (rc != 0) {
+            *failed = i;
+            return rc;
+        }
+        fill_polar_transit(&spa);
+
+        out[0 * count + i]  = spa.zenith;
+        out[1 * count + i]  = spa.azimuth_astro;
+        out[2 * count + i]  = spa.azimuth;
+        out[3 * count + i]  = spa.incidence;
+        out[4 * count + i]  = spa.sunrise;
+        out[5 * count + i]  = spa.sunset;
+        out[6 * count + i]  = spa.suntransit;
+        out[7 * count + i]  = spa.sta;
+        out[8 * count + i]  = spa.eot;
+        out[9 * count + i]  = spa.r;
+        out[10 * count + i] = day_type(&spa);
+    }
+
+    return 0;
+}
+
+/*
+ * Interpolated topocentric hour angle and altitude of the sun at day
+ * fraction m, as in the loop body of calculate_eot_and_sun_rise_transit_set().
+ */
+static void rts_sun_position(double m, double nu, double *alpha, double *delta,
+                             double latitude, double longitude, double delta_t,
+                             double *delta_prime, double *h_prime, double *h_rts)
+{
+    double nu_rts      = nu + 360.985647*m;
+    double n           = m + delta_t/86400.0;
+    double alpha_prime = rts_alpha_delta_prime(alpha, n);
+
+    *delta_prime = rts_alpha_delta_prime(delta, n);
+    *h_prime     = limit_degrees180pm(nu_rts + longitude - alpha_prime);
+    *h_rts       = rts_sun_altitude(latitude, *delta_prime, *h_prime);
+}
+
+/*
+ * Sun transit and rise/set times for `count` target altitudes of the
+ * sun's center (degrees, negative below the horizon) on the given day.
+ * Writes 2 + 2 * count doubles to `out`:
+ *   out[0]         local transit time [fractional hour]
+ *   out[1]         transit altitude [degrees]
+ *   out[2 + 2k]    local rise time for altitudes[k], or -99999
+ *   out[3 + 2k]    local set time for altitudes[k], or -99999
+ * Transit is always computed, including polar day and polar night.
+ *
+ * Returns 0 on success, or the spa validate_inputs() error code.
+ */
+int spa_rise_set_wrapper(
+    int year, int month, int day,
+    double timezone, double latitude, double longitude, double delta_t,
+    const double *altitudes, int count, double *out)
+{
+    double alpha[JD_COUNT], delta[JD_COUNT];
+    double m_rts[SUN_COUNT], h_rts[SUN_COUNT], delta_prime[SUN_COUNT], h_prime[SUN_COUNT];
+    double nu, m_transit, h0;
+    int i, k;
+
+    spa_data spa = {0};
+    spa.year        = year;
+    spa.month       = month;
+    spa.day         = day;
+    spa.timezone    = timezone;
+    spa.latitude    = latitude;
+    spa.longitude   = longitude;
+    spa.delta_t     = delta_t;
+    spa.pressure    = 1013.25;
+    spa.temperature = 15.0;
+    spa.function    = SPA_ZA_RTS;
+
+    int rc = validate_inputs(&spa);
+    if (rc != 0) return rc;
+
+    spa.jd = julian_day(year, month, day, 0, 0, 0, 0.0, 0.0);
+    calculate_geocentric_sun_right_ascension_and_declination(&spa);
+    nu = spa.nu;
+
+    spa.delta_t = 0;
+    spa.jd--;
+    for (i = 0; i < JD_COUNT; i++) {
+        calculate_geocentric_sun_right_ascension_and_declination(&spa);
+        alpha[i] = spa.alpha;
+        delta[i] = spa.delta;
+        spa.jd++;
+    }
+
+    m_transit = limit_zero2one(approx_sun_transit_time(alpha[JD_ZERO], longitude, nu));
+    rts_sun_position(m_transit, nu, alpha, delta, latitude, longitude, delta_t,
+                     &delta_prime[SUN_TRANSIT], &h_prime[SUN_TRANSIT], &h_rts[SUN_TRANSIT]);
+
+    out[0] = dayfrac_to_local_hr(m_transit - h_prime[SUN_TRANSIT] / 360.0, timezone);
+    out[1] = h_rts[SUN_TRANSIT];
+
+    for (k = 0; k < count; k++) {
+        m_rts[SUN_TRANSIT] = m_transit;
+        h0 = sun_hour_angle_at_rise_set(latitude, delta[JD_ZERO], altitudes[k]);
+
+        if (h0 < 0) {
+            out[2 + 2*k] = out[3 + 2*k] = -99999;
+            continue;
+        }
+
+        approx_sun_rise_and_set(m_rts, h0);
+
+        for (i = SUN_RISE; i <= SUN_SET; i++)
+            rts_sun_position(m_rts[i], nu, alpha, delta, latitude, longitude, delta_t,
+                             &delta_prime[i], &h_prime[i], &h_rts[i]);
+
+        out[2 + 2*k] = dayfrac_to_local_hr(sun_rise_and_set(m_rts, h_rts, delta_prime,
+                           latitude, h_prime, altitudes[k], SUN_RISE), timezone);
+        out[3 + 2*k] = dayfrac_to_local_hr(sun_rise_and_set(m_rts, h_rts, delta_prime,
+                           latitude, h_prime, altitudes[k], SUN_SET), timezone);
+    }
+
+    return 0;
+}
+
+/*
+ * Apparent geocentric longitude of the sun [degrees, 0-360) at Julian day
+ * jd (UT) with the given delta_t. This is spa_data.lamda: the VSOP87
+ * longitude corrected for nutation and aberration.
+ */
+double spa_sun_longitude_wrapper(double jd, double delta_t)
+{
+    spa_data spa = {0};
+    spa.jd      = jd;
+    spa.delta_t = delta_t;
+
+    calculate_geocentric_sun_right_ascension_and_declination(&spa);
+    return spa.lamda;
+}
+
+/*
+ * spa_calculate() sets transit to -99999 along with sunrise and sunset
+ * when the sun does not cross the horizon. The sun still culminates, so
+ * fill in transit time and altitude as spa_rise_set_wrapper() does.
+ */
+static void fill_polar_transit(spa_data *spa)
+{
+    double out[2];
+
+    if (spa->function != SPA_ZA_RTS && spa->function != SPA_ALL) return;
+    if (spa->suntransit != -99999) return;
+
+    spa_rise_set_wrapper(spa->year, spa->month, spa->day, spa->timezone,
+                         spa->latitude, spa->longitude, spa->delta_t, NULL, 0, out);
+    spa->suntransit = out[0];
+    spa->sta        = out[1];
+}
+
+/*
+ * Whether the sun rises and sets on the day of `spa`. With rise/transit/set
+ * computed, a missing sunrise is polar day or night depending on whether the
+ * transit altitude clears the sunrise altitude. Otherwise the sunrise hour
+ * angle equation is evaluated with the declination at the instant.
+ */
+static int day_type(const spa_data *spa)
+{
+    double h0_prime = -(SUN_RADIUS + spa->atmos_refract);
+
+    if (spa->function == SPA_ZA_RTS || spa->function == SPA_ALL) {
+        if (spa->sunrise != -99999) return DAY_NORMAL;
+        return spa->sta >= h0_prime ? DAY_POLAR_DAY : DAY_POLAR_NIGHT;
+    }
+
+    double lat = deg2rad(spa->latitude);
+    double dec = deg2rad(spa->delta);
+    double arg = (sin(deg2rad(h0_prime)) - sin(lat) * sin(dec)) / (cos(lat) * cos(dec));
+
+    if (arg < -1) return DAY_POLAR_DAY;
+    if (arg >  1) return DAY_POLAR_NIGHT;
+    return DAY_NORMAL;
+}
@@ -0,0 +1,252 @@
+import type {
+  SpaSunPath,
+  SpaSunPathPoint,
+  SpaSunPathProjection,
+  SpaSunPathSvgOptions,
+} from './types.js';
+import { assertFiniteNumber } from './validate.js';
+import { DEG } from './math.js';
+
+const PROJECTIONS: readonly SpaSunPathProjection[] = ['stereographic', 'cylindrical'];
+
+/** Space around the plot for labels, in pixels. */
+const MARGIN = 28;
+
+const STYLE = [
+  '.grid{fill:none;stroke:#d0d0d0;stroke-width:1}',
+  '.horizon{fill:none;stroke:#707070;stroke-width:1.5}',
+  '.day{fill:none;stroke:#e07b00;stroke-width:2}',
+  '.analemma{fill:none;stroke:#3a6ea5;stroke-width:1}',
+  'text{font:11px sans-serif;fill:#404040}',
+].join('');
+
+/** Azimuth labels every 30 degrees, cardinal points by letter. */
+const AZIMUTH_LABELS = ['N', '30', '60', 'E', '120', '150', 'S', '210', '240', 'W', '300', '330'];
+
+type Pixel = [number, number];
+
+/** Round to 0.01 px, which keeps the markup short. */
+function num(v: number): string {
+  return String(Math.round(v * 100) / 100);
+}
+
+function escapeText(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function text(x: number, y: number, content: string, anchor = 'middle'): string {
+  return `<text x="${num(x)}" y="${num(y)}" text-anchor="${anchor}">${escapeText(content)}</text>`;
+}
+
+/** "HH:MM" for a fractional clock hour. */
+function clock(hour: number): string {
+  const minutes = Math.round(hour * 60);
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0');
+}
+
+/** "YYYY-MM-DD" of an instant at a fixed UTC offset. */
+function calendarDate(date: Date, timezone: number): string {
+  const local = new Date(date.getTime() + timezone * 3600000);
+  const pad = (n: number): string => String(n).padStart(2, '0');
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+}
+
+/**
+ * Split a sampled curve into the runs above the horizon, in pixels. Where the
+ * curve crosses the horizon between two samples, the run ends on the horizon
+ * at an azimuth interpolated linearly in elevation. `breaks` marks pairs of samples that must not be
+ * joined, such as an azimuth wrap on the cylindrical chart.
+ */
+function visibleRuns(
+  points: readonly SpaSunPathPoint[],
+  project: (p: SpaSunPathPoint) => Pixel,
+  breaks: (a: SpaSunPathPoint, b: SpaSunPathPoint) => boolean,
+): Pixel[][] {
+  const runs: Pixel[][] = [];
+  let run: Pixel[] = [];
+  const flush = (): void => {
+    if (run.length > 1) runs.push(run);
+    run = [];
+  };
+
+  points.forEach((p, i) => {
+    let prev: SpaSunPathPoint | undefined = points[i - 1];
+    if (prev && breaks(prev, p)) {
+      flush();
+      prev = undefined;
+    }
+    const up = p.elevation >= 0;
+    if (prev && prev.elevation >= 0 !== up) {
+      const t = prev.elevation / (prev.elevation - p.elevation);
+      const azimuth =
+        prev.azimuth + t * (((((p.azimuth - prev.azimuth + 540) % 360) + 360) % 360) - 180);
+      const a = azimuth * DEG;
+      run.push(project({ time: prev.time, azimuth, elevation: 0, x: Math.sin(a), y: Math.cos(a) }));
+      if (!up) flush();
+    }
+    if (up) run.push(project(p));
+  });
+  flush();
+  return runs;
+}
+
+function polyline(run: readonly Pixel[], cls: string): string {
+  const coords = run.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+  return `<polyline class="${cls}" points="${coords}"/>`;
+}
+
+/** The highest sample of a curve, if it is above the horizon. */
+function peak(points: readonly SpaSunPathPoint[]): SpaSunPathPoint | null {
+  let best: SpaSunPathPoint | null = null;
+  for (const p of points) {
+    if (p.elevation >= 0 && (!best || p.elevation > best.elevation)) best = p;
+  }
+  return best;
+}
+
+/**
+ * Render a sunPath() result as a standalone SVG document.
+ *
+ * The stereographic chart is the usual polar sun path diagram: the zenith at
+ * the center, the horizon as the outer circle, north up and east to the right,
+ * with elevation circles every 15° and azimuth spokes every 30°. The
+ * cylindrical chart plots elevation against azimuth, centered on south for
+ * northern latitudes and on north for southern ones, so the midday sun is in
+ * the middle.
+ * Day curves are labelled with their date at solar noon and analemmas with
+ * their clock time at their highest point. Everything below the horizon is
+ * clipped.
+ *
+ * Elements carry the classes `grid`, `horizon`, `day`, and `analemma`, with
+ * default colors in an embedded stylesheet that a page's CSS can override.
+ *
+ * @param path - A sunPath() result
+ * @param options - Projection, size, and labels
+ * @returns SVG markup
+ * @throws {TypeError} If path is not a sunPath() result, or an option has the wrong type
+ * @throws {RangeError} If the projection is unknown or the size is not positive
+ */
+export function sunPathSvg(path: SpaSunPath, options?: SpaSunPathSvgOptions): string {
+  if (
+    typeof path !== 'object' ||
+    path === null ||
+    !Array.isArray(path.days) ||
+    !Array.isArray(path.analemmas)
+  ) {
+    throw new TypeError('SPA: path must be a sunPath() result');
+  }
+  assertFiniteNumber(path.timezone, 'path.timezone');
+  assertFiniteNumber(path.latitude, 'path.latitude');
+
+  const opts = options ?? {};
+  const projection = opts.projection ?? 'stereographic';
+  if (!PROJECTIONS.includes(projection)) {
+    throw new RangeError(
+      `SPA: options.projection must be one of ${PROJECTIONS.join(', ')}, got ${String(projection)}`,
+    );
+  }
+  const width = opts.width ?? 600;
+  assertFiniteNumber(width, 'options.width');
+  const height = opts.height ?? (projection === 'stereographic' ? width : width / 2);
+  assertFiniteNumber(height, 'options.height');
+  if (width <= 0 || height <= 0) {
+    throw new RangeError(
+      `SPA: options.width and options.height must be greater than 0, got ${width} x ${height}`,
+    );
+  }
+  const labels = opts.labels ?? true;
+  if (typeof labels !== 'boolean') {
+    throw new TypeError(`SPA: options.labels must be a boolean, got ${typeof labels}`);
+  }
+
+  const out: string[] = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+    `<style>${STYLE}</style>`,
+  ];
+
+  let project: (p: SpaSunPathPoint) => Pixel;
+  let breaks: (a: SpaSunPathPoint, b: SpaSunPathPoint) => boolean;
+
+  if (projection === 'stereographic') {
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.max(1, Math.min(width, height) / 2 - MARGIN);
+    project = (p) => [cx + radius * p.x, cy - radius * p.y];
+    breaks = () => false;
+
+    for (let el = 15; el < 90; el += 15) {
+      const r = radius * Math.tan(((90 - el) * DEG) / 2);
+      out.push(`<circle class="grid" cx="${num(cx)}" cy="${num(cy)}" r="${num(r)}"/>`);
+      if (labels) out.push(text(cx + 3, cy - r - 3, `${el}°`, 'start'));
+    }
+    for (let i = 0; i < 12; i++) {
+      const a = i * 30 * DEG;
+      const x = Math.sin(a);
+      const y = -Math.cos(a);
+      out.push(
+        `<line class="grid" x1="${num(cx)}" y1="${num(cy)}" x2="${num(cx + radius * x)}" y2="${num(cy + radius * y)}"/>`,
+      );
+      if (labels) {
+        out.push(text(cx + (radius + 14) * x, cy + (radius + 14) * y + 4, AZIMUTH_LABELS[i]));
+      }
+    }
+    out.push(`<circle class="horizon" cx="${num(cx)}" cy="${num(cy)}" r="${num(radius)}"/>`);
+  } else {
+    const left = MARGIN;
+    const top = MARGIN / 2;
+    const plotWidth = Math.max(1, width - 2 * MARGIN);
+    const plotHeight = Math.max(1, height - MARGIN - top);
+    const bottom = top + plotHeight;
+    // Azimuth at the left edge: north, or south when the chart is centered on north.
+    const edge = path.latitude < 0 ? 180 : 0;
+    const across = (azimuth: number): number => (((azimuth - edge) % 360) + 360) % 360;
+    project = (p) => [
+      left + across(p.azimuth) * (plotWidth / 360),
+      bottom - p.elevation * (plotHeight / 90),
+    ];
+    breaks = (a, b) => Math.abs(across(b.azimuth) - across(a.azimuth)) > 180;
+
+    for (let el = 15; el <= 90; el += 15) {
+      const y = bottom - el * (plotHeight / 90);
+      out.push(
+        `<line class="grid" x1="${num(left)}" y1="${num(y)}" x2="${num(left + plotWidth)}" y2="${num(y)}"/>`,
+      );
+      if (labels) out.push(text(left - 4, y + 4, `${el}°`, 'end'));
+    }
+    for (let i = 0; i <= 12; i++) {
+      const x = left + i * 30 * (plotWidth / 360);
+      out.push(
+        `<line class="grid" x1="${num(x)}" y1="${num(top)}" x2="${num(x)}" y2="${num(bottom)}"/>`,
+      );
+      if (labels) out.push(text(x, bottom + 14, AZIMUTH_LABELS[(i + edge / 30) % 12]));
+    }
+    out.push(
+      `<line class="horizon" x1="${num(left)}" y1="${num(bottom)}" x2="${num(left + plotWidth)}" y2="${num(bottom)}"/>`,
+    );
+  }
+
+  for (const analemma of path.analemmas) {
+    // Close the loop from December 31 back to January 1.
+    const loop = analemma.points.length > 0 ? [...analemma.points, analemma.points[0]] : [];
+    for (const run of visibleRuns(loop, project, breaks)) out.push(polyline(run, 'analemma'));
+    const top = peak(analemma.points);
+    if (labels && top) {
+      const [x, y] = project(top);
+      out.push(text(x, y - 5, clock(analemma.hour)));
+    }
+  }
+
+  for (const day of path.days) {
+    for (const run of visibleRuns(day.points, project, breaks)) out.push(polyline(run, 'day'));
+    const noon = peak(day.points);
+    if (labels && noon) {
+      const [x, y] = project(noon);
+      out.push(text(x + 4, y + 12, calendarDate(day.date, path.timezone), 'start'));
+    }
+  }
+
+  out.push('</svg>');
+  return out.join('\n');
+}
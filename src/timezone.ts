@@ -0,0 +1,142 @@
+/**
+ * Calendar fields and UTC offset handed to the C wrapper.
+ * @internal
+ */
+export interface LocalTime {
+  year: number;
+  /** 1-12. */
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  /** Hours from UTC. */
+  timezone: number;
+}
+
+// One formatter per zone. Construction is far more expensive than formatting.
+const _formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatterFor(zone: string): Intl.DateTimeFormat {
+  let fmt = _formatters.get(zone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      era: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    _formatters.set(zone, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * Check that `zone` is an IANA time zone name the runtime's Intl data knows.
+ * @internal
+ */
+export function isValidTimeZone(zone: string): boolean {
+  try {
+    formatterFor(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields and UTC offset of `date` in an IANA time zone.
+ * The offset is the one in effect at that instant, so DST is accounted for.
+ * @internal
+ */
+export function zonedTime(date: Date, zone: string): LocalTime {
+  const fields: Record<string, string> = {};
+  for (const part of formatterFor(zone).formatToParts(date)) {
+    fields[part.type] = part.value;
+  }
+
+  // Intl reports BCE years as positive with era "BC"; SPA uses astronomical years.
+  const eraYear = Number(fields.year);
+  const year = fields.era === 'BC' ? 1 - eraYear : eraYear;
+  const month = Number(fields.month);
+  const day = Number(fields.day);
+  const hour = Number(fields.hour);
+  const minute = Number(fields.minute);
+  const second = Number(fields.second);
+
+  const wall = new Date(0);
+  wall.setUTCFullYear(year, month - 1, day);
+  wall.setUTCHours(hour, minute, second, 0);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    timezone: (wall.getTime() - instant) / 3600000,
+  };
+}
+
+/**
+ * Calendar fields for `date` as read by the SPA.
+ *
+ * An IANA zone name resolves the wall clock and offset in that zone. A numeric
+ * offset, or none, is paired with either the host's local wall clock
+ * (`input: 'local'`, the default) or the wall clock derived from the Date's
+ * UTC instant shifted by that offset (`input: 'utc'`). Without an offset, the
+ * host's own offset at `date` is used.
+ * @internal
+ */
+export function localTime(
+  date: Date,
+  timezone: number | string | undefined,
+  input: 'local' | 'utc' = 'local',
+): LocalTime {
+  if (typeof timezone === 'string') {
+    return zonedTime(date, timezone);
+  }
+
+  const tz = timezone ?? -(date.getTimezoneOffset() / 60);
+  if (input === 'utc') {
+    const wall = new Date(date.getTime() + tz * 3600000);
+    return {
+      year: wall.getUTCFullYear(),
+      month: wall.getUTCMonth() + 1,
+      day: wall.getUTCDate(),
+      hour: wall.getUTCHours(),
+      minute: wall.getUTCMinutes(),
+      second: wall.getUTCSeconds(),
+      timezone: tz,
+    };
+  }
+
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    timezone: tz,
+  };
+}
+
+/**
+ * Epoch milliseconds of the instant described by `time`.
+ * @internal
+ */
+export function utcMillis(time: LocalTime): number {
+  const day = new Date(0);
+  day.setUTCFullYear(time.year, time.month - 1, time.day);
+  return (
+    day.getTime() + (time.hour - time.timezone) * 3600000 + (time.minute * 60 + time.second) * 1000
+  );
+}
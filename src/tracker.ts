@@ -0,0 +1,148 @@
+import type { SpaResult, SpaTrackerOptions, SpaTrackerResult } from './types.js';
+import { assertFiniteNumber } from './validate.js';
+import { DEG } from './math.js';
+
+/** Default ground coverage ratio: 2 m modules on 7 m row pitch. */
+const DEFAULT_GCR = 2 / 7;
+
+/**
+ * Surface normal as [east, north, up] to tilt and azimuth in degrees. A
+ * horizontal surface has no azimuth; it is reported as 180 (south).
+ */
+function orientation(east: number, north: number, up: number): [number, number] {
+  const tilt = Math.acos(Math.max(-1, Math.min(1, up))) / DEG;
+  if (Math.abs(east) < 1e-12 && Math.abs(north) < 1e-12) return [tilt, 180];
+  const azimuth = (Math.atan2(east, north) / DEG + 360) % 360;
+  return [tilt, azimuth];
+}
+
+/** Incidence angle in degrees between two unit vectors. */
+function angleBetween(a: readonly number[], b: readonly number[]): number {
+  const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  return Math.acos(Math.max(-1, Math.min(1, dot))) / DEG;
+}
+
+/**
+ * Orient a solar tracker toward a sun position from spa().
+ *
+ * Single-axis trackers follow Marion and Dobos (NREL/TP-6A20-58891, 2013):
+ * the sun vector is rotated into the tracker frame and the ideal rotation is
+ * the angle that puts it in the plane normal to the surface. With `backtrack`,
+ * the rotation is reduced when the row in front would shade the next one, so
+ * that the shadow edge just touches it (Anderson and Mikofski, NREL/TP-5K00-76626,
+ * 2020, on flat ground). `maxAngle` is applied last.
+ *
+ * Dual-axis trackers point straight at the sun, with the tilt capped at
+ * `maxAngle`.
+ *
+ * When the sun is at or below the horizon the tracker stows flat: rotation 0,
+ * or tilt 0 facing south for dual-axis. The incidence angle is still reported.
+ *
+ * @param sun - Topocentric `zenith` and `azimuth` in degrees, e.g. a spa() result
+ * @param options - Tracker geometry
+ * @returns Rotation, surface orientation, and incidence angle
+ * @throws {TypeError} If zenith, azimuth, or option fields have the wrong type
+ * @throws {RangeError} If zenith, azimuth, or option fields are out of range
+ */
+export function tracker(
+  sun: Pick<SpaResult, 'zenith' | 'azimuth'>,
+  options?: SpaTrackerOptions,
+): SpaTrackerResult {
+  if (typeof sun !== 'object' || sun === null) {
+    throw new TypeError('SPA: sun must be an object with zenith and azimuth');
+  }
+  assertFiniteNumber(sun.zenith, 'sun.zenith');
+  assertFiniteNumber(sun.azimuth, 'sun.azimuth');
+  if (sun.zenith < 0 || sun.zenith > 180) {
+    throw new RangeError(`SPA: sun.zenith must be between 0 and 180, got ${sun.zenith}`);
+  }
+
+  const opts = options ?? {};
+  const type = opts.type ?? 'single';
+  if (type !== 'single' && type !== 'dual') {
+    throw new RangeError(`SPA: options.type must be 'single' or 'dual', got ${String(type)}`);
+  }
+  const axisTilt = opts.axisTilt ?? 0;
+  const axisAzimuth = opts.axisAzimuth ?? 180;
+  const maxAngle = opts.maxAngle ?? 90;
+  const backtrack = opts.backtrack ?? true;
+  const gcr = opts.gcr ?? DEFAULT_GCR;
+
+  assertFiniteNumber(axisTilt, 'options.axisTilt');
+  assertFiniteNumber(axisAzimuth, 'options.axisAzimuth');
+  assertFiniteNumber(maxAngle, 'options.maxAngle');
+  assertFiniteNumber(gcr, 'options.gcr');
+  if (axisTilt < 0 || axisTilt > 90) {
+    throw new RangeError(`SPA: options.axisTilt must be between 0 and 90, got ${axisTilt}`);
+  }
+  if (maxAngle < 0 || maxAngle > 180) {
+    throw new RangeError(`SPA: options.maxAngle must be between 0 and 180, got ${maxAngle}`);
+  }
+  if (!(gcr > 0 && gcr <= 1)) {
+    throw new RangeError(`SPA: options.gcr must be greater than 0 and at most 1, got ${gcr}`);
+  }
+  if (typeof backtrack !== 'boolean') {
+    throw new TypeError(`SPA: options.backtrack must be a boolean, got ${typeof backtrack}`);
+  }
+
+  const z = sun.zenith * DEG;
+  const az = sun.azimuth * DEG;
+  const s = [Math.sin(z) * Math.sin(az), Math.sin(z) * Math.cos(az), Math.cos(z)];
+  const up = sun.zenith < 90;
+
+  if (type === 'dual') {
+    const tilt = up ? Math.min(sun.zenith, maxAngle) : 0;
+    const surfaceAzimuth = up ? ((sun.azimuth % 360) + 360) % 360 : 180;
+    const t = tilt * DEG;
+    const a = surfaceAzimuth * DEG;
+    const n = [Math.sin(t) * Math.sin(a), Math.sin(t) * Math.cos(a), Math.cos(t)];
+    return {
+      rotation: tilt,
+      idealRotation: sun.zenith,
+      surfaceTilt: tilt,
+      surfaceAzimuth,
+      incidence: angleBetween(s, n),
+    };
+  }
+
+  // Sun vector in the tracker frame: x across the axis (to its right), y
+  // along it, z normal to the flat surface.
+  const ta = axisTilt * DEG;
+  const aa = axisAzimuth * DEG;
+  const x = s[0] * Math.cos(aa) - s[1] * Math.sin(aa);
+  const zt =
+    s[0] * Math.sin(ta) * Math.sin(aa) + s[1] * Math.sin(ta) * Math.cos(aa) + s[2] * Math.cos(ta);
+  const ideal = Math.atan2(x, zt) / DEG;
+
+  let rotation = 0;
+  if (up) {
+    rotation = ideal;
+    if (backtrack) {
+      // Rows shade each other when the pitch seen along the sun's rays,
+      // pitch * cos(rotation), is shorter than the module width. Rotate back
+      // until the shadow edge just reaches the next row.
+      const c = Math.abs(Math.cos(ideal * DEG)) / gcr;
+      if (c < 1) {
+        rotation -= Math.sign(ideal) * (Math.acos(c) / DEG);
+      }
+    }
+    rotation = Math.max(-maxAngle, Math.min(maxAngle, rotation));
+  }
+
+  // Rotate the tracker-frame normal (sin r, 0, cos r) back to east/north/up.
+  const r = rotation * DEG;
+  const n = [
+    Math.sin(r) * Math.cos(aa) + Math.cos(r) * Math.sin(ta) * Math.sin(aa),
+    -Math.sin(r) * Math.sin(aa) + Math.cos(r) * Math.sin(ta) * Math.cos(aa),
+    Math.cos(r) * Math.cos(ta),
+  ];
+  const [surfaceTilt, surfaceAzimuth] = orientation(n[0], n[1], n[2]);
+
+  return {
+    rotation,
+    idealRotation: ideal,
+    surfaceTilt,
+    surfaceAzimuth,
+    incidence: angleBetween(s, n),
+  };
+}
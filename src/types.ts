@@ -13,12 +13,59 @@ export type SpaFunctionCode =
   | typeof SPA_ZA_RTS
   | typeof SPA_ALL;
 
+/** spa.h input names, as reported by `SpaError.field`. */
+export type SpaErrorField =
+  | 'year'
+  | 'month'
+  | 'day'
+  | 'hour'
+  | 'minute'
+  | 'second'
+  | 'delta_t'
+  | 'timezone'
+  | 'longitude'
+  | 'latitude'
+  | 'elevation'
+  | 'pressure'
+  | 'temperature'
+  | 'slope'
+  | 'azm_rotation'
+  | 'atmos_refract'
+  | 'delta_ut1';
+
+/** Valid range of a spa.h input. `max` is Infinity for an input with no upper limit. */
+export interface SpaErrorRange {
+  min: number;
+  max: number;
+  /** Whether `min` itself is valid. */
+  minInclusive: boolean;
+  /** Whether `max` itself is valid. */
+  maxInclusive: boolean;
+}
+
 export interface SpaOptions {
   /**
-   * Hours from UTC. If omitted, derived from the Date object's local offset.
-   * For historical dates or DST transitions, pass an explicit value.
+   * Hours from UTC, or an IANA time zone name such as `'Europe/Berlin'`.
+   *
+   * A zone name is resolved with `Intl.DateTimeFormat`: the offset in effect at
+   * the calculation instant (DST included) is used, and the local calendar
+   * fields are read in that zone rather than on the host clock.
+   *
+   * If omitted, derived from the Date object's local offset.
    */
-  timezone?: number;
+  timezone?: number | string;
+  /**
+   * How a numeric (or omitted) `timezone` is paired with the Date.
+   *
+   * - `'local'` (default): the Date's wall clock on the host is taken as the
+   *   local time at `timezone`. Matches v2.0 behavior, but the instant is only
+   *   correct when the host zone and `timezone` agree.
+   * - `'utc'`: the Date's UTC instant is converted to wall-clock fields at
+   *   `timezone`. The result depends only on the instant, not on the host.
+   *
+   * Ignored when `timezone` is an IANA zone name, which always uses the instant.
+   */
+  input?: 'local' | 'utc';
   /** Observer elevation in meters above sea level. Default: 0. */
   elevation?: number;
   /** Atmospheric pressure in millibars. Default: 1013.25. */
@@ -27,8 +74,13 @@ export interface SpaOptions {
   temperature?: number;
   /** UT1-UTC correction in seconds. Default: 0. */
   delta_ut1?: number;
-  /** TT-UTC difference in seconds. Default: 67. */
-  delta_t?: number;
+  /**
+   * TT-UT difference in seconds, or `'auto'` to estimate it from the date with
+   * the Espenak–Meeus model (see deltaT()). Default: `'auto'`. The estimate
+   * exceeds the SPA's ±8000 s limit before about AD 270 and after about 3400,
+   * where `'auto'` throws SpaError; pass a value for those dates.
+   */
+  delta_t?: number | 'auto';
   /** Surface slope in degrees from horizontal. Default: 0. */
   slope?: number;
   /** Surface azimuth rotation in degrees from south. Default: 0. */
@@ -39,6 +91,13 @@ export interface SpaOptions {
   function?: SpaFunctionCode;
 }
 
+/**
+ * Whether the sun rises and sets on the calculation day. `'polar_day'` means it
+ * stays above the sunrise altitude all day (midnight sun), `'polar_night'` that
+ * it stays below.
+ */
+export type SpaDayType = 'normal' | 'polar_day' | 'polar_night';
+
 export interface SpaResult {
   /** Topocentric zenith angle in degrees. */
   zenith: number;
@@ -48,18 +107,533 @@ export interface SpaResult {
   azimuth: number;
   /** Surface incidence angle in degrees. */
   incidence: number;
-  /** Local sunrise time as fractional hours. */
+  /** Local sunrise time as fractional hours. -99999 during polar day or night. */
   sunrise: number;
-  /** Local sunset time as fractional hours. */
+  /** Local sunset time as fractional hours. -99999 during polar day or night. */
   sunset: number;
-  /** Local sun transit time (solar noon) as fractional hours. */
+  /** Local sun transit time (solar noon) as fractional hours. Computed in polar cases too. */
   suntransit: number;
-  /** Sun transit altitude in degrees. */
+  /** Sun transit altitude in degrees. Computed in polar cases too. */
   sun_transit_alt: number;
   /** Equation of time in minutes. */
   eot: number;
-  /** SPA error code. Always 0 on a successful return (non-zero throws). */
+  /** Earth radius vector (earth-sun distance) in astronomical units. */
+  r: number;
+  /**
+   * Kasten–Young (1989) relative air mass at the topocentric zenith angle.
+   * NaN with the sun at or below the horizon.
+   */
+  airmass_relative: number;
+  /** Relative air mass scaled by `pressure` / 1013.25 mbar. NaN with the sun at or below the horizon. */
+  airmass_absolute: number;
+  /** Extraterrestrial normal irradiance in W/m², 1361 / r². */
+  dni_extra: number;
+  /** SPA error code. Always 0 on a successful return (non-zero throws a SpaError). */
   error_code: number;
+  /**
+   * Polar day/night classification. With rise/transit/set computed (SPA_ZA_RTS,
+   * SPA_ALL) it follows the sunrise result; otherwise it is derived from the
+   * sun's declination at the instant.
+   */
+  dayType: SpaDayType;
+}
+
+/**
+ * Sunrise, solar noon, and sunset as absolute instants. Each is `null` when the
+ * event does not occur on the requested local day (polar day or polar night).
+ */
+export interface SpaEvents {
+  /** Sunrise instant. */
+  sunrise: Date | null;
+  /** Sun transit (solar noon) instant. Present in polar day and night too. */
+  suntransit: Date | null;
+  /** Sunset instant. */
+  sunset: Date | null;
+}
+
+/** One day of IERS Earth orientation data. */
+export interface EarthOrientationEntry {
+  /** Modified Julian Day of 00:00 UTC. */
+  mjd: number;
+  /** UT1-UTC in seconds. */
+  delta_ut1: number;
+  /** True for IERS predictions, false or absent for observed values. */
+  predicted?: boolean;
+}
+
+/**
+ * What findSolarEvents() looks for: a refraction-corrected sun elevation in
+ * degrees (-90 to 90), or an azimuth in degrees eastward from north (wrapped
+ * into 0-360).
+ */
+export type SpaEventTarget =
+  | { elevation: number; azimuth?: undefined }
+  | { azimuth: number; elevation?: undefined };
+
+/** One crossing found by findSolarEvents(). */
+export interface SpaSolarEvent {
+  /** Instant of the crossing, to within a millisecond of the root. */
+  time: Date;
+  /** Whether the sun's elevation is increasing or decreasing at that instant. */
+  direction: 'rising' | 'setting';
+  /** Refraction-corrected elevation at `time`, in degrees. */
+  elevation: number;
+  /** Azimuth at `time`, in degrees eastward from north. */
+  azimuth: number;
+}
+
+/** One point of a horizon profile, in degrees. */
+export interface SpaHorizonPoint {
+  /** Direction, eastward from north. */
+  azimuth: number;
+  /** Elevation of the skyline in that direction; negative below the astronomical horizon. */
+  elevation: number;
+}
+
+/** A stretch of direct sun between two horizon crossings. */
+export interface SpaSunlightPeriod {
+  /** When the sun emerges, or the start of the local day if it is already visible. */
+  start: Date;
+  /** When the sun is hidden, or the end of the local day if it is still visible. */
+  end: Date;
+}
+
+/** Direct sun over a horizon profile on one local day, from sunlight(). */
+export interface SpaSunlight {
+  /** First time the sun emerges above the horizon profile, or null if it never does. */
+  sunrise: Date | null;
+  /** Last time the sun drops behind the horizon profile, or null if it never does. */
+  sunset: Date | null;
+  /** Sunlit periods in time order, clipped to the local day. */
+  periods: SpaSunlightPeriod[];
+  /** Total direct-sun time in hours. */
+  duration: number;
+  /** Whether the sun is hidden at the requested instant. */
+  shaded: boolean;
+}
+
+/** Options for moon(). There is no surface, so no `slope`, `azm_rotation`, or `function` code. */
+export type SpaMoonOptions = Omit<SpaOptions, 'function' | 'slope' | 'azm_rotation'>;
+
+/** Moon position, phase, and rise/set from moon(). Angles are in degrees. */
+export interface SpaMoonResult {
+  /** Topocentric zenith angle, refraction included. */
+  zenith: number;
+  /** Topocentric azimuth angle, westward from south (astronomical convention). */
+  azimuth_astro: number;
+  /** Topocentric azimuth angle, eastward from north (navigational convention). */
+  azimuth: number;
+  /** Topocentric right ascension. */
+  right_ascension: number;
+  /** Topocentric declination. */
+  declination: number;
+  /** Distance between the centers of the earth and moon in km. */
+  distance: number;
+  /** Equatorial horizontal parallax. */
+  parallax: number;
+  /** Geocentric angular semidiameter. */
+  semidiameter: number;
+  /** Illuminated fraction of the disk, 0 (new) to 1 (full). */
+  illuminated_fraction: number;
+  /** Sun-moon-earth angle, 180 at new moon and 0 at full moon. */
+  phase_angle: number;
+  /** Geocentric angle between the sun and moon. */
+  elongation: number;
+  /**
+   * Position in the lunation from the difference in apparent longitude: 0 new
+   * moon, 0.25 first quarter, 0.5 full moon, 0.75 last quarter.
+   */
+  phase: number;
+  /** First moonrise on the local day, or null if the moon does not rise. */
+  moonrise: Date | null;
+  /** First moonset on the local day, or null if the moon does not set. */
+  moonset: Date | null;
+}
+
+/** Options for sunPath(). Rise/set are not needed, so there is no `function` code. */
+export interface SpaSunPathOptions extends Omit<SpaOptions, 'function'> {
+  /** Calendar year of the analemmas and of the default days. Default: the current year. */
+  year?: number;
+  /** Clock hours of the analemma loops, at least 0 and below 24. Default: 0 through 23. */
+  hours?: readonly number[];
+  /**
+   * Days to trace, each read as a calendar day the way spa() reads its date.
+   * Default: the equinoxes and solstices of `year`.
+   */
+  dates?: readonly Date[];
+  /** Minutes between points on the day curves. Default: 10. */
+  stepMinutes?: number;
+}
+
+/** One sample of a sun path. */
+export interface SpaSunPathPoint {
+  /** Instant of the sample. */
+  time: Date;
+  /** Topocentric azimuth in degrees, eastward from north. */
+  azimuth: number;
+  /** Refraction-corrected elevation in degrees, `90 - zenith`. */
+  elevation: number;
+  /** Stereographic x on the unit disc: east is positive, the horizon is at radius 1. */
+  x: number;
+  /** Stereographic y on the unit disc: north is positive. */
+  y: number;
+}
+
+/** The sun's path over one local calendar day. */
+export interface SpaSunPathDay {
+  /** Local midnight starting the day. */
+  date: Date;
+  /** Samples from 00:00 to 24:00. */
+  points: SpaSunPathPoint[];
+}
+
+/** The sun's position at one clock hour on every day of the year. */
+export interface SpaSunPathAnalemma {
+  /** Clock hour at the fixed offset. */
+  hour: number;
+  /** One sample per day, from January 1. */
+  points: SpaSunPathPoint[];
+}
+
+/** Result of sunPath(). */
+export interface SpaSunPath {
+  /** Observer latitude in degrees. */
+  latitude: number;
+  /** Observer longitude in degrees. */
+  longitude: number;
+  /** UTC offset in hours used for every clock time. */
+  timezone: number;
+  /** Day curves, in the order of `dates`. */
+  days: SpaSunPathDay[];
+  /** Analemma loops, in the order of `hours`. */
+  analemmas: SpaSunPathAnalemma[];
+}
+
+/** Chart projection for sunPathSvg(). */
+export type SpaSunPathProjection = 'stereographic' | 'cylindrical';
+
+/** Options for sunPathSvg(). */
+export interface SpaSunPathSvgOptions {
+  /**
+   * `'stereographic'` (default): a polar chart, zenith at the center and the
+   * horizon as the outer circle. `'cylindrical'`: azimuth across, elevation up.
+   */
+  projection?: SpaSunPathProjection;
+  /** Width in pixels. Default: 600. */
+  width?: number;
+  /** Height in pixels. Default: `width` for stereographic, half of it for cylindrical. */
+  height?: number;
+  /** Draw grid, day, and hour labels. Default: true. */
+  labels?: boolean;
+}
+
+/** Options for twilight(). Rise/set are always computed, so there is no `function` code. */
+export interface SpaTwilightOptions extends Omit<SpaOptions, 'function'> {
+  /**
+   * Extra depression angles in degrees below the horizon (e.g. `[4, 8]`),
+   * returned in `custom` in the same order.
+   */
+  depressions?: number[];
+}
+
+/**
+ * Morning and evening crossing of one sun altitude, as local fractional hours.
+ * Negative (-99999) when the sun does not cross that altitude on the day.
+ */
+export interface SpaTwilightPair {
+  /** Morning crossing (sun rising through the altitude). */
+  dawn: number;
+  /** Evening crossing (sun setting through the altitude). */
+  dusk: number;
+}
+
+export interface SpaTwilight {
+  /** Local sunrise time as fractional hours. */
+  sunrise: number;
+  /** Local sunset time as fractional hours. */
+  sunset: number;
+  /** Local sun transit time (solar noon) as fractional hours. Always computed. */
+  suntransit: number;
+  /** Sun transit altitude in degrees. Always computed. */
+  sun_transit_alt: number;
+  /** Sun center 6 degrees below the horizon. */
+  civil: SpaTwilightPair;
+  /** Sun center 12 degrees below the horizon. */
+  nautical: SpaTwilightPair;
+  /** Sun center 18 degrees below the horizon. */
+  astronomical: SpaTwilightPair;
+  /** One entry per requested `depressions` angle. */
+  custom: (SpaTwilightPair & { depression: number })[];
+}
+
+/** Built-in prayerTimes() calculation methods. */
+export type SpaPrayerMethodName =
+  | 'MWL'
+  | 'ISNA'
+  | 'Egyptian'
+  | 'Karachi'
+  | 'UmmAlQura'
+  | 'Gulf'
+  | 'Kuwait'
+  | 'Qatar'
+  | 'Singapore';
+
+/**
+ * Fajr and Isha rules for prayerTimes(). Isha is either a depression angle
+ * (`isha`) or a fixed interval after Maghrib (`ishaMinutes`), never both.
+ */
+export interface SpaPrayerMethod {
+  /** Depression of the sun's center below the horizon at Fajr, in degrees. */
+  fajr: number;
+  /** Depression of the sun's center below the horizon at Isha, in degrees. */
+  isha?: number;
+  /** Minutes from Maghrib to Isha. */
+  ishaMinutes?: number;
+}
+
+/** Fajr and Isha angles of the calculation methods in common use. */
+export const SPA_PRAYER_METHODS: Readonly<Record<SpaPrayerMethodName, Readonly<SpaPrayerMethod>>> =
+  {
+    /** Muslim World League. */
+    MWL: { fajr: 18, isha: 17 },
+    /** Islamic Society of North America. */
+    ISNA: { fajr: 15, isha: 15 },
+    /** Egyptian General Authority of Survey. */
+    Egyptian: { fajr: 19.5, isha: 17.5 },
+    /** University of Islamic Sciences, Karachi. */
+    Karachi: { fajr: 18, isha: 18 },
+    /** Umm al-Qura University, Makkah. */
+    UmmAlQura: { fajr: 18.5, ishaMinutes: 90 },
+    /** Gulf region. */
+    Gulf: { fajr: 19.5, ishaMinutes: 90 },
+    /** Kuwait. */
+    Kuwait: { fajr: 18, isha: 17.5 },
+    /** Qatar. */
+    Qatar: { fajr: 18, ishaMinutes: 90 },
+    /** Majlis Ugama Islam Singapura. */
+    Singapore: { fajr: 20, isha: 18 },
+  };
+
+/**
+ * How prayerTimes() bounds Fajr and Isha when twilight lasts all night or
+ * takes up most of it, as at high latitudes in summer.
+ */
+export type SpaHighLatitudeRule = 'none' | 'middleOfNight' | 'oneSeventh' | 'angleBased';
+
+/** Options for prayerTimes(). Rise/set are always computed, so there is no `function` code. */
+export interface SpaPrayerTimesOptions extends Omit<SpaOptions, 'function'> {
+  /** Preset name or custom angles (default: 'MWL'). */
+  method?: SpaPrayerMethodName | SpaPrayerMethod;
+  /** Asr shadow length as a multiple of object height, on top of the noon shadow (default: 1; Hanafi: 2). */
+  asrFactor?: number;
+  /** Fajr/Isha bound at high latitudes (default: 'middleOfNight'). */
+  highLatitudeRule?: SpaHighLatitudeRule;
+}
+
+/**
+ * Prayer times as local fractional hours, like spa() rise/set times.
+ * Negative (-99999) when the time does not occur on the day.
+ */
+export interface SpaPrayerTimes {
+  fajr: number;
+  /** Sunrise, the end of the Fajr period. */
+  sunrise: number;
+  /** Solar transit. */
+  dhuhr: number;
+  asr: number;
+  /** Sunset. */
+  maghrib: number;
+  isha: number;
+}
+
+/** Options for seasons() and solarLongitudeCrossing(). */
+export type SpaSeasonOptions = Pick<SpaOptions, 'delta_ut1' | 'delta_t'>;
+
+/** Equinox and solstice instants of one calendar year. */
+export interface SpaSeasons {
+  /** Apparent solar longitude 0°. */
+  marchEquinox: Date;
+  /** Apparent solar longitude 90°. */
+  juneSolstice: Date;
+  /** Apparent solar longitude 180°. */
+  septemberEquinox: Date;
+  /** Apparent solar longitude 270°. */
+  decemberSolstice: Date;
+}
+
+/** Options for tracker(). Angles are in degrees. */
+export interface SpaTrackerOptions {
+  /** 'single' for a single-axis tracker (default), 'dual' for azimuth-elevation tracking. */
+  type?: 'single' | 'dual';
+  /** Single-axis: tilt of the rotation axis from horizontal, 0 to 90 (default: 0). */
+  axisTilt?: number;
+  /**
+   * Single-axis: compass direction the axis points, eastward from north, in
+   * the downhill direction when tilted (default: 180, a north-south axis).
+   */
+  axisAzimuth?: number;
+  /**
+   * Largest rotation either side of flat (single-axis, default: 90) or
+   * largest surface tilt (dual-axis, default: 90).
+   */
+  maxAngle?: number;
+  /** Single-axis: rotate back to avoid row-to-row shading (default: true). */
+  backtrack?: boolean;
+  /** Single-axis: ground coverage ratio, module width over row pitch, in (0, 1] (default: 2/7). */
+  gcr?: number;
+}
+
+/** Tracker orientation from tracker(). Angles are in degrees. */
+export interface SpaTrackerResult {
+  /**
+   * Single-axis: rotation from flat, positive toward the right of the axis
+   * direction (west for the default south-pointing axis), after backtracking
+   * and limits. Dual-axis: the surface tilt.
+   */
+  rotation: number;
+  /** Rotation that points the surface straight at the sun, before backtracking and limits. */
+  idealRotation: number;
+  /** Surface tilt from horizontal. Pass as `slope` to spa(). */
+  surfaceTilt: number;
+  /**
+   * Surface azimuth, eastward from north like `azimuth`. spa()'s
+   * `azm_rotation` is this minus 180.
+   */
+  surfaceAzimuth: number;
+  /** Angle between the sun and the surface normal. */
+  incidence: number;
+}
+
+/** Irradiance components in W/m². */
+export interface SpaIrradiance {
+  /** Global horizontal irradiance. */
+  ghi: number;
+  /** Direct normal irradiance. */
+  dni: number;
+  /** Diffuse horizontal irradiance. */
+  dhi: number;
+}
+
+/** Sky-diffuse transposition models for poaIrradiance(). */
+export type SpaTranspositionModel = 'isotropic' | 'klucher' | 'haydavies' | 'reindl' | 'perez';
+
+/** Options for poaIrradiance(). */
+export interface SpaPoaOptions {
+  /** Sky-diffuse model (default: 'isotropic'). */
+  model?: SpaTranspositionModel;
+  /** Ground reflectance, 0 to 1 (default: 0.25). */
+  albedo?: number;
+  /** Irradiance at 1 AU in W/m², scaled by 1/r² for the extraterrestrial DNI (default: 1361). */
+  solarConstant?: number;
+}
+
+/** Plane-of-array irradiance from poaIrradiance(), in W/m². */
+export interface SpaPoaIrradiance {
+  /** beam + skyDiffuse + groundReflected. */
+  global: number;
+  /** Direct irradiance on the surface. */
+  beam: number;
+  /** Sky-diffuse irradiance on the surface. */
+  skyDiffuse: number;
+  /** Irradiance reflected from the ground onto the surface. */
+  groundReflected: number;
+  /** Angle of incidence of the beam on the surface, in degrees. */
+  incidence: number;
+}
+
+/** Clear-sky models for clearSky(). */
+export type SpaClearSkyModel = 'ineichen' | 'haurwitz' | 'simplifiedSolis';
+
+/** Options for clearSky(). The sun position always includes zenith, so there is no `function` code. */
+export interface SpaClearSkyOptions extends Omit<SpaOptions, 'function'> {
+  /** Clear-sky model (default: 'ineichen'). */
+  model?: SpaClearSkyModel;
+  /** Linke turbidity at air mass 2, typically 2 to 7. Required for 'ineichen'. */
+  linkeTurbidity?: number;
+  /** Aerosol optical depth at 700 nm for 'simplifiedSolis' (default: 0.1). */
+  aod700?: number;
+  /** Precipitable water in cm for 'simplifiedSolis' (default: 1). */
+  precipitableWater?: number;
+  /** Irradiance at 1 AU in W/m², scaled by 1/r² for the extraterrestrial DNI (default: 1361). */
+  solarConstant?: number;
+}
+
+/**
+ * spa() result plus every intermediate value computed by the SPA.
+ * Names follow the spa_data fields in spa.h. Rise/transit/set values
+ * (including `srha` and `ssha`) are 0 when the function code skips them.
+ */
+export interface SpaDetailedResult extends SpaResult {
+  /** Julian day. */
+  jd: number;
+  /** Julian century. */
+  jc: number;
+  /** Julian ephemeris day. */
+  jde: number;
+  /** Julian ephemeris century. */
+  jce: number;
+  /** Julian ephemeris millennium. */
+  jme: number;
+  /** Earth heliocentric longitude in degrees. */
+  l: number;
+  /** Earth heliocentric latitude in degrees. */
+  b: number;
+  /** Geocentric longitude in degrees. */
+  theta: number;
+  /** Geocentric latitude in degrees. */
+  beta: number;
+  /** Mean elongation of the moon from the sun in degrees. */
+  x0: number;
+  /** Mean anomaly of the sun in degrees. */
+  x1: number;
+  /** Mean anomaly of the moon in degrees. */
+  x2: number;
+  /** Moon's argument of latitude in degrees. */
+  x3: number;
+  /** Longitude of the moon's ascending node in degrees. */
+  x4: number;
+  /** Nutation in longitude in degrees. */
+  del_psi: number;
+  /** Nutation in obliquity in degrees. */
+  del_epsilon: number;
+  /** Mean obliquity of the ecliptic in arc seconds. */
+  epsilon0: number;
+  /** True obliquity of the ecliptic in degrees. */
+  epsilon: number;
+  /** Aberration correction in degrees. */
+  del_tau: number;
+  /** Apparent sun longitude in degrees. */
+  lamda: number;
+  /** Greenwich mean sidereal time in degrees. */
+  nu0: number;
+  /** Greenwich apparent sidereal time in degrees. */
+  nu: number;
+  /** Geocentric sun right ascension in degrees. */
+  alpha: number;
+  /** Geocentric sun declination in degrees. */
+  delta: number;
+  /** Observer local hour angle in degrees. */
+  h: number;
+  /** Sun equatorial horizontal parallax in degrees. */
+  xi: number;
+  /** Sun right ascension parallax in degrees. */
+  del_alpha: number;
+  /** Topocentric sun declination in degrees. */
+  delta_prime: number;
+  /** Topocentric sun right ascension in degrees. */
+  alpha_prime: number;
+  /** Topocentric local hour angle in degrees. */
+  h_prime: number;
+  /** Topocentric elevation angle without refraction, in degrees. */
+  e0: number;
+  /** Atmospheric refraction correction in degrees. */
+  del_e: number;
+  /** Topocentric elevation angle with refraction, in degrees. */
+  e: number;
+  /** Sunrise hour angle in degrees. */
+  srha: number;
+  /** Sunset hour angle in degrees. */
+  ssha: number;
 }
 
 export interface SpaFormattedResult extends Omit<SpaResult, 'sunrise' | 'sunset' | 'suntransit'> {
@@ -67,10 +641,140 @@ export interface SpaFormattedResult extends Omit<SpaResult, 'sunrise' | 'sunset'
   sunrise: string;
   /** Local sunset time as HH:MM:SS string. "N/A" during polar day/night. */
   sunset: string;
-  /** Local sun transit time as HH:MM:SS string. "N/A" during polar day/night. */
+  /** Local sun transit time as HH:MM:SS string. */
   suntransit: string;
 }
 
+/**
+ * Column order of a spaSeries() data buffer. Column `i` occupies
+ * `data[i * count]` through `data[(i + 1) * count - 1]`.
+ */
+export const SPA_SERIES_FIELDS = [
+  'zenith',
+  'azimuth_astro',
+  'azimuth',
+  'incidence',
+  'sunrise',
+  'sunset',
+  'suntransit',
+  'sun_transit_alt',
+  'eot',
+] as const;
+
+export type SpaSeriesField = (typeof SPA_SERIES_FIELDS)[number];
+
+export interface SpaSeriesOptions extends SpaOptions {
+  /**
+   * Caller-provided output buffer. Must hold at least
+   * `SPA_SERIES_FIELDS.length * count` values. Allocated when omitted.
+   */
+  out?: Float64Array;
+}
+
+/**
+ * Result of spaSeries(). Each field is a view into `data` holding one value
+ * per instant, in chronological order.
+ */
+export type SpaSeries = Record<SpaSeriesField, Float64Array> & {
+  /** Number of instants in the series. */
+  count: number;
+  /** Column-major backing buffer, ordered as SPA_SERIES_FIELDS. */
+  data: Float64Array;
+};
+
+/**
+ * Field order of a spaGrid() data buffer. Field `i` occupies
+ * `data[i * rows * cols]` through `data[(i + 1) * rows * cols - 1]`.
+ */
+export const SPA_GRID_FIELDS = ['zenith', 'azimuth_astro', 'azimuth', 'incidence'] as const;
+
+export type SpaGridField = (typeof SPA_GRID_FIELDS)[number];
+
+/**
+ * Options for spaGrid(). Rise/transit/set values are not computed for grids,
+ * so there is no `function` code.
+ */
+export interface SpaGridOptions extends Omit<SpaOptions, 'function'> {
+  /**
+   * Caller-provided output buffer. Must hold at least
+   * `SPA_GRID_FIELDS.length * rows * cols` values. Allocated when omitted.
+   */
+  out?: Float64Array;
+}
+
+/**
+ * Result of spaGrid(). Each field is a view into `data` holding one value per
+ * cell in row-major order: cell `(i, j)` is at index `i * cols + j`, where `i`
+ * indexes latitudes and `j` indexes longitudes.
+ */
+export type SpaGrid = Record<SpaGridField, Float64Array> & {
+  /** Number of latitudes (grid rows). */
+  rows: number;
+  /** Number of longitudes (grid columns). */
+  cols: number;
+  /** Field-major backing buffer, ordered as SPA_GRID_FIELDS. */
+  data: Float64Array;
+};
+
+/** The instant and location of one spaStream() record. */
+export interface SpaStreamPoint {
+  /** A Date, or epoch milliseconds or a date string for `new Date()`. */
+  date: Date | number | string;
+  latitude: number;
+  longitude: number;
+}
+
+export interface SpaStreamOptions<T = SpaStreamPoint> extends SpaOptions {
+  /** Records computed per batch. Default: 1024. */
+  chunkSize?: number;
+  /**
+   * Read the instant and location of a record. Default: the record's own
+   * `date`, `latitude`, and `longitude` properties.
+   */
+  point?: (record: T) => SpaStreamPoint;
+}
+
+/** A spaStream() record with the SpaResult fields added. Result fields replace record fields of the same name. */
+export type SpaStreamResult<T> = Omit<T, keyof SpaResult> & SpaResult;
+
+export interface SpaPoolOptions {
+  /**
+   * Number of workers. Default: the number of logical CPUs,
+   * `os.availableParallelism()` in Node.js or `navigator.hardwareConcurrency`
+   * in browsers.
+   */
+  size?: number;
+}
+
+/**
+ * A pool of workers created by createSpaPool(), each with its own WASM module.
+ * Jobs run on the next idle worker and their results are transferred back
+ * without copying. Each job's promise settles with its own result, so
+ * `Promise.all()` over many jobs keeps them in input order.
+ */
+export interface SpaPool {
+  /** Number of workers. */
+  readonly size: number;
+  /** spaSeries() on a worker. `options.out` is not supported. */
+  spaSeries(
+    start: Date,
+    end: Date,
+    stepSeconds: number,
+    latitude: number,
+    longitude: number,
+    options?: Omit<SpaSeriesOptions, 'out'>,
+  ): Promise<SpaSeries>;
+  /** spaGrid() on a worker. `options.out` is not supported. */
+  spaGrid(
+    date: Date,
+    latitudes: ArrayLike<number>,
+    longitudes: ArrayLike<number>,
+    options?: Omit<SpaGridOptions, 'out'>,
+  ): Promise<SpaGrid>;
+  /** Terminate every worker. Queued and running jobs reject. */
+  close(): Promise<void>;
+}
+
 /**
  * Emscripten module interface. Matches the shape returned by createSpaModule().
  * @internal
@@ -78,4 +782,5 @@ export interface SpaFormattedResult extends Omit<SpaResult, 'sunrise' | 'sunset'
 export interface SpaWasmModule {
   cwrap(name: string, returnType: string | null, argTypes: string[]): (...args: never[]) => unknown;
   getValue(ptr: number, type: string): number;
+  HEAPF64: Float64Array;
 }
@@ -0,0 +1,12 @@
+/**
+ * Validate that a value is a finite number, throwing a clear error if not.
+ * @internal
+ */
+export function assertFiniteNumber(value: unknown, name: string): asserts value is number {
+  if (typeof value !== 'number') {
+    throw new TypeError(`SPA: ${name} must be a finite number, got ${typeof value}`);
+  }
+  if (!isFinite(value)) {
+    throw new RangeError(`SPA: ${name} must be a finite number, got ${value}`);
+  }
+}
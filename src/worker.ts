@@ -0,0 +1,71 @@
+// Entry point of a createSpaPool() worker, built to dist/worker.mjs. Each
+// worker imports its own copy of the library and so loads its own WASM module.
+import { init, setEarthOrientationTable, spaGrid, spaSeries } from './index.js';
+import { SpaError } from './errors.js';
+import type { PoolError, PoolRequest, PoolResponse } from './pool.js';
+
+declare const __require: NodeRequire;
+
+/** The subset of a Web Worker's global scope used here. */
+declare const self: {
+  postMessage(message: PoolResponse, transfer?: ArrayBuffer[]): void;
+  addEventListener(type: 'message', listener: (event: { data: PoolRequest }) => void): void;
+};
+
+function flattenError(err: unknown): PoolError {
+  if (err instanceof SpaError) {
+    return { name: err.name, message: err.message, field: err.field, value: err.value };
+  }
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message };
+  }
+  return { name: 'Error', message: String(err) };
+}
+
+async function handle(request: PoolRequest): Promise<PoolResponse> {
+  try {
+    if (request.eop !== undefined) {
+      setEarthOrientationTable(request.eop);
+    }
+    if (request.method === 'spaSeries') {
+      const { count, data } = await spaSeries(...request.args);
+      return { type: 'result', result: { count, data } };
+    }
+    const { rows, cols, data } = await spaGrid(...request.args);
+    return { type: 'result', result: { rows, cols, data } };
+  } catch (err) {
+    return { type: 'error', error: flattenError(err) };
+  }
+}
+
+/** Connect to the pool through `parentPort` in Node.js or the worker scope in browsers. */
+function connect(): {
+  post(message: PoolResponse, transfer?: ArrayBuffer[]): void;
+  listen(handler: (request: PoolRequest) => void): void;
+} {
+  if (typeof process !== 'undefined' && process.versions?.node !== undefined) {
+    const { parentPort } = __require('node:worker_threads') as typeof import('node:worker_threads');
+    return {
+      post: (message, transfer = []) => parentPort!.postMessage(message, transfer),
+      listen: (handler) => parentPort!.on('message', handler),
+    };
+  }
+  return {
+    post: (message, transfer) => self.postMessage(message, transfer),
+    listen: (handler) => self.addEventListener('message', (event) => handler(event.data)),
+  };
+}
+
+const port = connect();
+
+port.listen((request) => {
+  void handle(request).then((response) => {
+    const transfer = response.type === 'result' ? [response.result.data.buffer as ArrayBuffer] : [];
+    port.post(response, transfer);
+  });
+});
+
+init().then(
+  () => port.post({ type: 'ready' }),
+  (err: unknown) => port.post({ type: 'failed', error: flattenError(err) }),
+);
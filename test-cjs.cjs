@@ -2,14 +2,38 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { spa, spaFormatted, formatTime, init, SPA_ZA, SPA_ALL } = require('./dist/index.cjs');
+const { spa, spaFormatted, spaSync, spaFormattedSync, spaDetailed, spaEvents, findSolarEvents, twilight, prayerTimes, clearSky, sunlight, isShaded, sunPath, sunPathSvg, moon, seasons, spaSeries, spaGrid, formatTime, tracker, poaIrradiance, deltaT, setEarthOrientationTable, init, SpaError, createSpaPool, spaStream, spaIterate, SPA_ZA, SPA_ALL } = require('./dist/index.cjs');
 
 describe('CJS exports', () => {
   it('all exports are available', () => {
     assert.equal(typeof spa, 'function');
     assert.equal(typeof spaFormatted, 'function');
+    assert.equal(typeof spaSync, 'function');
+    assert.equal(typeof spaFormattedSync, 'function');
+    assert.equal(typeof spaDetailed, 'function');
+    assert.equal(typeof spaEvents, 'function');
+    assert.equal(typeof findSolarEvents, 'function');
+    assert.equal(typeof twilight, 'function');
+    assert.equal(typeof prayerTimes, 'function');
+    assert.equal(typeof clearSky, 'function');
+    assert.equal(typeof sunlight, 'function');
+    assert.equal(typeof isShaded, 'function');
+    assert.equal(typeof sunPath, 'function');
+    assert.equal(typeof sunPathSvg, 'function');
+    assert.equal(typeof moon, 'function');
+    assert.equal(typeof seasons, 'function');
+    assert.equal(typeof spaSeries, 'function');
+    assert.equal(typeof spaGrid, 'function');
     assert.equal(typeof formatTime, 'function');
+    assert.equal(typeof tracker, 'function');
+    assert.equal(typeof poaIrradiance, 'function');
+    assert.equal(typeof deltaT, 'function');
+    assert.equal(typeof setEarthOrientationTable, 'function');
     assert.equal(typeof init, 'function');
+    assert.equal(typeof SpaError, 'function');
+    assert.equal(typeof createSpaPool, 'function');
+    assert.equal(typeof spaStream, 'function');
+    assert.equal(typeof spaIterate, 'function');
     assert.equal(SPA_ZA, 0);
     assert.equal(SPA_ALL, 3);
   });
@@ -29,6 +53,15 @@ describe('CJS spa()', () => {
   });
 });
 
+describe('CJS spaSync()', () => {
+  it('returns a result after init()', async () => {
+    await init();
+    const result = spaSync(new Date(2023, 3, 1, 12, 0, 0), 40.7128, -74.006, { timezone: -4 });
+    assert.equal(result.error_code, 0);
+    assert.ok(result.zenith > 0);
+  });
+});
+
 describe('CJS spaFormatted()', () => {
   it('returns formatted time strings', async () => {
     const fmt = await spaFormatted(
@@ -41,6 +74,19 @@ describe('CJS spaFormatted()', () => {
   });
 });
 
+describe('CJS createSpaPool()', () => {
+  it('finds the worker script from the CJS build', async () => {
+    const pool = await createSpaPool({ size: 1 });
+    try {
+      const grid = await pool.spaGrid(new Date(Date.UTC(2024, 5, 21, 12)), [0, 45], [0, 90], { timezone: 0 });
+      assert.equal(grid.zenith.length, 4);
+      assert.ok(grid.zenith[0] > 0);
+    } finally {
+      await pool.close();
+    }
+  });
+});
+
 describe('CJS formatTime()', () => {
   it('formats correctly', () => {
     assert.equal(formatTime(6.5), '06:30:00');
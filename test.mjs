@@ -1,12 +1,52 @@
-import { describe, it } from 'node:test';
+import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { spa, spaFormatted, formatTime, init, SPA_ZA, SPA_ZA_INC, SPA_ZA_RTS, SPA_ALL } from './dist/index.mjs';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import {
+  spa, spaFormatted, spaSync, spaFormattedSync, spaDetailed, spaEvents, findSolarEvents, twilight, prayerTimes, clearSky, sunlight, isShaded, sunPath, sunPathSvg, moon, seasons, solarLongitudeCrossing, spaSeries, spaGrid, formatTime, tracker, poaIrradiance, deltaT, parseEarthOrientation, setEarthOrientationTable, init,
+  SpaError, createSpaPool, spaStream, spaIterate,
+  SPA_ZA, SPA_ZA_INC, SPA_ZA_RTS, SPA_ALL, SPA_SERIES_FIELDS, SPA_GRID_FIELDS, SPA_PRAYER_METHODS,
+} from './dist/index.mjs';
 
 function approx(actual, expected, tolerance, label) {
   const diff = Math.abs(actual - expected);
   assert.ok(diff <= tolerance, `${label}: expected ${expected}, got ${actual} (diff: ${diff.toFixed(6)})`);
 }
 
+// Must run first: every later suite initializes the module.
+describe('sync API before init()', () => {
+  it('spaSync() throws a not-initialized error', () => {
+    assert.throws(() => spaSync(new Date(2023, 0, 1), 40, -74), /not initialized/);
+  });
+
+  it('spaFormattedSync() throws a not-initialized error', () => {
+    assert.throws(() => spaFormattedSync(new Date(2023, 0, 1), 40, -74), /not initialized/);
+  });
+
+  it('validation errors take precedence over the init check', () => {
+    assert.throws(() => spaSync(new Date(2023, 0, 1), 91, -74), RangeError);
+  });
+});
+
+describe('WASM module', () => {
+  it('exports everything build:wasm lists', async () => {
+    const require = createRequire(import.meta.url);
+    const buildWasm = require('./package.json').scripts['build:wasm'];
+    const list = (setting) => JSON.parse(buildWasm.match(new RegExp(`-s${setting}='(\\[.*?\\])'`))[1]);
+    const mod = await require('./wasm/spa-module.js')();
+    for (const name of list('EXPORTED_FUNCTIONS')) {
+      assert.equal(typeof mod[name], 'function', `${name} is not exported; run pnpm run build:wasm`);
+    }
+    for (const name of list('EXPORTED_RUNTIME_METHODS')) {
+      assert.ok(mod[name] !== undefined, `${name} is not exported; run pnpm run build:wasm`);
+    }
+    assert.ok(mod.HEAPF64 instanceof Float64Array);
+  });
+});
+
 describe('spa()', () => {
   it('NYC, April 1 2023, midnight local (UTC-4)', async () => {
     const nyc = await spa(
@@ -109,6 +149,234 @@ describe('spa()', () => {
   });
 });
 
+describe('IANA time zones', () => {
+  it('uses the zone offset and wall clock, including DST', async () => {
+    const summer = await spa(new Date(Date.UTC(2025, 5, 21, 10, 0, 0)), 52.52, 13.405, {
+      timezone: 'Europe/Berlin',
+    });
+    const summerFixed = await spa(new Date(2025, 5, 21, 12, 0, 0), 52.52, 13.405, { timezone: 2 });
+    assert.deepEqual(summer, summerFixed);
+
+    const winter = await spa(new Date(Date.UTC(2025, 0, 15, 11, 0, 0)), 52.52, 13.405, {
+      timezone: 'Europe/Berlin',
+    });
+    const winterFixed = await spa(new Date(2025, 0, 15, 12, 0, 0), 52.52, 13.405, { timezone: 1 });
+    assert.deepEqual(winter, winterFixed);
+  });
+
+  it('reads the calendar day in the zone, not on the host', async () => {
+    // 2025-03-01 02:00 UTC is still Feb 28 in Los Angeles.
+    const res = await spa(new Date(Date.UTC(2025, 2, 1, 2, 0, 0)), 34.05, -118.24, {
+      timezone: 'America/Los_Angeles',
+    });
+    const fixed = await spa(new Date(2025, 1, 28, 18, 0, 0), 34.05, -118.24, { timezone: -8 });
+    assert.deepEqual(res, fixed);
+  });
+
+  it('handles half-hour zones', async () => {
+    const res = await spa(new Date(Date.UTC(2025, 0, 1, 6, 30, 0)), 28.61, 77.21, {
+      timezone: 'Asia/Kolkata',
+    });
+    const fixed = await spa(new Date(2025, 0, 1, 12, 0, 0), 28.61, 77.21, { timezone: 5.5 });
+    assert.deepEqual(res, fixed);
+  });
+
+  it('applies to spaEvents()', async () => {
+    const events = await spaEvents(new Date(Date.UTC(2025, 5, 21, 10)), 52.52, 13.405, {
+      timezone: 'Europe/Berlin',
+    });
+    const hours = await spa(new Date(2025, 5, 21, 12), 52.52, 13.405, { timezone: 2 });
+    const dayStart = Date.UTC(2025, 5, 21) - 2 * 3600e3;
+    approx((events.sunrise.getTime() - dayStart) / 3600e3, hours.sunrise, 1e-6, 'sunrise');
+  });
+
+  it('rejects unknown zone names', async () => {
+    await assert.rejects(() => spa(new Date(), 40, -74, { timezone: 'Mars/Olympus_Mons' }), RangeError);
+  });
+
+  it('rejects non-numeric, non-string timezones', async () => {
+    await assert.rejects(() => spa(new Date(), 40, -74, { timezone: NaN }), RangeError);
+    await assert.rejects(() => spa(new Date(), 40, -74, { timezone: {} }), TypeError);
+  });
+});
+
+describe('UTC input mode', () => {
+  it('converts the UTC instant to wall-clock fields at the given offset', async () => {
+    const utc = await spa(new Date(Date.UTC(2023, 3, 1, 4, 0, 0)), 40.7128, -74.006, {
+      timezone: -4, input: 'utc',
+    });
+    const local = await spa(new Date(2023, 3, 1, 0, 0, 0), 40.7128, -74.006, { timezone: -4 });
+    assert.deepEqual(utc, local);
+    approx(utc.zenith, 132.82, 0.1, 'zenith');
+  });
+
+  it('crosses the date line with fractional offsets', async () => {
+    const utc = await spa(new Date(Date.UTC(2024, 11, 31, 20, 30, 15)), -36.85, 174.76, {
+      timezone: 12.75, input: 'utc',
+    });
+    const local = await spa(new Date(2025, 0, 1, 9, 15, 15), -36.85, 174.76, { timezone: 12.75 });
+    assert.deepEqual(utc, local);
+  });
+
+  it('applies to spaEvents()', async () => {
+    const start = new Date(Date.UTC(2025, 5, 21, 16, 0, 0));
+    const events = await spaEvents(start, 40.7128, -74.006, { timezone: -4, input: 'utc' });
+    const local = await spaEvents(new Date(2025, 5, 21, 12), 40.7128, -74.006, { timezone: -4 });
+    assert.deepEqual(events, local);
+  });
+
+  it('rejects unknown input modes', async () => {
+    await assert.rejects(() => spa(new Date(), 40, -74, { input: 'gmt' }), RangeError);
+  });
+});
+
+describe('delta T model', () => {
+  it('matches published Espenak-Meeus values', () => {
+    approx(deltaT(1000), 1574.2, 1e-9, '1000');
+    approx(deltaT(1900), -2.79, 1e-9, '1900');
+    approx(deltaT(1975), 45.45, 1e-9, '1975');
+    approx(deltaT(2000), 63.86, 1e-9, '2000');
+    approx(deltaT(-1000), 25428, 1, '-1000');
+  });
+
+  it('is continuous across polynomial boundaries', () => {
+    for (const y of [-500, 500, 1600, 1700, 1800, 1860, 1900, 1920, 1941, 1961, 1986, 2005, 2050, 2150]) {
+      approx(deltaT(y - 1e-9), deltaT(y), 0.5, `year ${y}`);
+    }
+  });
+
+  it("is the default, and equal to delta_t: 'auto'", async () => {
+    const date = new Date(1800, 5, 21, 12, 0, 0);
+    const opts = { timezone: 0 };
+    const byDefault = await spa(date, 51.48, 0, opts);
+    const auto = await spa(date, 51.48, 0, { ...opts, delta_t: 'auto' });
+    const explicit = await spa(date, 51.48, 0, { ...opts, delta_t: deltaT(1800 + 5.5 / 12) });
+    assert.deepEqual(byDefault, auto);
+    assert.deepEqual(auto, explicit);
+  });
+
+  it('throws SpaError where the estimate exceeds the SPA limit of 8000 s', async () => {
+    const date = new Date(2000, 5, 21, 12, 0, 0);
+    date.setFullYear(0);
+    await assert.rejects(
+      () => spa(date, 30, 31, { timezone: 2 }),
+      (err) => {
+        assert.ok(err instanceof SpaError);
+        assert.equal(err.code, 7);
+        assert.equal(err.field, 'delta_t');
+        assert.equal(err.value, deltaT(0 + 5.5 / 12));
+        assert.match(err.message, /^SPA: the deltaT\(\) estimate for 0-06 must be between -8000 and 8000/);
+        return true;
+      },
+    );
+    date.setFullYear(3500);
+    await assert.rejects(() => spa(date, 30, 31, { timezone: 2, delta_t: 'auto' }), SpaError);
+    // An explicit value is still accepted.
+    assert.equal((await spa(date, 30, 31, { timezone: 2, delta_t: 8000 })).error_code, 0);
+  });
+
+  it('re-estimates delta T along a multi-year series', async () => {
+    const start = new Date(1900, 0, 1, 12, 0, 0);
+    const end = new Date(1990, 0, 1, 12, 0, 0);
+    const step = 10 * 365.25 * 86400;
+    const series = await spaSeries(start, end, step, 40, -74, { timezone: 0, input: 'utc' });
+    for (let i = 0; i < series.count; i++) {
+      const at = new Date(start.getTime() + i * step * 1000);
+      const single = await spa(at, 40, -74, { timezone: 0, input: 'utc' });
+      approx(series.zenith[i], single.zenith, 1e-9, `zenith[${i}]`);
+    }
+  });
+
+  it("rejects strings other than 'auto'", async () => {
+    await assert.rejects(() => spa(new Date(), 40, -74, { delta_t: '67' }), RangeError);
+  });
+});
+
+describe('Earth orientation table', () => {
+  afterEach(() => setEarthOrientationTable(null));
+
+  // MJD 57754 is 2017-01-01, the day a leap second took TAI-UTC from 36 to 37 s.
+  const finals = (mjd, dut1) =>
+    `17 1 1 ${mjd.toFixed(2)} I  0.000000 0.000000  0.000000 0.000000  I${dut1.toFixed(7).padStart(10)} 0.0000100`;
+  const utc = { timezone: 0, input: 'utc' };
+
+  it('parses finals2000A rows', () => {
+    const row =
+      '73 1 2 41684.00 I  0.120733 0.009786  0.136966 0.015902  I 0.8084178 0.0002710  0.0000 0.1916  P    -0.766    0.199    -0.720    0.300   .143000   .137000   .8075000   -18.637    -3.667  ';
+    const blank = '73 1 3 41685.00                                                                ';
+    assert.deepEqual(parseEarthOrientation(`${row}\n${blank}\n`), [
+      { mjd: 41684, delta_ut1: 0.8084178, predicted: false },
+    ]);
+  });
+
+  it('parses Bulletin A tables', () => {
+    const text = [
+      '         MJD      x    error     y    error   UT1-UTC   error',
+      '   25  6 13  60839 0.15930 .00009 0.43319 .00009  0.050380 0.000011',
+      '   25  6 14  60840 0.15876 .00009 0.43280 .00009  0.049921 0.000011',
+      '       2025  6 14  60840       0.1588      0.4328       0.04990',
+      '       2025  6 20  60846       0.1451      0.4289       0.04698',
+    ].join('\n');
+    assert.deepEqual(parseEarthOrientation(text), [
+      { mjd: 60839, delta_ut1: 0.05038, predicted: false },
+      { mjd: 60840, delta_ut1: 0.049921, predicted: false },
+      { mjd: 60846, delta_ut1: 0.04698, predicted: true },
+    ]);
+  });
+
+  it('interpolates delta_ut1 and delta_t across a leap second', async () => {
+    setEarthOrientationTable([finals(57753, -0.4087), finals(57754, 0.5912)].join('\n'));
+    const date = new Date(Date.UTC(2016, 11, 31, 12, 0, 0));
+    const deltaTMid = (32.184 + 36 + 0.4087 + (32.184 + 37 - 0.5912)) / 2;
+    const expected = await spa(date, 40, -105, {
+      ...utc, delta_ut1: 32.184 + 36 - deltaTMid, delta_t: deltaTMid,
+    });
+    const looked = await spa(date, 40, -105, utc);
+    approx(looked.zenith, expected.zenith, 1e-9, 'zenith');
+    approx(looked.azimuth, expected.azimuth, 1e-9, 'azimuth');
+  });
+
+  it('lets explicit options win', async () => {
+    setEarthOrientationTable([
+      { mjd: 57753, delta_ut1: -0.4 },
+      { mjd: 57754, delta_ut1: -0.4 },
+    ]);
+    const date = new Date(Date.UTC(2016, 11, 31, 12, 0, 0));
+    const opts = { ...utc, delta_ut1: 0.3, delta_t: 70 };
+    const withTable = await spa(date, 40, -105, opts);
+    setEarthOrientationTable(null);
+    assert.deepEqual(withTable, await spa(date, 40, -105, opts));
+  });
+
+  it('falls back to the model outside the table', async () => {
+    const date = new Date(Date.UTC(2020, 5, 1, 12, 0, 0));
+    const before = await spa(date, 40, -105, utc);
+    setEarthOrientationTable([{ mjd: 57753, delta_ut1: -0.4 }, { mjd: 57754, delta_ut1: 0.6 }]);
+    assert.deepEqual(await spa(date, 40, -105, utc), before);
+  });
+
+  it('applies the table to spaSeries()', async () => {
+    setEarthOrientationTable([
+      { mjd: 57752, delta_ut1: -0.406 },
+      { mjd: 57753, delta_ut1: -0.408 },
+      { mjd: 57754, delta_ut1: 0.59 },
+    ]);
+    const start = new Date(Date.UTC(2016, 11, 30, 0, 0, 0));
+    const series = await spaSeries(start, new Date(Date.UTC(2016, 11, 31, 23, 0, 0)), 3600, 40, -105, utc);
+    for (let i = 0; i < series.count; i++) {
+      const single = await spa(new Date(start.getTime() + i * 3600000), 40, -105, utc);
+      approx(series.zenith[i], single.zenith, 1e-5, `zenith[${i}]`);
+    }
+  });
+
+  it('rejects invalid tables', () => {
+    assert.throws(() => setEarthOrientationTable(42), TypeError);
+    assert.throws(() => setEarthOrientationTable('no data here'), RangeError);
+    assert.throws(() => setEarthOrientationTable([{ mjd: 57754, delta_ut1: 1.5 }]), RangeError);
+    assert.throws(() => setEarthOrientationTable([{ mjd: NaN, delta_ut1: 0 }]), RangeError);
+  });
+});
+
 describe('function codes', () => {
   it('SPA_ZA computes zenith and azimuth', async () => {
     const res = await spa(new Date(2023, 3, 1, 12, 0, 0), 40, -74, { timezone: -4, function: SPA_ZA });
@@ -148,6 +416,1590 @@ describe('spaFormatted()', () => {
   });
 });
 
+describe('spaDetailed()', () => {
+  // NREL SPA reference example (spa_tester.c): Golden, CO, 2003-10-17 12:30:30 MST.
+  const reference = [
+    new Date(2003, 9, 17, 12, 30, 30),
+    39.742476, -105.1786,
+    {
+      timezone: -7, elevation: 1830.14, pressure: 820, temperature: 11,
+      delta_ut1: 0, delta_t: 67, slope: 30, azm_rotation: -10, atmos_refract: 0.5667,
+    },
+  ];
+
+  it('reproduces the NREL reference intermediate values', async () => {
+    const d = await spaDetailed(...reference);
+    approx(d.jd, 2452930.312847, 1e-6, 'jd');
+    approx(d.l, 24.0182616917, 1e-8, 'l');
+    approx(d.b, -0.0001011219, 1e-9, 'b');
+    approx(d.r, 0.9965422974, 1e-9, 'r');
+    approx(d.h, 11.105902, 1e-6, 'h');
+    approx(d.del_psi, -0.00399840, 1e-8, 'del_psi');
+    approx(d.del_epsilon, 0.00166657, 1e-8, 'del_epsilon');
+    approx(d.epsilon, 23.440465, 1e-6, 'epsilon');
+    approx(d.zenith, 50.11162, 1e-5, 'zenith');
+    approx(d.azimuth, 194.34024, 1e-5, 'azimuth');
+    approx(d.incidence, 25.18700, 1e-5, 'incidence');
+  });
+
+  it('includes every spa() field with identical values', async () => {
+    const d = await spaDetailed(...reference);
+    const r = await spa(...reference);
+    for (const [key, value] of Object.entries(r)) {
+      if (typeof value === 'number') approx(d[key], value, 1e-12, key);
+      else assert.equal(d[key], value, key);
+    }
+  });
+
+  it('exposes declination, right ascension and refraction', async () => {
+    const d = await spaDetailed(...reference);
+    approx(d.alpha, 202.22741, 1e-5, 'alpha');
+    approx(d.delta, -9.31434, 1e-5, 'delta');
+    approx(d.e, d.e0 + d.del_e, 1e-12, 'e = e0 + del_e');
+    approx(d.zenith, 90 - d.e, 1e-12, 'zenith = 90 - e');
+  });
+
+  it('rejects input the SPA engine rejects', async () => {
+    await assert.rejects(
+      () => spaDetailed(new Date(2023, 0, 1), 40, -74, { timezone: 100 }),
+      (err) => err instanceof SpaError && err.code === 8,
+    );
+  });
+});
+
+describe('air mass and extraterrestrial irradiance', () => {
+  const reference = [
+    new Date(2003, 9, 17, 12, 30, 30),
+    39.742476, -105.1786,
+    { timezone: -7, elevation: 1830.14, pressure: 820, temperature: 11, delta_t: 67 },
+  ];
+
+  it('reports r, Kasten-Young air mass and DNI_extra', async () => {
+    const r = await spa(...reference);
+    approx(r.r, 0.9965422974, 1e-9, 'r');
+    approx(r.airmass_relative, 1.55701, 1e-4, 'airmass_relative');
+    approx(r.airmass_absolute, r.airmass_relative * 820 / 1013.25, 1e-12, 'airmass_absolute');
+    approx(r.dni_extra, 1361 / r.r ** 2, 1e-9, 'dni_extra');
+    approx(r.dni_extra, 1370.46, 0.01, 'dni_extra value');
+  });
+
+  it('follows the sun-earth distance through the year', async () => {
+    const perihelion = await spa(new Date(Date.UTC(2025, 0, 4, 13)), 0, 0, { timezone: 0, input: 'utc' });
+    const aphelion = await spa(new Date(Date.UTC(2025, 6, 3, 20)), 0, 0, { timezone: 0, input: 'utc' });
+    approx(perihelion.r, 0.98329, 1e-4, 'perihelion r');
+    approx(aphelion.r, 1.01664, 1e-4, 'aphelion r');
+    approx(perihelion.dni_extra, 1407.6, 0.5, 'perihelion dni_extra');
+    approx(aphelion.dni_extra, 1316.8, 0.5, 'aphelion dni_extra');
+  });
+
+  it('uses standard pressure by default', async () => {
+    const r = await spa(new Date(2025, 5, 21, 12), 40, -74, { timezone: -4 });
+    approx(r.airmass_absolute, r.airmass_relative, 1e-12, 'airmass_absolute');
+    assert.ok(r.airmass_relative >= 1 && r.airmass_relative < 1.2);
+  });
+
+  it('is NaN with the sun below the horizon', async () => {
+    const r = await spa(new Date(2025, 5, 21, 0), 40, -74, { timezone: -4 });
+    assert.ok(r.zenith > 90);
+    assert.ok(Number.isNaN(r.airmass_relative));
+    assert.ok(Number.isNaN(r.airmass_absolute));
+    assert.ok(r.dni_extra > 1300);
+  });
+
+  it('is included in spaSync() and spaFormattedSync()', () => {
+    const r = spaSync(...reference);
+    const f = spaFormattedSync(...reference);
+    approx(r.airmass_relative, 1.55701, 1e-4, 'spaSync');
+    approx(f.dni_extra, r.dni_extra, 1e-12, 'spaFormattedSync');
+  });
+});
+
+describe('spaEvents()', () => {
+  it('matches the fractional hours from spa()', async () => {
+    const date = new Date(2023, 3, 1, 0, 0, 0);
+    const opts = { timezone: -4, elevation: 10 };
+    const events = await spaEvents(date, 40.7128, -74.006, opts);
+    const hours = await spa(date, 40.7128, -74.006, opts);
+    const dayStart = Date.UTC(2023, 3, 1) + 4 * 3600e3;
+    for (const field of ['sunrise', 'suntransit', 'sunset']) {
+      approx((events[field].getTime() - dayStart) / 3600e3, hours[field], 1e-6, field);
+    }
+  });
+
+  it('returns events on the requested local day when the zone is far from the longitude', async () => {
+    // Kiritimati: longitude -157, but clocks run at UTC+14.
+    const events = await spaEvents(new Date(2025, 0, 15, 12), 1.87, -157.4, { timezone: 14 });
+    const dayStart = Date.UTC(2025, 0, 15) - 14 * 3600e3;
+    for (const field of ['sunrise', 'suntransit', 'sunset']) {
+      const t = events[field].getTime();
+      assert.ok(t >= dayStart && t < dayStart + 86400e3, `${field} falls on the local day`);
+    }
+    assert.ok(events.sunrise < events.suntransit && events.suntransit < events.sunset);
+  });
+
+  it('places a sunset after local midnight on the previous UT day', async () => {
+    // UTC-12 zone at longitude 165 E: local evening events are on the next UT day.
+    const events = await spaEvents(new Date(2025, 5, 1, 12), -10, 165, { timezone: -12 });
+    const dayStart = Date.UTC(2025, 5, 1) + 12 * 3600e3;
+    for (const field of ['sunrise', 'suntransit', 'sunset']) {
+      const t = events[field].getTime();
+      assert.ok(t >= dayStart && t < dayStart + 86400e3, `${field} falls on the local day`);
+    }
+    assert.ok(events.sunrise < events.suntransit && events.suntransit < events.sunset);
+  });
+
+  it('returns null for rise and set during polar night', async () => {
+    const events = await spaEvents(new Date(2025, 11, 21, 12), 78.22, 15.65, { timezone: 1 });
+    assert.equal(events.sunrise, null);
+    assert.equal(events.sunset, null);
+  });
+
+  it('uses the real local day when DST starts or ends', async () => {
+    const opts = { timezone: 'America/New_York' };
+    // March 10, 2024 runs 23 hours, from 05:00 to 04:00 UTC. At 150 W the
+    // sunset falls at 23:01 EST on the 9th and 00:01 EDT on the 11th.
+    const spring = await spaEvents(new Date(Date.UTC(2024, 2, 10, 17)), 40, -150, opts);
+    assert.equal(spring.sunset, null);
+    for (const field of ['sunrise', 'suntransit']) {
+      const t = spring[field].getTime();
+      assert.ok(t >= Date.UTC(2024, 2, 10, 5) && t < Date.UTC(2024, 2, 11, 4), field);
+    }
+    // November 3, 2024 runs 25 hours, from 04:00 to 05:00 UTC.
+    const fall = await spaEvents(new Date(Date.UTC(2024, 10, 3, 17)), 40, 10, opts);
+    for (const field of ['sunrise', 'suntransit', 'sunset']) {
+      const t = fall[field].getTime();
+      assert.ok(t >= Date.UTC(2024, 10, 3, 4) && t < Date.UTC(2024, 10, 4, 5), field);
+    }
+  });
+});
+
+describe('findSolarEvents()', () => {
+  const nyc = [40.7128, -74.006];
+  // Returned times are instants, so compare against spa() in UTC input mode.
+  const opts = { timezone: -4, input: 'utc' };
+  const date = new Date(Date.UTC(2025, 5, 21, 16, 0, 0));
+  const localHours = (d) => ((d.getTime() / 3600000 - 4) % 24 + 24) % 24;
+
+  it('finds elevation crossings to sub-second precision', async () => {
+    const events = await findSolarEvents(date, ...nyc, { elevation: 10 }, opts);
+    assert.deepEqual(events.map((e) => e.direction), ['rising', 'setting']);
+    for (const e of events) {
+      approx(e.elevation, 10, 1e-4, 'elevation at crossing');
+      // spa() reads whole seconds, so bracket the crossing by +/- 1 s.
+      const after = await spa(new Date(e.time.getTime() + 1000), ...nyc, opts);
+      const before = await spa(new Date(e.time.getTime() - 1000), ...nyc, opts);
+      assert.ok((90 - after.zenith - 10) * (90 - before.zenith - 10) < 0, 'bracketed within 1 s');
+    }
+  });
+
+  it('agrees with spa() sunrise and sunset at the sunrise altitude', async () => {
+    const [rise, set] = await findSolarEvents(date, ...nyc, { elevation: -0.8333 }, opts);
+    const ref = await spa(date, ...nyc, opts);
+    approx(localHours(rise.time), ref.sunrise, 30 / 3600, 'sunrise');
+    approx(localHours(set.time), ref.sunset, 30 / 3600, 'sunset');
+  });
+
+  it('finds azimuth crossings with the elevation trend as direction', async () => {
+    const [south] = await findSolarEvents(date, ...nyc, { azimuth: 180 }, opts);
+    const ref = await spa(date, ...nyc, opts);
+    approx(localHours(south.time), ref.suntransit, 10 / 3600, 'due south at transit');
+    approx(south.azimuth, 180, 1e-4, 'azimuth');
+
+    const west = await findSolarEvents(date, ...nyc, { azimuth: 270 }, opts);
+    assert.equal(west.length, 1);
+    assert.equal(west[0].direction, 'setting');
+    approx(west[0].azimuth, 270, 1e-4, 'azimuth');
+  });
+
+  it('wraps azimuth targets into 0-360', async () => {
+    const a = await findSolarEvents(date, ...nyc, { azimuth: -90 }, opts);
+    const b = await findSolarEvents(date, ...nyc, { azimuth: 270 }, opts);
+    assert.deepEqual(a, b);
+  });
+
+  it('only returns crossings on the local day', async () => {
+    // Astronomical dusk in New York is after 23:00 local, i.e. after 03:00 UTC.
+    const events = await findSolarEvents(date, ...nyc, { elevation: -18 }, opts);
+    const start = Date.UTC(2025, 5, 21, 4);
+    assert.equal(events.length, 2);
+    for (const e of events) {
+      assert.ok(e.time.getTime() >= start && e.time.getTime() < start + 86400000);
+    }
+  });
+
+  it('returns no crossings during polar night', async () => {
+    const events = await findSolarEvents(new Date(2025, 11, 21, 12), 69.6492, 18.9553, { elevation: 0 }, {
+      timezone: 1,
+    });
+    assert.deepEqual(events, []);
+  });
+
+  it('validates the target', async () => {
+    await assert.rejects(() => findSolarEvents(date, ...nyc, {}), TypeError);
+    await assert.rejects(() => findSolarEvents(date, ...nyc, { elevation: 1, azimuth: 2 }), TypeError);
+    await assert.rejects(() => findSolarEvents(date, ...nyc, { elevation: 95 }), RangeError);
+    await assert.rejects(() => findSolarEvents(date, ...nyc, { azimuth: NaN }), RangeError);
+    await assert.rejects(() => findSolarEvents(date, 91, 0, { elevation: 0 }), RangeError);
+  });
+
+  it('scans the real local day when DST starts or ends', async () => {
+    const opts = { timezone: 'America/New_York' };
+    // The sun crosses north at 00:39 EDT and 23:39 EST on the 25-hour November 3.
+    const fall = await findSolarEvents(new Date(Date.UTC(2024, 10, 3, 17)), ...nyc, { azimuth: 0 }, opts);
+    assert.equal(fall.length, 2);
+    assert.ok(fall[0].time >= Date.UTC(2024, 10, 3, 4) && fall[0].time < Date.UTC(2024, 10, 3, 5));
+    assert.ok(fall[1].time > Date.UTC(2024, 10, 4, 4) && fall[1].time < Date.UTC(2024, 10, 4, 5));
+    // On the 23-hour March 10 the 350° crossing is at 23:42 EST on the 9th
+    // and 00:42 EDT on the 11th, so it does not happen at all.
+    const spring = await findSolarEvents(new Date(Date.UTC(2024, 2, 10, 17)), ...nyc, { azimuth: 350 }, opts);
+    assert.deepEqual(spring, []);
+  });
+});
+
+describe('twilight()', () => {
+  it('sunrise, sunset and solar noon match spa()', async () => {
+    const date = new Date(2025, 5, 21, 12, 0, 0);
+    const opts = { timezone: -4, atmos_refract: 0.5 };
+    const tw = await twilight(date, 40.7128, -74.006, opts);
+    const ref = await spa(date, 40.7128, -74.006, opts);
+    approx(tw.sunrise, ref.sunrise, 1e-9, 'sunrise');
+    approx(tw.sunset, ref.sunset, 1e-9, 'sunset');
+    approx(tw.suntransit, ref.suntransit, 1e-9, 'suntransit');
+    approx(tw.sun_transit_alt, ref.sun_transit_alt, 1e-9, 'sun_transit_alt');
+  });
+
+  it('orders dawn and dusk by depression', async () => {
+    const tw = await twilight(new Date(2025, 2, 20, 12), 40.7128, -74.006, { timezone: -4 });
+    assert.ok(tw.astronomical.dawn < tw.nautical.dawn);
+    assert.ok(tw.nautical.dawn < tw.civil.dawn);
+    assert.ok(tw.civil.dawn < tw.sunrise);
+    assert.ok(tw.sunset < tw.civil.dusk);
+    assert.ok(tw.civil.dusk < tw.nautical.dusk);
+    assert.ok(tw.nautical.dusk < tw.astronomical.dusk);
+    // Civil twilight lasts about half an hour at this latitude near the equinox.
+    approx(tw.sunrise - tw.civil.dawn, 0.47, 0.05, 'civil twilight length');
+  });
+
+  it('reports civil twilight during polar night', async () => {
+    const tw = await twilight(new Date(2025, 11, 21, 12), 69.6492, 18.9553, { timezone: 1 });
+    assert.ok(tw.sunrise < 0);
+    assert.ok(tw.sunset < 0);
+    assert.ok(tw.civil.dawn > 0 && tw.civil.dawn < tw.suntransit);
+    assert.ok(tw.civil.dusk > tw.suntransit && tw.civil.dusk < 24);
+    assert.ok(tw.sun_transit_alt < 0);
+  });
+
+  it('reports no crossings during polar day, with a valid transit', async () => {
+    const tw = await twilight(new Date(2025, 5, 21, 12), 69.6492, 18.9553, { timezone: 2 });
+    for (const t of [tw.sunrise, tw.sunset, tw.civil.dawn, tw.civil.dusk]) {
+      assert.ok(t < 0);
+    }
+    approx(tw.suntransit, 12.76, 0.05, 'suntransit');
+    approx(tw.sun_transit_alt, 43.8, 0.1, 'sun_transit_alt');
+  });
+
+  it('computes custom depressions in order', async () => {
+    const tw = await twilight(new Date(2025, 2, 20, 12), 40.7128, -74.006, {
+      timezone: -4,
+      depressions: [6, 4, 15],
+    });
+    assert.deepEqual(tw.custom.map((c) => c.depression), [6, 4, 15]);
+    approx(tw.custom[0].dawn, tw.civil.dawn, 1e-9, 'custom 6 dawn');
+    approx(tw.custom[0].dusk, tw.civil.dusk, 1e-9, 'custom 6 dusk');
+    assert.ok(tw.custom[1].dawn > tw.civil.dawn);
+    assert.ok(tw.custom[2].dawn < tw.nautical.dawn && tw.custom[2].dawn > tw.astronomical.dawn);
+  });
+
+  it('returns an empty custom list by default', async () => {
+    const tw = await twilight(new Date(2025, 2, 20, 12), 40, -74, { timezone: -4 });
+    assert.deepEqual(tw.custom, []);
+  });
+
+  it('validates inputs and depressions', async () => {
+    await assert.rejects(() => twilight(new Date(), 91, 0), RangeError);
+    await assert.rejects(() => twilight(new Date(), 40, -74, { depressions: 6 }), TypeError);
+    await assert.rejects(() => twilight(new Date(), 40, -74, { depressions: [NaN] }), RangeError);
+    await assert.rejects(() => twilight(new Date(), 40, -74, { depressions: [95] }), RangeError);
+  });
+});
+
+describe('prayerTimes()', () => {
+  const nyc = [40.7128, -74.006];
+  const london = [51.5074, -0.1278];
+
+  it('takes Dhuhr, sunrise and Maghrib from the SPA and Fajr/Isha from the method angles', async () => {
+    const date = new Date(2025, 2, 20, 12);
+    const p = await prayerTimes(date, ...nyc, { timezone: -4, method: 'MWL' });
+    const tw = await twilight(date, ...nyc, { timezone: -4, depressions: [18, 17] });
+    approx(p.dhuhr, tw.suntransit, 1e-9, 'dhuhr');
+    approx(p.sunrise, tw.sunrise, 1e-9, 'sunrise');
+    approx(p.maghrib, tw.sunset, 1e-9, 'maghrib');
+    approx(p.fajr, tw.custom[0].dawn, 1e-9, 'fajr');
+    approx(p.isha, tw.custom[1].dusk, 1e-9, 'isha');
+    assert.ok(p.dhuhr < p.asr && p.asr < p.maghrib);
+  });
+
+  it('puts Asr where the shadow is asrFactor heights longer than at noon', async () => {
+    for (const asrFactor of [1, 2]) {
+      const p = await prayerTimes(new Date(2025, 2, 20, 12), ...nyc, { timezone: -4, asrFactor });
+      const noon = await spa(new Date(2025, 2, 20, 12), ...nyc, { timezone: -4 });
+      const at = await spaDetailed(new Date(2025, 2, 20, 0, 0, Math.round(p.asr * 3600)), ...nyc, {
+        timezone: -4,
+      });
+      const shadow = Math.tan(((90 - at.e0) * Math.PI) / 180);
+      const noonShadow = Math.tan(((90 - noon.sun_transit_alt) * Math.PI) / 180);
+      // 0.005 is about 20 s of time, the accuracy of the rise/set interpolation.
+      approx(shadow, noonShadow + asrFactor, 0.005, `shadow ratio, asrFactor ${asrFactor}`);
+    }
+  });
+
+  it('adds a fixed interval for minute-based Isha', async () => {
+    const p = await prayerTimes(new Date(2025, 2, 15, 12), 21.4225, 39.8262, {
+      timezone: 3,
+      method: 'UmmAlQura',
+    });
+    approx(p.isha - p.maghrib, 1.5, 1e-9, 'isha - maghrib');
+    // Published Umm al-Qura times for Makkah on this day: Fajr 05:13, Asr 15:53.
+    approx(p.fajr, 5 + 13 / 60, 2 / 60, 'fajr');
+    approx(p.asr, 15 + 53 / 60, 2 / 60, 'asr');
+  });
+
+  it('accepts a custom method', async () => {
+    const date = new Date(2025, 2, 20, 12);
+    const preset = await prayerTimes(date, ...nyc, { timezone: -4, method: 'ISNA' });
+    const custom = await prayerTimes(date, ...nyc, { timezone: -4, method: { fajr: 15, isha: 15 } });
+    assert.deepEqual(custom, preset);
+    assert.deepEqual(SPA_PRAYER_METHODS.ISNA, { fajr: 15, isha: 15 });
+  });
+
+  it('applies high-latitude rules when twilight lasts all night', async () => {
+    const date = new Date(2025, 5, 21, 12);
+    const opts = { timezone: 1, method: 'MWL' };
+    const none = await prayerTimes(date, ...london, { ...opts, highLatitudeRule: 'none' });
+    assert.ok(none.fajr < 0 && none.isha < 0);
+    assert.ok(none.sunrise > 0 && none.asr > 0);
+
+    const night = 24 - (none.maghrib - none.sunrise);
+    const mid = await prayerTimes(date, ...london, opts);
+    approx(mid.fajr, mid.isha, 1e-9, 'middle of night');
+    approx((mid.isha - mid.maghrib + 24) % 24, night / 2, 1e-9, 'half the night');
+
+    const seventh = await prayerTimes(date, ...london, { ...opts, highLatitudeRule: 'oneSeventh' });
+    approx(seventh.sunrise - seventh.fajr, night / 7, 1e-9, 'one seventh');
+
+    const angle = await prayerTimes(date, ...london, { ...opts, highLatitudeRule: 'angleBased' });
+    approx(angle.sunrise - angle.fajr, (18 / 60) * night, 1e-9, 'fajr angle portion');
+    approx(angle.isha - angle.maghrib, (17 / 60) * night, 1e-9, 'isha angle portion');
+  });
+
+  it('leaves times that do not occur during polar day', async () => {
+    const p = await prayerTimes(new Date(2025, 5, 21, 12), 69.6492, 18.9553, { timezone: 2 });
+    for (const t of [p.fajr, p.sunrise, p.maghrib, p.isha]) {
+      assert.ok(t < 0);
+    }
+    approx(p.dhuhr, 12.76, 0.05, 'dhuhr');
+    assert.ok(p.asr > p.dhuhr);
+  });
+
+  it('validates method, asrFactor and highLatitudeRule', async () => {
+    const d = new Date(2025, 2, 20, 12);
+    await assert.rejects(() => prayerTimes(d, 91, 0), RangeError);
+    await assert.rejects(() => prayerTimes(d, 40, -74, { method: 'Nope' }), RangeError);
+    await assert.rejects(() => prayerTimes(d, 40, -74, { method: { fajr: 18 } }), TypeError);
+    await assert.rejects(
+      () => prayerTimes(d, 40, -74, { method: { fajr: 18, isha: 17, ishaMinutes: 90 } }),
+      TypeError,
+    );
+    await assert.rejects(() => prayerTimes(d, 40, -74, { method: { fajr: 95, isha: 17 } }), RangeError);
+    await assert.rejects(() => prayerTimes(d, 40, -74, { asrFactor: 0 }), RangeError);
+    await assert.rejects(() => prayerTimes(d, 40, -74, { asrFactor: '2' }), TypeError);
+    await assert.rejects(() => prayerTimes(d, 40, -74, { highLatitudeRule: 'nope' }), RangeError);
+  });
+});
+
+describe('seasons()', () => {
+  it('matches full VSOP87 equinoxes and solstices to within the SPA series accuracy', async () => {
+    // Dynamical time from the complete VSOP87 theory (Meeus ch. 27 method).
+    const s = await seasons(1962, { delta_t: 0 });
+    const expected = {
+      marchEquinox: '1962-03-21T02:30:07.726Z',
+      juneSolstice: '1962-06-21T21:24:42.190Z',
+      septemberEquinox: '1962-09-23T12:35:47.619Z',
+      decemberSolstice: '1962-12-22T08:15:51.243Z',
+    };
+    for (const [key, iso] of Object.entries(expected)) {
+      approx(s[key].getTime() / 1000, Date.parse(iso) / 1000, 5, key);
+    }
+  });
+
+  it('converts to UTC with delta_t and delta_ut1', async () => {
+    const tt = await seasons(2024, { delta_t: 0 });
+    const ut = await seasons(2024, { delta_t: 69.2, delta_ut1: 0.01 });
+    // Shifting ΔT also moves the longitude curve slightly, hence the 1 ms slack.
+    // UTC = TT - delta_t - delta_ut1.
+    approx(tt.juneSolstice - ut.juneSolstice, 69210, 1, 'TT - UTC in ms');
+    // USNO: 2024 June 20, 20:51 UT.
+    approx(ut.juneSolstice.getTime(), Date.UTC(2024, 5, 20, 20, 51), 60000, 'June solstice');
+  });
+
+  it('finds the longitude that spaDetailed() reports', async () => {
+    const { juneSolstice } = await seasons(2025, { delta_t: 69 });
+    const d = await spaDetailed(juneSolstice, 0, 0, { timezone: 0, input: 'utc', delta_t: 69 });
+    // spa() reads whole seconds; the sun moves about 1.1e-5 degrees per second.
+    approx(d.lamda, 90 + 0.09033 / 3600, 2e-5, 'lamda');
+  });
+
+  it('validates year and options', async () => {
+    await assert.rejects(() => seasons('2024'), TypeError);
+    await assert.rejects(() => seasons(2024.5), RangeError);
+    await assert.rejects(() => seasons(7000), RangeError);
+    await assert.rejects(() => seasons(2024, { delta_t: 'x' }), RangeError);
+    await assert.rejects(() => seasons(2024, { delta_ut1: NaN }), RangeError);
+  });
+});
+
+describe('solarLongitudeCrossing()', () => {
+  it('finds solar terms', async () => {
+    // Lichun (315°) 2025: February 3, 22:10 Beijing time.
+    const lichun = await solarLongitudeCrossing(2025, 315);
+    approx(lichun.getTime(), Date.UTC(2025, 1, 3, 14, 10), 60000, 'lichun');
+  });
+
+  it('agrees with seasons() and wraps degrees', async () => {
+    const s = await seasons(2030);
+    assert.equal((await solarLongitudeCrossing(2030, 180)).getTime(), s.septemberEquinox.getTime());
+    assert.equal((await solarLongitudeCrossing(2030, -90)).getTime(), s.decemberSolstice.getTime());
+  });
+
+  it('returns the first crossing on or after January 1 UTC', async () => {
+    const y2024 = await solarLongitudeCrossing(2024, 280.5);
+    const y2025 = await solarLongitudeCrossing(2025, 280.5);
+    const y2026 = await solarLongitudeCrossing(2026, 280.5);
+    assert.equal(y2024.toISOString().slice(0, 10), '2024-01-01');
+    assert.equal(y2025.toISOString().slice(0, 10), '2025-12-31');
+    // 2026 does not reach 280.5° again before it ends.
+    assert.equal(y2026.toISOString().slice(0, 10), '2027-01-01');
+    approx((y2026 - y2025) / 86400000, 365.2422, 0.01, 'one tropical year apart');
+  });
+
+  it('validates degrees', async () => {
+    await assert.rejects(() => solarLongitudeCrossing(2024, NaN), RangeError);
+    await assert.rejects(() => solarLongitudeCrossing(2024, '90'), TypeError);
+  });
+});
+
+describe('tracker()', () => {
+  it('points a horizontal north-south axis at the sun', () => {
+    const t = tracker({ zenith: 60, azimuth: 90 });
+    approx(t.idealRotation, -60, 1e-9, 'idealRotation');
+    approx(t.rotation, -60, 1e-9, 'rotation');
+    approx(t.surfaceTilt, 60, 1e-9, 'surfaceTilt');
+    approx(t.surfaceAzimuth, 90, 1e-9, 'surfaceAzimuth');
+    approx(t.incidence, 0, 1e-6, 'incidence');
+    approx(tracker({ zenith: 30, azimuth: 270 }).rotation, 30, 1e-9, 'west is positive');
+  });
+
+  it('backtracks at low sun angles', () => {
+    // Ideal -80°; cos(80°) / (2/7) = 0.608, so back off by acos(0.608) = 52.57°.
+    const t = tracker({ zenith: 80, azimuth: 90 });
+    approx(t.idealRotation, -80, 1e-9, 'idealRotation');
+    approx(t.rotation, -27.43, 0.01, 'rotation');
+    assert.ok(t.incidence > 50);
+    approx(tracker({ zenith: 80, azimuth: 90 }, { backtrack: false }).rotation, -80, 1e-9, 'no backtrack');
+    // A lower ground coverage ratio leaves room to track further.
+    approx(tracker({ zenith: 80, azimuth: 90 }, { gcr: 0.1 }).rotation, -80, 1e-9, 'gcr 0.1');
+  });
+
+  it('limits rotation to maxAngle', () => {
+    const t = tracker({ zenith: 60, azimuth: 90 }, { maxAngle: 45, backtrack: false });
+    approx(t.rotation, -45, 1e-9, 'rotation');
+    approx(t.incidence, 15, 1e-9, 'incidence');
+  });
+
+  it('handles a tilted axis', () => {
+    const noon = tracker({ zenith: 30, azimuth: 180 }, { axisTilt: 20 });
+    approx(noon.rotation, 0, 1e-9, 'rotation');
+    approx(noon.surfaceTilt, 20, 1e-9, 'surfaceTilt');
+    approx(noon.surfaceAzimuth, 180, 1e-9, 'surfaceAzimuth');
+    approx(noon.incidence, 10, 1e-9, 'incidence');
+    const afternoon = tracker({ zenith: 50, azimuth: 240 }, { axisTilt: 20, backtrack: false });
+    assert.ok(afternoon.rotation > 0);
+    assert.ok(afternoon.surfaceAzimuth > 180 && afternoon.surfaceAzimuth < 270);
+  });
+
+  it('matches the incidence spa() computes for the resulting surface', async () => {
+    const date = new Date(2025, 5, 21, 16, 30);
+    const opts = { timezone: -6 };
+    const sun = await spa(date, 39.74, -105.18, opts);
+    for (const o of [{}, { axisTilt: 15, axisAzimuth: 190 }, { type: 'dual', maxAngle: 30 }]) {
+      const t = tracker(sun, o);
+      const fixed = await spa(date, 39.74, -105.18, {
+        ...opts,
+        slope: t.surfaceTilt,
+        azm_rotation: t.surfaceAzimuth - 180,
+      });
+      approx(t.incidence, fixed.incidence, 1e-6, `incidence ${JSON.stringify(o)}`);
+    }
+  });
+
+  it('points a dual-axis tracker at the sun up to maxAngle', () => {
+    const t = tracker({ zenith: 40, azimuth: 135 }, { type: 'dual' });
+    assert.equal(t.surfaceTilt, 40);
+    assert.equal(t.surfaceAzimuth, 135);
+    approx(t.incidence, 0, 1e-6, 'incidence');
+    const capped = tracker({ zenith: 80, azimuth: 135 }, { type: 'dual', maxAngle: 60 });
+    assert.equal(capped.surfaceTilt, 60);
+    approx(capped.incidence, 20, 1e-9, 'capped incidence');
+  });
+
+  it('stows flat with the sun below the horizon', () => {
+    const single = tracker({ zenith: 100, azimuth: 300 });
+    assert.equal(single.rotation, 0);
+    assert.equal(single.surfaceTilt, 0);
+    approx(single.incidence, 100, 1e-9, 'incidence');
+    const dual = tracker({ zenith: 100, azimuth: 300 }, { type: 'dual' });
+    assert.equal(dual.surfaceTilt, 0);
+    assert.equal(dual.surfaceAzimuth, 180);
+  });
+
+  it('validates inputs', () => {
+    assert.throws(() => tracker(null), TypeError);
+    assert.throws(() => tracker({ zenith: 'a', azimuth: 0 }), TypeError);
+    assert.throws(() => tracker({ zenith: 200, azimuth: 0 }), RangeError);
+    assert.throws(() => tracker({ zenith: 30, azimuth: 0 }, { type: 'triple' }), RangeError);
+    assert.throws(() => tracker({ zenith: 30, azimuth: 0 }, { axisTilt: 95 }), RangeError);
+    assert.throws(() => tracker({ zenith: 30, azimuth: 0 }, { gcr: 0 }), RangeError);
+    assert.throws(() => tracker({ zenith: 30, azimuth: 0 }, { maxAngle: -1 }), RangeError);
+    assert.throws(() => tracker({ zenith: 30, azimuth: 0 }, { backtrack: 1 }), TypeError);
+  });
+});
+
+describe('poaIrradiance()', () => {
+  const irr = { ghi: 800, dni: 700, dhi: 150 };
+  const sun = { zenith: 40, azimuth: 200, r: 0.9833 };
+  const surface = { surfaceTilt: 30, surfaceAzimuth: 180 };
+
+  it('computes each model for a sun-facing surface', () => {
+    // Reference values worked by hand from the published model equations.
+    const expected = {
+      isotropic: 139.952,
+      klucher: 176.277,
+      haydavies: 164.364,
+      reindl: 165.362,
+      perez: 188.915,
+    };
+    for (const [model, sky] of Object.entries(expected)) {
+      const p = poaIrradiance(irr, sun, surface, { model });
+      approx(p.skyDiffuse, sky, 1e-3, `${model} skyDiffuse`);
+      approx(p.beam, 675.798, 1e-3, `${model} beam`);
+      approx(p.groundReflected, 13.397, 1e-3, `${model} groundReflected`);
+      approx(p.global, p.beam + p.skyDiffuse + p.groundReflected, 1e-9, `${model} global`);
+      approx(p.incidence, 15.1104, 1e-4, `${model} incidence`);
+    }
+  });
+
+  it('reduces to GHI components on a horizontal surface', () => {
+    const flat = { surfaceTilt: 0, surfaceAzimuth: 180 };
+    for (const model of ['isotropic', 'haydavies', 'reindl', 'perez']) {
+      const p = poaIrradiance(irr, sun, flat, { model });
+      approx(p.skyDiffuse, irr.dhi, 1e-9, `${model} skyDiffuse`);
+      approx(p.beam, irr.dni * Math.cos((40 * Math.PI) / 180), 1e-9, `${model} beam`);
+      assert.equal(p.groundReflected, 0);
+    }
+  });
+
+  it('scales the extraterrestrial DNI with r', () => {
+    // A larger sun-earth distance means a larger anisotropy index DNI / DNI_extra,
+    // so more of the diffuse is treated as circumsolar.
+    const near = poaIrradiance(irr, { ...sun, r: 0.9833 }, surface, { model: 'haydavies' });
+    const far = poaIrradiance(irr, { ...sun, r: 1.0167 }, surface, { model: 'haydavies' });
+    assert.ok(far.skyDiffuse > near.skyDiffuse);
+    const sc = poaIrradiance(irr, sun, surface, { model: 'haydavies', solarConstant: 1361 * 0.9833 ** 2 });
+    approx(sc.skyDiffuse, poaIrradiance(irr, { ...sun, r: 1 }, surface, { model: 'haydavies' }).skyDiffuse, 1e-9, 'solarConstant');
+  });
+
+  it('has no beam on a surface facing away from the sun', () => {
+    const p = poaIrradiance(irr, sun, { surfaceTilt: 90, surfaceAzimuth: 20 }, { model: 'perez' });
+    assert.equal(p.beam, 0);
+    assert.ok(p.incidence > 90);
+    assert.ok(p.skyDiffuse > 0);
+  });
+
+  it('falls back to the isotropic sky with the sun below the horizon', () => {
+    const dusk = { ghi: 20, dni: 0, dhi: 20 };
+    const below = { zenith: 95, azimuth: 300, r: 1 };
+    const iso = poaIrradiance(dusk, below, surface);
+    for (const model of ['haydavies', 'perez']) {
+      approx(poaIrradiance(dusk, below, surface, { model }).skyDiffuse, iso.skyDiffuse, 1e-9, model);
+    }
+  });
+
+  it('works with spa() and tracker() results', async () => {
+    const d = await spa(new Date(2025, 5, 21, 10), 39.74, -105.18, { timezone: -6 });
+    const t = tracker(d);
+    const p = poaIrradiance(irr, d, t, { model: 'perez' });
+    approx(p.incidence, t.incidence, 1e-9, 'incidence');
+  });
+
+  it('validates inputs', () => {
+    assert.throws(() => poaIrradiance(null, sun, surface), TypeError);
+    assert.throws(() => poaIrradiance({ ...irr, ghi: '1' }, sun, surface), TypeError);
+    assert.throws(() => poaIrradiance({ ...irr, dni: NaN }, sun, surface), RangeError);
+    assert.throws(() => poaIrradiance(irr, sun, surface, { model: 'liu' }), RangeError);
+    assert.throws(() => poaIrradiance(irr, sun, surface, { albedo: 2 }), RangeError);
+    assert.throws(() => poaIrradiance(irr, sun, { surfaceTilt: 200, surfaceAzimuth: 0 }), RangeError);
+    assert.throws(
+      () => poaIrradiance(irr, { zenith: 40, azimuth: 200 }, surface, { model: 'perez' }),
+      /sun\.r is required/,
+    );
+    assert.doesNotThrow(() => poaIrradiance(irr, { zenith: 40, azimuth: 200 }, surface, { model: 'klucher' }));
+  });
+});
+
+describe('clearSky()', () => {
+  // Golden, CO at 1829 m; 12:00 MDT on the June solstice.
+  const date = new Date(Date.UTC(2025, 5, 21, 18));
+  const golden = [39.74, -105.18];
+  const site = { timezone: -6, input: 'utc', elevation: 1829 };
+  const rad = Math.PI / 180;
+
+  it('computes Ineichen-Perez from the Linke turbidity', async () => {
+    const cs = await clearSky(date, ...golden, { ...site, linkeTurbidity: 3 });
+    // Reference from the published equations with the SPA zenith (20.990°) and r.
+    approx(cs.ghi, 1049.63, 0.5, 'ghi');
+    approx(cs.dni, 981.17, 0.5, 'dni');
+    approx(cs.dhi, 133.56, 0.5, 'dhi');
+    const sun = await spaDetailed(date, ...golden, site);
+    approx(cs.dhi, cs.ghi - cs.dni * Math.cos(sun.zenith * rad), 1e-9, 'closure');
+  });
+
+  it('lowers DNI with turbidity and raises it with elevation', async () => {
+    const clean = await clearSky(date, ...golden, { ...site, linkeTurbidity: 2 });
+    const hazy = await clearSky(date, ...golden, { ...site, linkeTurbidity: 5 });
+    const low = await clearSky(date, ...golden, { ...site, elevation: 0, linkeTurbidity: 3 });
+    const high = await clearSky(date, ...golden, { ...site, linkeTurbidity: 3 });
+    assert.ok(clean.dni > hazy.dni);
+    assert.ok(clean.dhi < hazy.dhi);
+    assert.ok(high.dni > low.dni);
+  });
+
+  it('estimates pressure from elevation unless given', async () => {
+    const implied = await clearSky(date, ...golden, { ...site, linkeTurbidity: 3 });
+    const given = await clearSky(date, ...golden, { ...site, linkeTurbidity: 3, pressure: 811.98 });
+    // The explicit pressure also changes the SPA refraction slightly.
+    approx(given.ghi, implied.ghi, 0.05, 'ghi');
+    const sea = await clearSky(date, ...golden, { ...site, linkeTurbidity: 3, pressure: 1013.25 });
+    assert.ok(sea.dni < implied.dni);
+  });
+
+  it('computes Haurwitz GHI only', async () => {
+    const cs = await clearSky(date, ...golden, { ...site, model: 'haurwitz' });
+    const sun = await spaDetailed(date, ...golden, site);
+    const c = Math.cos(sun.zenith * rad);
+    approx(cs.ghi, 1098 * c * Math.exp(-0.059 / c), 1e-9, 'ghi');
+    assert.ok(Number.isNaN(cs.dni) && Number.isNaN(cs.dhi));
+  });
+
+  it('computes simplified Solis from aerosol and water vapor', async () => {
+    const cs = await clearSky(date, ...golden, { ...site, model: 'simplifiedSolis' });
+    approx(cs.ghi, 977.58, 0.5, 'ghi');
+    approx(cs.dni, 931.02, 0.5, 'dni');
+    approx(cs.dhi, 115.85, 0.5, 'dhi');
+    const dusty = await clearSky(date, ...golden, { ...site, model: 'simplifiedSolis', aod700: 0.4 });
+    assert.ok(dusty.dni < cs.dni && dusty.dhi > cs.dhi);
+  });
+
+  it('returns zeros at night', async () => {
+    const night = new Date(Date.UTC(2025, 5, 21, 8));
+    for (const model of ['ineichen', 'haurwitz', 'simplifiedSolis']) {
+      const cs = await clearSky(night, ...golden, { ...site, model, linkeTurbidity: 3 });
+      assert.equal(cs.ghi, 0, model);
+    }
+  });
+
+  it('validates the model and its inputs', async () => {
+    await assert.rejects(() => clearSky(date, ...golden, site), /linkeTurbidity is required/);
+    await assert.rejects(() => clearSky(date, ...golden, { model: 'bird' }), RangeError);
+    await assert.rejects(() => clearSky(date, ...golden, { linkeTurbidity: 0.5 }), RangeError);
+    await assert.rejects(() => clearSky(date, ...golden, { model: 'simplifiedSolis', aod700: -1 }), RangeError);
+    await assert.rejects(() => clearSky(date, 95, 0, { model: 'haurwitz' }), RangeError);
+  });
+});
+
+describe('isShaded()', () => {
+  const ridge = [{ azimuth: 350, elevation: 10 }, { azimuth: 10, elevation: 20 }];
+
+  it('interpolates the profile across north', () => {
+    assert.equal(isShaded({ zenith: 76, azimuth: 0 }, ridge), true);
+    assert.equal(isShaded({ zenith: 74, azimuth: 0 }, ridge), false);
+    assert.equal(isShaded({ zenith: 74, azimuth: 720 }, ridge), false);
+    // From 10° round to 350° the horizon falls linearly from 20° to 10°.
+    assert.equal(isShaded({ zenith: 74.5, azimuth: 180 }, ridge), false);
+    assert.equal(isShaded({ zenith: 75.5, azimuth: 180 }, ridge), true);
+  });
+
+  it('treats a single point as a flat horizon', () => {
+    const flat = [{ azimuth: 0, elevation: 0 }];
+    assert.equal(isShaded({ zenith: 89, azimuth: 90 }, flat), false);
+    assert.equal(isShaded({ zenith: 91, azimuth: 270 }, flat), true);
+  });
+
+  it('validates the profile', () => {
+    assert.throws(() => isShaded({ zenith: 45, azimuth: 0 }, []), TypeError);
+    assert.throws(() => isShaded({ zenith: 45, azimuth: 0 }, [null]), TypeError);
+    assert.throws(() => isShaded({ zenith: 45, azimuth: 0 }, [{ azimuth: 0, elevation: '5' }]), TypeError);
+    assert.throws(() => isShaded({ zenith: 45, azimuth: 0 }, [{ azimuth: 0, elevation: 95 }]), RangeError);
+    assert.throws(() => isShaded({ zenith: 45, azimuth: NaN }, ridge), RangeError);
+  });
+});
+
+describe('moon()', () => {
+  it('matches Meeus examples 47.a and 48.a (1992 April 12, 0h TD)', async () => {
+    const r = await moon(new Date(Date.UTC(1992, 3, 12)), 0, 0, { timezone: 0, input: 'utc', delta_t: 0 });
+    approx(r.distance, 368409.7, 0.1, 'distance');
+    approx(r.parallax, 0.991990, 1e-6, 'parallax');
+    approx(r.phase_angle, 69.0756, 1e-4, 'phase_angle');
+    approx(r.illuminated_fraction, 0.6786, 1e-4, 'illuminated_fraction');
+    approx(r.elongation, 110.7929, 1e-4, 'elongation');
+    // Waxing gibbous: between first quarter and full moon.
+    assert.ok(r.phase > 0.25 && r.phase < 0.5, `phase ${r.phase}`);
+  });
+
+  it('zenith and azimuth are consistent with the topocentric equatorial position', async () => {
+    const date = new Date('2024-01-15T20:00:00Z');
+    const r = await moon(date, 40.7128, -74.006, { timezone: -5, input: 'utc', atmos_refract: 0, pressure: 0 });
+    const d2r = Math.PI / 180;
+    const el = 90 - r.zenith;
+    // Declination from altitude and azimuth: sin dec = sin lat sin el + cos lat cos el cos az.
+    const sinDec = Math.sin(40.7128 * d2r) * Math.sin(el * d2r) +
+      Math.cos(40.7128 * d2r) * Math.cos(el * d2r) * Math.cos(r.azimuth * d2r);
+    approx(Math.asin(sinDec) / d2r, r.declination, 1e-6, 'declination');
+  });
+
+  it('NYC moonrise and moonset, January 15 2024', async () => {
+    // Reference: Meeus ch. 47 position with IAU nutation and parallax, solved independently.
+    const r = await moon(new Date('2024-01-15T17:00:00Z'), 40.7128, -74.006, {
+      timezone: 'America/New_York', input: 'utc', delta_t: 69.2,
+    });
+    approx(r.moonrise.getTime(), Date.parse('2024-01-15T15:10:54.4Z'), 2000, 'moonrise');
+    approx(r.moonset.getTime(), Date.parse('2024-01-16T03:07:04.1Z'), 2000, 'moonset');
+  });
+
+  it('the upper limb is on the horizon at moonrise', async () => {
+    // Without refraction, the center is one semidiameter below the horizon.
+    const opts = { timezone: -5, input: 'utc', atmos_refract: 0, pressure: 0 };
+    const { moonrise } = await moon(new Date('2024-01-15T17:00:00Z'), 40.7128, -74.006, opts);
+    // Positions are computed at whole seconds, so compare the seconds around the crossing.
+    const before = await moon(new Date(Math.floor(moonrise.getTime() / 1000) * 1000), 40.7128, -74.006, opts);
+    const after = await moon(new Date(Math.floor(moonrise.getTime() / 1000) * 1000 + 1000), 40.7128, -74.006, opts);
+    assert.ok(before.zenith > after.zenith, 'rising');
+    assert.ok(90 - before.zenith <= -before.semidiameter, 'below before');
+    assert.ok(90 - after.zenith >= -after.semidiameter, 'above after');
+  });
+
+  it('returns null when the moon does not rise or set on the local day', async () => {
+    const opts = { timezone: 'America/New_York', input: 'utc', delta_t: 69.2 };
+    const noRise = await moon(new Date('2024-01-03T17:00:00Z'), 40.7128, -74.006, opts);
+    assert.equal(noRise.moonrise, null);
+    assert.ok(noRise.moonset instanceof Date);
+    const noSet = await moon(new Date('2024-01-17T17:00:00Z'), 40.7128, -74.006, opts);
+    assert.ok(noSet.moonrise instanceof Date);
+    assert.equal(noSet.moonset, null);
+  });
+
+  it('validates inputs', async () => {
+    await assert.rejects(moon(new Date('invalid'), 0, 0), TypeError);
+    await assert.rejects(moon(new Date(), 91, 0), RangeError);
+    await assert.rejects(moon(new Date(), 0, 0, { pressure: NaN }), RangeError);
+  });
+
+  it('searches the real local day when DST ends', async () => {
+    // November 3, 2024 in New York starts at 00:00 EDT (04:00 UTC) and runs 25
+    // hours; at 165 W the moon sets at 00:24 EDT, in the hour a fixed-offset day would skip.
+    const m = await moon(new Date(Date.UTC(2024, 10, 3, 17)), 40, -165, {
+      timezone: 'America/New_York',
+    });
+    assert.ok(m.moonset >= Date.UTC(2024, 10, 3, 4) && m.moonset < Date.UTC(2024, 10, 3, 5));
+    assert.ok(m.moonrise > m.moonset && m.moonrise < Date.UTC(2024, 10, 4, 5));
+  });
+});
+
+describe('sunlight()', () => {
+  const nyc = [40.7128, -74.006];
+  const opts = { timezone: -4 };
+  const day = new Date(2025, 5, 21, 12);
+  const flat = [{ azimuth: 0, elevation: 0 }];
+  // A 10° ridge along the eastern half of the sky, open to the west.
+  const eastRidge = [
+    { azimuth: 0, elevation: 10 },
+    { azimuth: 180, elevation: 10 },
+    { azimuth: 181, elevation: 0 },
+    { azimuth: 359, elevation: 0 },
+  ];
+
+  it('follows the astronomical sunrise over a flat horizon', async () => {
+    const s = await sunlight(day, ...nyc, flat, opts);
+    const e = await spaEvents(day, ...nyc, opts);
+    // spaEvents() times the upper limb; the center clears the horizon a little later.
+    const riseLag = (s.sunrise - e.sunrise) / 60000;
+    const setLead = (e.sunset - s.sunset) / 60000;
+    assert.ok(riseLag > 0 && riseLag < 3, `sunrise lag ${riseLag} min`);
+    assert.ok(setLead > 0 && setLead < 3, `sunset lead ${setLead} min`);
+    assert.equal(s.periods.length, 1);
+    approx(s.duration, (s.sunset - s.sunrise) / 3600000, 1e-9, 'duration');
+    assert.equal(s.shaded, false);
+  });
+
+  it('delays sunrise behind a ridge', async () => {
+    const open = await sunlight(day, ...nyc, flat, opts);
+    const s = await sunlight(day, ...nyc, eastRidge, opts);
+    assert.ok(s.sunrise - open.sunrise > 30 * 60000);
+    approx(s.sunset.getTime(), open.sunset.getTime(), 1, 'sunset');
+    // spa() takes whole seconds, so check one second either side of the crossing.
+    const at = (ms) => spa(new Date(s.sunrise.getTime() + ms), ...nyc, { ...opts, input: 'utc' });
+    const before = await at(-1000);
+    const after = await at(1000);
+    approx(90 - after.zenith, 10, 0.01, 'elevation at sunrise');
+    assert.equal(isShaded(before, eastRidge), true);
+    assert.equal(isShaded(after, eastRidge), false);
+  });
+
+  it('splits the day around an obstruction', async () => {
+    // A tall building due south hides the sun around solar noon.
+    const building = [
+      { azimuth: 0, elevation: 0 },
+      { azimuth: 165, elevation: 0 },
+      { azimuth: 170, elevation: 85 },
+      { azimuth: 190, elevation: 85 },
+      { azimuth: 195, elevation: 0 },
+    ];
+    const open = await sunlight(day, ...nyc, flat, opts);
+    const s = await sunlight(day, ...nyc, building, opts);
+    assert.equal(s.periods.length, 2);
+    assert.ok(s.duration < open.duration - 0.25);
+    approx(s.sunrise.getTime(), open.sunrise.getTime(), 1, 'sunrise');
+    approx(s.sunset.getTime(), open.sunset.getTime(), 1, 'sunset');
+    approx(
+      s.duration,
+      s.periods.reduce((h, p) => h + (p.end - p.start) / 3600000, 0),
+      1e-9,
+      'duration',
+    );
+  });
+
+  it('reports shade at the given instant', async () => {
+    const noon = new Date(2025, 5, 21, 13);
+    const s = await sunlight(noon, ...nyc, [{ azimuth: 0, elevation: 80 }], opts);
+    assert.equal(s.shaded, true);
+    assert.equal(s.sunrise, null);
+    assert.equal(s.duration, 0);
+    assert.deepEqual(s.periods, []);
+  });
+
+  it('covers the whole day during polar day', async () => {
+    const s = await sunlight(new Date(2025, 5, 21, 12), 69.6496, 18.956, flat, { timezone: 2 });
+    assert.equal(s.sunrise, null);
+    assert.equal(s.sunset, null);
+    assert.equal(s.periods.length, 1);
+    approx(s.duration, 24, 1e-9, 'duration');
+  });
+
+  it('validates the horizon', async () => {
+    await assert.rejects(() => sunlight(day, ...nyc, [], opts), TypeError);
+    await assert.rejects(() => sunlight(day, ...nyc, [{ azimuth: 0, elevation: -91 }], opts), RangeError);
+  });
+
+  it('covers the real local day when DST starts or ends', async () => {
+    // Polar day near the South Pole: the whole local day is sunlit.
+    const opts = { timezone: 'America/New_York' };
+    const spring = await sunlight(new Date(Date.UTC(2024, 2, 10, 17)), -89, 0, flat, opts);
+    assert.equal(spring.duration, 23);
+    assert.deepEqual(spring.periods, [
+      { start: new Date(Date.UTC(2024, 2, 10, 5)), end: new Date(Date.UTC(2024, 2, 11, 4)) },
+    ]);
+    const fall = await sunlight(new Date(Date.UTC(2024, 10, 3, 17)), -89, 0, flat, opts);
+    assert.equal(fall.duration, 25);
+    assert.deepEqual(fall.periods, [
+      { start: new Date(Date.UTC(2024, 10, 3, 4)), end: new Date(Date.UTC(2024, 10, 4, 5)) },
+    ]);
+  });
+});
+
+describe('sunPath()', () => {
+  const nyc = [40.7128, -74.006];
+
+  it('traces the equinoxes and solstices and hourly analemmas by default', async () => {
+    const path = await sunPath(...nyc, { year: 2025, timezone: -5 });
+    assert.equal(path.latitude, nyc[0]);
+    assert.equal(path.longitude, nyc[1]);
+    assert.equal(path.timezone, -5);
+    assert.equal(path.days.length, 4);
+    assert.equal(path.analemmas.length, 24);
+    assert.deepEqual(path.analemmas.map((a) => a.hour), Array.from({ length: 24 }, (_, h) => h));
+    assert.equal(path.days[0].points.length, 145);
+    assert.equal(path.analemmas[12].points.length, 365);
+    // The solstice is at 21:42 on June 20 at UTC-5, so that day is traced.
+    assert.equal(path.days[1].date.toISOString(), '2025-06-20T05:00:00.000Z');
+    const highest = Math.max(...path.days[1].points.map((p) => p.elevation));
+    approx(highest, 90 - (nyc[0] - 23.44), 0.1, 'June solstice noon elevation');
+  });
+
+  it('matches spa() at each sample', async () => {
+    const path = await sunPath(...nyc, { year: 2025, timezone: -5, hours: [9] });
+    for (const p of [path.days[0].points[60], path.analemmas[0].points[100]]) {
+      const r = await spa(p.time, ...nyc, { timezone: -5, input: 'utc', function: SPA_ZA });
+      approx(p.elevation, 90 - r.zenith, 1e-9, 'elevation');
+      approx(p.azimuth, r.azimuth, 1e-9, 'azimuth');
+      approx(Math.hypot(p.x, p.y), Math.tan((r.zenith * Math.PI) / 360), 1e-9, 'stereographic radius');
+      approx(Math.atan2(p.x, p.y), Math.atan2(Math.sin(r.azimuth * Math.PI / 180), Math.cos(r.azimuth * Math.PI / 180)), 1e-9, 'bearing');
+    }
+  });
+
+  it('uses standard time for an IANA zone', async () => {
+    const path = await sunPath(...nyc, { year: 2025, timezone: 'America/New_York', hours: [12] });
+    assert.equal(path.timezone, -5);
+    const loop = path.analemmas[0].points;
+    assert.ok(loop.every((p) => p.time.getUTCHours() === 17 && p.time.getUTCMinutes() === 0));
+    // The loop closes: December 31 is next to January 1.
+    approx(loop[loop.length - 1].elevation, loop[0].elevation, 0.5, 'loop closure');
+  });
+
+  it('accepts dates, hours, and a step', async () => {
+    const path = await sunPath(...nyc, {
+      year: 2024,
+      timezone: -5,
+      dates: [new Date(Date.UTC(2024, 1, 29, 12))],
+      input: 'utc',
+      hours: [8.5, 15],
+      stepMinutes: 60,
+    });
+    assert.equal(path.days.length, 1);
+    assert.equal(path.days[0].date.toISOString(), '2024-02-29T05:00:00.000Z');
+    assert.equal(path.days[0].points.length, 25);
+    assert.equal(path.analemmas[0].points.length, 366);
+    assert.equal(path.analemmas[0].points[0].time.toISOString(), '2024-01-01T13:30:00.000Z');
+  });
+
+  it('validates options', async () => {
+    await assert.rejects(() => sunPath(95, 0), RangeError);
+    await assert.rejects(() => sunPath(...nyc, { year: 2025.5 }), RangeError);
+    await assert.rejects(() => sunPath(...nyc, { hours: [24] }), RangeError);
+    await assert.rejects(() => sunPath(...nyc, { hours: 12 }), TypeError);
+    await assert.rejects(() => sunPath(...nyc, { dates: [new Date(NaN)] }), TypeError);
+    await assert.rejects(() => sunPath(...nyc, { stepMinutes: 0 }), RangeError);
+  });
+});
+
+describe('sunPathSvg()', () => {
+  let path;
+  const polylines = (svg) =>
+    [...svg.matchAll(/<polyline class="(\w+)" points="([^"]+)"/g)].map(([, cls, pts]) => ({
+      cls,
+      points: pts.split(' ').map((xy) => xy.split(',').map(Number)),
+    }));
+
+  it('draws a stereographic chart clipped at the horizon', async () => {
+    path = await sunPath(40.7128, -74.006, { year: 2025, timezone: -5, hours: [8, 12, 16] });
+    const svg = sunPathSvg(path, { width: 400 });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="400" height="400"/);
+    assert.ok(svg.endsWith('</svg>'));
+    const lines = polylines(svg);
+    assert.equal(lines.filter((l) => l.cls === 'day').length, 4);
+    assert.equal(lines.filter((l) => l.cls === 'analemma').length, 3);
+    // Everything stays inside the horizon circle (center 200, radius 172).
+    for (const { points } of lines) {
+      for (const [x, y] of points) assert.ok(Math.hypot(x - 200, y - 200) <= 172.01);
+    }
+    assert.match(svg, />2025-06-20</);
+    assert.match(svg, />12:00</);
+  });
+
+  it('draws a cylindrical chart', () => {
+    const svg = sunPathSvg(path, { projection: 'cylindrical', width: 720, labels: false });
+    assert.match(svg, /height="360"/);
+    assert.ok(!svg.includes('<text'));
+    for (const { points } of polylines(svg)) {
+      for (const [x, y] of points) {
+        assert.ok(x >= 28 && x <= 692);
+        assert.ok(y >= 14 && y <= 332.01);
+      }
+    }
+  });
+
+  it('centers the cylindrical chart on north in the southern hemisphere', async () => {
+    const sydney = await sunPath(-33.87, 151.21, { year: 2025, timezone: 10, hours: [12] });
+    const svg = sunPathSvg(sydney, { projection: 'cylindrical', width: 720 });
+    // Each day curve is drawn in one piece around north at x = 360.
+    const days = polylines(svg).filter((l) => l.cls === 'day');
+    assert.equal(days.length, 4);
+    for (const { points } of days) {
+      const xs = points.map(([x]) => x);
+      assert.ok(Math.min(...xs) < 360 && Math.max(...xs) > 360);
+    }
+    assert.match(svg, /x="28" y="346" text-anchor="middle">S</);
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => sunPathSvg(null), TypeError);
+    assert.throws(() => sunPathSvg({ days: [], analemmas: [] }), TypeError);
+    assert.throws(() => sunPathSvg({ ...path, latitude: undefined }), TypeError);
+    assert.throws(() => sunPathSvg(path, { projection: 'mercator' }), RangeError);
+    assert.throws(() => sunPathSvg(path, { width: 0 }), RangeError);
+    assert.throws(() => sunPathSvg(path, { labels: 'yes' }), TypeError);
+  });
+});
+
+describe('dayType', () => {
+  const tromso = [69.6492, 18.9553];
+
+  it('is normal when the sun rises and sets', async () => {
+    const r = await spa(new Date(2025, 2, 21, 12), ...tromso, { timezone: 1 });
+    assert.equal(r.dayType, 'normal');
+    assert.ok(r.sunrise > 0 && r.sunset > r.sunrise);
+  });
+
+  it('reports polar day with transit time and altitude', async () => {
+    const r = await spa(new Date(2025, 5, 21, 12), ...tromso, { timezone: 2 });
+    assert.equal(r.dayType, 'polar_day');
+    assert.equal(r.sunrise, -99999);
+    assert.equal(r.sunset, -99999);
+    approx(r.suntransit, 12.77, 0.02, 'suntransit');
+    approx(r.sun_transit_alt, 43.79, 0.05, 'sun_transit_alt');
+  });
+
+  it('reports polar night with transit time and a negative altitude', async () => {
+    const r = await spa(new Date(2025, 11, 21, 12), ...tromso, { timezone: 1 });
+    assert.equal(r.dayType, 'polar_night');
+    assert.equal(r.sunrise, -99999);
+    approx(r.suntransit, 11.71, 0.02, 'suntransit');
+    approx(r.sun_transit_alt, -3.09, 0.05, 'sun_transit_alt');
+  });
+
+  it('matches twilight() transit values in polar cases', async () => {
+    const date = new Date(2025, 11, 21, 12);
+    const r = await spa(date, ...tromso, { timezone: 1 });
+    const tw = await twilight(date, ...tromso, { timezone: 1 });
+    approx(r.suntransit, tw.suntransit, 1e-9, 'suntransit');
+    approx(r.sun_transit_alt, tw.sun_transit_alt, 1e-9, 'sun_transit_alt');
+  });
+
+  it('is classified without rise/transit/set as well', async () => {
+    const opts = { timezone: 2, function: SPA_ZA };
+    assert.equal((await spa(new Date(2025, 5, 21, 12), ...tromso, opts)).dayType, 'polar_day');
+    assert.equal((await spa(new Date(2025, 11, 21, 12), ...tromso, opts)).dayType, 'polar_night');
+    assert.equal((await spa(new Date(2025, 5, 21, 12), 40, -74, opts)).dayType, 'normal');
+  });
+
+  it('is carried into spaFormatted() with a formatted transit', async () => {
+    const f = await spaFormatted(new Date(2025, 5, 21, 12), ...tromso, { timezone: 2 });
+    assert.equal(f.dayType, 'polar_day');
+    assert.equal(f.sunrise, 'N/A');
+    assert.match(f.suntransit, /^12:4\d:\d\d$/);
+  });
+
+  it('gives spaEvents() a transit during polar night', async () => {
+    const e = await spaEvents(new Date(2025, 11, 21, 12), ...tromso, { timezone: 1 });
+    assert.equal(e.sunrise, null);
+    assert.ok(e.suntransit instanceof Date);
+  });
+
+  it('is included in spaDetailed()', async () => {
+    const d = await spaDetailed(new Date(2025, 11, 21, 12), ...tromso, { timezone: 1 });
+    assert.equal(d.dayType, 'polar_night');
+  });
+});
+
+describe('spaSync()', () => {
+  it('matches spa() once initialized', async () => {
+    await init();
+    const args = [new Date(2023, 3, 1, 0, 0, 0), 40.7128, -74.006, { timezone: -4, elevation: 10 }];
+    assert.deepEqual(spaSync(...args), await spa(...args));
+  });
+
+  it('spaFormattedSync() matches spaFormatted()', async () => {
+    await init();
+    const args = [new Date(2023, 3, 1, 0, 0, 0), 40.7128, -74.006, { timezone: -4 }];
+    assert.deepEqual(spaFormattedSync(...args), await spaFormatted(...args));
+  });
+
+  it('applies the same validation as spa()', async () => {
+    await init();
+    assert.throws(() => spaSync(null, 40, -74), TypeError);
+    assert.throws(() => spaSync(new Date(), 40, 181), RangeError);
+    assert.throws(() => spaSync(new Date(), 40, -74, { pressure: Infinity }), RangeError);
+    assert.throws(
+      () => spaSync(new Date(2023, 0, 1), 40, -74, { timezone: 100 }),
+      (err) => err instanceof SpaError && err.code === 8,
+    );
+  });
+});
+
+describe('spaSeries()', () => {
+  it('matches spa() at every instant, across a day boundary', async () => {
+    const start = new Date(2023, 11, 31, 22, 0, 0);
+    const end = new Date(2024, 0, 1, 2, 0, 0);
+    const opts = { timezone: -5, elevation: 10 };
+    const series = await spaSeries(start, end, 1800, 40.7128, -74.006, opts);
+    assert.equal(series.count, 9);
+    assert.equal(series.data.length, 9 * SPA_SERIES_FIELDS.length);
+
+    for (let i = 0; i < series.count; i++) {
+      const single = await spa(new Date(start.getTime() + i * 1800 * 1000), 40.7128, -74.006, opts);
+      for (const field of SPA_SERIES_FIELDS) {
+        approx(series[field][i], single[field], 1e-9, `${field}[${i}]`);
+      }
+    }
+  });
+
+  it('handles series longer than one WASM chunk', async () => {
+    const start = new Date(2025, 0, 1, 0, 0, 0);
+    const end = new Date(2025, 0, 8, 0, 0, 0);
+    const series = await spaSeries(start, end, 60, 40, -74, { timezone: -5, function: SPA_ZA });
+    assert.equal(series.count, 7 * 1440 + 1);
+    const last = await spa(end, 40, -74, { timezone: -5, function: SPA_ZA });
+    approx(series.zenith[series.count - 1], last.zenith, 1e-9, 'last zenith');
+    approx(series.azimuth[5000], (await spa(new Date(start.getTime() + 5000 * 60000), 40, -74, {
+      timezone: -5, function: SPA_ZA,
+    })).azimuth, 1e-9, 'azimuth[5000]');
+  });
+
+  it('keeps the offset of start for every row, month boundaries included', async () => {
+    // Berlin moves to UTC+2 on 2024-03-31; the series stays at UTC+1, so
+    // 22:30 UTC that day is still March 31 and takes March's delta T.
+    const start = new Date(Date.UTC(2024, 2, 30, 12, 0, 0));
+    const end = new Date(Date.UTC(2024, 3, 1, 6, 0, 0));
+    const series = await spaSeries(start, end, 1800, 52.52, 13.4, { timezone: 'Europe/Berlin' });
+    for (const i of [0, 40, 69, 70, 84]) {
+      const single = await spa(new Date(start.getTime() + i * 1800000), 52.52, 13.4, {
+        timezone: 1,
+        input: 'utc',
+      });
+      approx(series.zenith[i], single.zenith, 1e-9, `zenith[${i}]`);
+      approx(series.azimuth[i], single.azimuth, 1e-9, `azimuth[${i}]`);
+    }
+  });
+
+  it('writes into a caller-provided buffer', async () => {
+    const out = new Float64Array(SPA_SERIES_FIELDS.length * 4);
+    const start = new Date(2025, 5, 21, 12, 0, 0);
+    const series = await spaSeries(start, new Date(2025, 5, 21, 12, 3, 0), 60, 40, -74, {
+      timezone: -4, out,
+    });
+    assert.equal(series.data, out);
+    assert.equal(series.zenith.buffer, out.buffer);
+    assert.ok(out[0] > 0);
+  });
+
+  it('rejects a non-positive step', async () => {
+    const d = new Date(2025, 0, 1);
+    await assert.rejects(() => spaSeries(d, d, 0, 40, -74), RangeError);
+  });
+
+  it('rejects end before start', async () => {
+    await assert.rejects(
+      () => spaSeries(new Date(2025, 0, 2), new Date(2025, 0, 1), 60, 40, -74),
+      RangeError,
+    );
+  });
+
+  it('rejects an undersized output buffer', async () => {
+    await assert.rejects(
+      () => spaSeries(new Date(2025, 0, 1), new Date(2025, 0, 1, 1), 60, 40, -74, {
+        out: new Float64Array(10),
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects an invalid end date', async () => {
+    await assert.rejects(() => spaSeries(new Date(), new Date('x'), 60, 40, -74), TypeError);
+  });
+});
+
+describe('spaGrid()', () => {
+  it('matches spa() at every cell', async () => {
+    const date = new Date(2025, 5, 21, 12, 0, 0);
+    const lats = new Float64Array([-60, -10, 0, 35.5, 70]);
+    const lons = new Float64Array([-170, -74, 0, 90]);
+    const opts = { timezone: 0, elevation: 100, slope: 20, azm_rotation: 10 };
+    const grid = await spaGrid(date, lats, lons, opts);
+    assert.equal(grid.rows, 5);
+    assert.equal(grid.cols, 4);
+
+    for (let i = 0; i < lats.length; i++) {
+      for (let j = 0; j < lons.length; j++) {
+        const single = await spa(date, lats[i], lons[j], { ...opts, function: SPA_ZA_INC });
+        for (const field of SPA_GRID_FIELDS) {
+          approx(grid[field][i * grid.cols + j], single[field], 1e-9, `${field}(${i},${j})`);
+        }
+      }
+    }
+  });
+
+  it('tiles grids larger than one WASM call', async () => {
+    const lats = Float64Array.from({ length: 181 }, (_, i) => i - 90);
+    const lons = Float64Array.from({ length: 361 }, (_, j) => j - 180);
+    const date = new Date(2025, 2, 20, 12, 0, 0);
+    const grid = await spaGrid(date, lats, lons, { timezone: 0 });
+    assert.equal(grid.zenith.length, 181 * 361);
+    const single = await spa(date, 45, 100, { timezone: 0, function: SPA_ZA });
+    approx(grid.zenith[135 * 361 + 280], single.zenith, 1e-9, 'zenith(45, 100)');
+  });
+
+  it('accepts plain arrays', async () => {
+    const grid = await spaGrid(new Date(2025, 0, 1, 12), [40], [-74], { timezone: -5 });
+    assert.equal(grid.zenith.length, 1);
+    assert.ok(grid.zenith[0] > 0 && grid.zenith[0] < 90);
+  });
+
+  it('rejects out-of-range coordinates', async () => {
+    await assert.rejects(() => spaGrid(new Date(), [0, 91], [0]), RangeError);
+    await assert.rejects(() => spaGrid(new Date(), [0], [-181]), RangeError);
+  });
+
+  it('rejects non-numeric coordinates', async () => {
+    await assert.rejects(() => spaGrid(new Date(), [0, NaN], [0]), RangeError);
+    await assert.rejects(() => spaGrid(new Date(), ['0'], [0]), TypeError);
+  });
+});
+
+describe('spaStream()', () => {
+  const options = { timezone: 0, input: 'utc', function: SPA_ZA };
+  const records = Array.from({ length: 10 }, (_, i) => ({
+    id: i,
+    date: new Date(Date.UTC(2024, 5, 21, i * 2)),
+    latitude: 40 - i * 5,
+    longitude: -105 + i * 20,
+  }));
+
+  async function collect(source, stream) {
+    const out = [];
+    await pipeline(
+      source,
+      stream,
+      new Writable({
+        objectMode: true,
+        write(record, _encoding, callback) {
+          out.push(record);
+          callback();
+        },
+      }),
+    );
+    return out;
+  }
+
+  it('adds spa() fields to every record, in order', async () => {
+    const out = await collect(Readable.from(records), spaStream({ ...options, chunkSize: 3 }));
+    assert.equal(out.length, records.length);
+    for (let i = 0; i < records.length; i++) {
+      const { id, date, latitude, longitude } = records[i];
+      const expected = await spa(date, latitude, longitude, options);
+      assert.equal(out[i].id, id);
+      assert.equal(out[i].date, date);
+      assert.equal(out[i].zenith, expected.zenith);
+      assert.equal(out[i].azimuth, expected.azimuth);
+      assert.equal(out[i].dayType, expected.dayType);
+    }
+  });
+
+  it('reads records through a point accessor', async () => {
+    const rows = records.map(({ date, latitude, longitude }) => ({
+      timestamp: date.toISOString(),
+      lat: latitude,
+      lon: longitude,
+    }));
+    const stream = spaStream({
+      ...options,
+      point: (row) => ({ date: row.timestamp, latitude: row.lat, longitude: row.lon }),
+    });
+    const out = await collect(Readable.from(rows), stream);
+    const expected = await spa(records[4].date, records[4].latitude, records[4].longitude, options);
+    assert.equal(out[4].timestamp, rows[4].timestamp);
+    assert.equal(out[4].zenith, expected.zenith);
+  });
+
+  it('stops reading the source while the consumer is behind', async () => {
+    let pulled = 0;
+    const source = Readable.from(
+      (function* () {
+        for (let i = 0; i < 100000; i++) {
+          pulled++;
+          yield { date: new Date(Date.UTC(2024, 0, 1) + i * 60000), latitude: 40, longitude: -105 };
+        }
+      })(),
+    );
+    const stream = source.pipe(spaStream({ ...options, chunkSize: 50 }));
+    await new Promise((resolve) => stream.once('readable', resolve));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(pulled < 200, `pulled ${pulled} records without a reader`);
+    assert.equal(stream.read().latitude, 40);
+    stream.destroy();
+    source.destroy();
+  });
+
+  it('emits the records before an invalid one, then the error', async () => {
+    const bad = [...records.slice(0, 2), { date: records[2].date, latitude: 95, longitude: 0 }];
+    const out = [];
+    await assert.rejects(
+      pipeline(
+        Readable.from(bad),
+        spaStream(options),
+        new Writable({
+          objectMode: true,
+          write(record, _encoding, callback) {
+            out.push(record);
+            callback();
+          },
+        }),
+      ),
+      (err) => err instanceof SpaError && err.field === 'latitude',
+    );
+    assert.equal(out.length, 2);
+    await assert.rejects(
+      collect(Readable.from([{ date: 'not a date', latitude: 0, longitude: 0 }]), spaStream()),
+      TypeError,
+    );
+  });
+
+  it('validates options when created', () => {
+    assert.throws(() => spaStream({ chunkSize: 0 }), RangeError);
+    assert.throws(() => spaStream({ point: 'date' }), TypeError);
+    assert.throws(() => spaStream({ timezone: 19 }), SpaError);
+  });
+});
+
+describe('spaIterate()', () => {
+  const options = { timezone: 0, input: 'utc', function: SPA_ZA };
+
+  it('matches spaStream() for sync and async sources', async () => {
+    const records = Array.from({ length: 7 }, (_, i) => ({
+      date: Date.UTC(2024, 2, 20, 6 + i),
+      latitude: -30 + i * 10,
+      longitude: 150 - i * 40,
+    }));
+    const fromArray = [];
+    for await (const row of spaIterate(records, { ...options, chunkSize: 2 })) fromArray.push(row);
+    async function* generate() {
+      yield* records;
+    }
+    const fromAsync = [];
+    for await (const row of spaIterate(generate(), options)) fromAsync.push(row);
+
+    assert.equal(fromArray.length, 7);
+    assert.deepEqual(fromAsync, fromArray);
+    const expected = await spa(new Date(records[6].date), records[6].latitude, records[6].longitude, options);
+    assert.equal(fromArray[6].zenith, expected.zenith);
+    assert.equal(fromArray[6].date, records[6].date);
+  });
+
+  it('matches spaSync() field for field across a large chunk', async () => {
+    await init();
+    const opts = { timezone: 'Europe/Oslo', input: 'utc', elevation: 200 };
+    const records = Array.from({ length: 2500 }, (_, i) => ({
+      date: new Date(Date.UTC(2024, 0, 1) + i * 12600000),
+      latitude: -89 + (i % 179),
+      longitude: -180 + (i % 361),
+    }));
+    let i = 0;
+    for await (const row of spaIterate(records, { ...opts, chunkSize: 2500 })) {
+      const { date, latitude, longitude } = records[i++];
+      assert.deepEqual(row, { date, latitude, longitude, ...spaSync(date, latitude, longitude, opts) });
+    }
+    assert.equal(i, records.length);
+  });
+
+  it('frees WASM memory when an iterator is abandoned mid-batch', async () => {
+    const records = Array.from({ length: 2048 }, (_, i) => ({
+      date: Date.UTC(2024, 0, 1) + i * 60000,
+      latitude: 40,
+      longitude: -105,
+    }));
+    for (let k = 0; k < 5; k++) {
+      const rows = spaIterate(records, { ...options, chunkSize: 2048 });
+      await rows.next();
+    }
+    const start = new Date(Date.UTC(2024, 0, 1));
+    const series = await spaSeries(start, new Date(start.getTime() + 4095 * 60000), 60, 40, -105, options);
+    assert.equal(series.count, 4096);
+  });
+
+  it('reads at most one chunk ahead of the consumer', async () => {
+    let pulled = 0;
+    function* source() {
+      for (let i = 0; ; i++) {
+        pulled++;
+        yield { date: new Date(Date.UTC(2024, 0, 1) + i * 60000), latitude: 40, longitude: -105 };
+      }
+    }
+    const rows = spaIterate(source(), { ...options, chunkSize: 10 });
+    await rows.next();
+    assert.equal(pulled, 10);
+    for (let i = 0; i < 9; i++) await rows.next();
+    assert.equal(pulled, 10);
+    await rows.next();
+    assert.equal(pulled, 20);
+    await rows.return();
+  });
+
+  it('validates options on the first next()', async () => {
+    const rows = spaIterate([], { chunkSize: 1.5 });
+    await assert.rejects(() => rows.next(), RangeError);
+  });
+});
+
+describe('createSpaPool()', () => {
+  const start = new Date(Date.UTC(2024, 2, 1));
+  const end = new Date(Date.UTC(2024, 2, 3));
+  const options = { timezone: 0, input: 'utc', elevation: 100 };
+
+  it('matches spaSeries() and keeps jobs in order', async () => {
+    const pool = await createSpaPool({ size: 2 });
+    try {
+      assert.equal(pool.size, 2);
+      const sites = [[39.74, -105.18], [51.5, -0.13], [-33.87, 151.21], [64.15, -21.94], [0, 0]];
+      const results = await Promise.all(
+        sites.map(([lat, lon]) => pool.spaSeries(start, end, 1800, lat, lon, options)),
+      );
+      for (let i = 0; i < sites.length; i++) {
+        const local = await spaSeries(start, end, 1800, ...sites[i], options);
+        assert.equal(results[i].count, local.count);
+        assert.deepEqual(results[i].data, local.data);
+        for (const field of SPA_SERIES_FIELDS) {
+          assert.equal(results[i][field].buffer, results[i].data.buffer, field);
+          assert.deepEqual(results[i][field], local[field], field);
+        }
+      }
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('matches spaGrid()', async () => {
+    const pool = await createSpaPool({ size: 1 });
+    try {
+      const lats = [-45, 0, 45];
+      const lons = new Float64Array([-120, 0, 120]);
+      const grid = await pool.spaGrid(start, lats, lons, options);
+      const local = await spaGrid(start, lats, lons, options);
+      assert.equal(grid.rows, 3);
+      assert.equal(grid.cols, 3);
+      assert.deepEqual(grid.data, local.data);
+      assert.deepEqual(grid.zenith, local.zenith);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('splits long series and large grids across workers', async () => {
+    const pool = await createSpaPool({ size: 3 });
+    try {
+      // Crosses the spring DST change, which must not shift later slices.
+      const opts = { timezone: 'Europe/Berlin', elevation: 100 };
+      const first = new Date(Date.UTC(2024, 2, 20, 0, 0, 7));
+      const last = new Date(Date.UTC(2024, 3, 10));
+      const series = await pool.spaSeries(first, last, 120, 52.52, 13.4, opts);
+      const localSeries = await spaSeries(first, last, 120, 52.52, 13.4, opts);
+      assert.equal(series.count, localSeries.count);
+      assert.deepEqual(series.data, localSeries.data);
+      assert.deepEqual(series.zenith, localSeries.zenith);
+
+      const lats = Array.from({ length: 91 }, (_, i) => i * 2 - 90);
+      const lons = Float64Array.from({ length: 181 }, (_, i) => i * 2 - 180);
+      const grid = await pool.spaGrid(first, lats, lons, opts);
+      const localGrid = await spaGrid(first, lats, lons, opts);
+      assert.equal(grid.rows, 91);
+      assert.equal(grid.cols, 181);
+      assert.deepEqual(grid.data, localGrid.data);
+      assert.deepEqual(grid.azimuth, localGrid.azimuth);
+
+      // A bad value in one slice surfaces as the unsplit call reports it.
+      const badLats = [...lats];
+      badLats[80] = 95;
+      await assert.rejects(
+        () => pool.spaGrid(first, badLats, lons, opts),
+        (err) => {
+          assert.ok(err instanceof SpaError);
+          assert.match(err.message, /latitudes\[80\]/);
+          return true;
+        },
+      );
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('applies the calling thread\'s Earth orientation table', async () => {
+    const pool = await createSpaPool({ size: 2 });
+    const eopStart = new Date(Date.UTC(2016, 11, 30));
+    const eopEnd = new Date(Date.UTC(2016, 11, 31, 23));
+    const run = () =>
+      Promise.all([
+        pool.spaSeries(eopStart, eopEnd, 3600, 40, -105, options),
+        pool.spaSeries(eopStart, eopEnd, 3600, 40, -105, options),
+        spaSeries(eopStart, eopEnd, 3600, 40, -105, options),
+      ]);
+    try {
+      const [plain] = await run();
+      setEarthOrientationTable([
+        { mjd: 57752, delta_ut1: -0.406 },
+        { mjd: 57753, delta_ut1: -0.408 },
+        { mjd: 57754, delta_ut1: 0.59 },
+      ]);
+      const [a, b, local] = await run();
+      assert.deepEqual(a.data, local.data);
+      assert.deepEqual(b.data, local.data);
+      assert.notDeepEqual(a.data, plain.data);
+      setEarthOrientationTable(null);
+      const [c, d] = await run();
+      assert.deepEqual(c.data, plain.data);
+      assert.deepEqual(d.data, plain.data);
+    } finally {
+      setEarthOrientationTable(null);
+      await pool.close();
+    }
+  });
+
+  it('rethrows worker errors with their class and fields', async () => {
+    const pool = await createSpaPool({ size: 1 });
+    try {
+      await assert.rejects(
+        () => pool.spaSeries(start, end, 60, 40, -74, { timezone: 19 }),
+        (err) => {
+          assert.ok(err instanceof SpaError);
+          assert.equal(err.code, 8);
+          assert.equal(err.field, 'timezone');
+          assert.equal(err.message, 'SPA: options.timezone must be between -18 and 18, got 19');
+          return true;
+        },
+      );
+      await assert.rejects(() => pool.spaGrid(start, 'lat', [0]), TypeError);
+      await assert.rejects(() => pool.spaSeries(end, start, 60, 40, -74), RangeError);
+      // The worker is still usable after a failed job.
+      const series = await pool.spaSeries(start, end, 86400, 40, -74, options);
+      assert.equal(series.count, 3);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('rejects options.out and jobs after close()', async () => {
+    const pool = await createSpaPool({ size: 1 });
+    await assert.rejects(
+      () => pool.spaSeries(start, end, 3600, 40, -74, { out: new Float64Array(1000) }),
+      TypeError,
+    );
+    await pool.close();
+    await pool.close();
+    await assert.rejects(() => pool.spaGrid(start, [0], [0]), /pool is closed/);
+  });
+
+  it('rejects a bad size', async () => {
+    await assert.rejects(() => createSpaPool({ size: 0 }), RangeError);
+    await assert.rejects(() => createSpaPool({ size: 1.5 }), RangeError);
+    await assert.rejects(() => createSpaPool({ size: '2' }), TypeError);
+  });
+});
+
 describe('formatTime()', () => {
   it('formats standard values', () => {
     assert.equal(formatTime(0), '00:00:00');
@@ -203,10 +2055,10 @@ describe('input validation', () => {
     await assert.rejects(() => spa(new Date(), 40, -181), RangeError);
   });
 
-  it('rejects invalid timezone in SPA engine', async () => {
+  it('rejects out-of-range timezone before the SPA engine', async () => {
     await assert.rejects(
       () => spa(new Date(2023, 0, 1), 40, -74, { timezone: 100 }),
-      (err) => err.message.includes('error code'),
+      (err) => err instanceof SpaError && err.code === 8,
     );
   });
 });
@@ -255,6 +2107,121 @@ describe('option validation', () => {
   });
 });
 
+describe('SpaError', () => {
+  const date = new Date(Date.UTC(2023, 5, 21, 12));
+
+  it('reports code, field, value, and range', async () => {
+    await assert.rejects(
+      () => spa(date, 40, -74, { timezone: 19 }),
+      (err) => {
+        assert.ok(err instanceof SpaError);
+        assert.ok(err instanceof RangeError);
+        assert.equal(err.name, 'SpaError');
+        assert.equal(err.code, 8);
+        assert.equal(err.field, 'timezone');
+        assert.equal(err.value, 19);
+        assert.deepEqual(err.range, { min: -18, max: 18, minInclusive: true, maxInclusive: true });
+        assert.equal(err.message, 'SPA: options.timezone must be between -18 and 18, got 19');
+        return true;
+      },
+    );
+  });
+
+  it('rejects delta_ut1 of a full second (exclusive range)', async () => {
+    await assert.rejects(
+      () => spa(date, 40, -74, { delta_ut1: 1 }),
+      (err) => {
+        assert.equal(err.code, 17);
+        assert.equal(err.field, 'delta_ut1');
+        assert.equal(err.range.maxInclusive, false);
+        assert.equal(err.message, 'SPA: options.delta_ut1 must be greater than -1 and less than 1, got 1');
+        return true;
+      },
+    );
+    const result = await spa(date, 40, -74, { delta_ut1: 0.9 });
+    assert.equal(result.error_code, 0);
+  });
+
+  it('maps each option to its spa.c error code', async () => {
+    const cases = [
+      [{ delta_t: -8001 }, 7, 'delta_t'],
+      [{ elevation: -6500001 }, 11, 'elevation'],
+      [{ pressure: 5001 }, 12, 'pressure'],
+      [{ temperature: -273 }, 13, 'temperature'],
+      [{ slope: 361 }, 14, 'slope'],
+      [{ azm_rotation: -361 }, 15, 'azm_rotation'],
+      [{ atmos_refract: 6 }, 16, 'atmos_refract'],
+    ];
+    for (const [options, code, field] of cases) {
+      await assert.rejects(
+        () => spa(date, 40, -74, options),
+        (err) => err instanceof SpaError && err.code === code && err.field === field,
+        field,
+      );
+    }
+    await assert.rejects(() => spa(date, 91, -74), (err) => err.code === 10 && err.field === 'latitude');
+    await assert.rejects(() => spa(date, 40, 181), (err) => err.code === 9 && err.field === 'longitude');
+  });
+
+  it('reports an open upper limit as Infinity', async () => {
+    await assert.rejects(
+      () => spa(date, 40, -74, { elevation: -7e6 }),
+      (err) => {
+        assert.equal(err.range.max, Infinity);
+        assert.equal(err.message, 'SPA: options.elevation must be at least -6500000, got -7000000');
+        return true;
+      },
+    );
+  });
+
+  it('checks slope and azm_rotation only when computing incidence', async () => {
+    await assert.rejects(() => spa(date, 40, -74, { slope: 400, function: SPA_ZA_INC }), SpaError);
+    const result = await spa(date, 40, -74, { slope: 400, azm_rotation: 400, function: SPA_ZA });
+    assert.equal(result.error_code, 0);
+  });
+
+  it('checks the local year of the date', async () => {
+    const last = new Date(Date.UTC(6000, 11, 31, 23));
+    await assert.rejects(
+      () => spa(last, 40, -74, { timezone: 2, input: 'utc' }),
+      (err) => {
+        assert.equal(err.code, 1);
+        assert.equal(err.field, 'year');
+        assert.equal(err.value, 6001);
+        assert.equal(err.message, 'SPA: date year must be between -2000 and 6000, got 6001');
+        return true;
+      },
+    );
+    // The deltaT() estimate is out of range by then, so pass one.
+    const result = await spa(last, 40, -74, { timezone: 0, input: 'utc', delta_t: 8000 });
+    assert.equal(result.error_code, 0);
+    await assert.rejects(
+      () => spaSeries(date, new Date(Date.UTC(6001, 0, 1)), 86400, 40, -74),
+      (err) => err.code === 1 && err.message.startsWith('SPA: end year'),
+    );
+    await assert.rejects(() => seasons(6001), (err) => err instanceof SpaError && err.code === 1);
+    await assert.rejects(() => seasons(2024.5), (err) => !(err instanceof SpaError));
+  });
+
+  it('names the offending grid coordinate', async () => {
+    await assert.rejects(
+      () => spaGrid(date, [0, 95], [0]),
+      (err) => {
+        assert.equal(err.field, 'latitude');
+        assert.equal(err.message, 'SPA: latitudes[1] must be between -90 and 90, got 95');
+        return true;
+      },
+    );
+  });
+
+  it('leaves non-finite values as plain RangeErrors', async () => {
+    await assert.rejects(
+      () => spa(date, 40, -74, { delta_ut1: NaN }),
+      (err) => err instanceof RangeError && !(err instanceof SpaError),
+    );
+  });
+});
+
 describe('init()', () => {
   it('explicit init is a no-op after module is loaded', async () => {
     await init();
@@ -269,3 +2236,94 @@ describe('constants', () => {
   it('SPA_ZA_RTS is 2', () => assert.equal(SPA_ZA_RTS, 2));
   it('SPA_ALL is 3', () => assert.equal(SPA_ALL, 3));
 });
+
+describe('solar-spa CLI', () => {
+  const cli = fileURLToPath(new URL('./dist/cli.cjs', import.meta.url));
+  const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+  const denver = ['--lat', '39.742476', '--lon', '-105.1786', '--timezone', '-7'];
+
+  it('position prints the spa() result as JSON', async () => {
+    const date = '2003-10-17T19:30:30Z';
+    const { status, stdout } = run('position', ...denver, '--date', date, '--elevation', '1830.14',
+      '--pressure', '820', '--temperature', '11', '--delta-t', '67', '--slope', '30', '--azm-rotation', '-10');
+    assert.equal(status, 0);
+    const out = JSON.parse(stdout);
+    const expected = await spa(new Date(date), 39.742476, -105.1786, {
+      timezone: -7, input: 'utc', elevation: 1830.14, pressure: 820, temperature: 11,
+      delta_t: 67, slope: 30, azm_rotation: -10,
+    });
+    assert.equal(out.date, '2003-10-17T19:30:30.000Z');
+    approx(out.zenith, expected.zenith, 1e-9, 'zenith');
+    approx(out.azimuth, expected.azimuth, 1e-9, 'azimuth');
+    approx(out.incidence, expected.incidence, 1e-9, 'incidence');
+  });
+
+  it('position --formatted prints clock times', () => {
+    const { status, stdout } = run('position', ...denver, '--date', '2003-10-17T19:30:30Z', '--formatted');
+    assert.equal(status, 0);
+    assert.match(JSON.parse(stdout).sunrise, /^\d{2}:\d{2}:\d{2}$/);
+  });
+
+  it('events prints ISO instants in CSV', async () => {
+    const date = '2023-06-21T18:00:00Z';
+    const { status, stdout } = run('events', ...denver, '--date', date, '--format', 'csv');
+    assert.equal(status, 0);
+    const [header, row] = stdout.trim().split('\n');
+    assert.equal(header, 'sunrise,suntransit,sunset');
+    const expected = await spaEvents(new Date(date), 39.742476, -105.1786, { timezone: -7, input: 'utc' });
+    assert.equal(row, [expected.sunrise, expected.suntransit, expected.sunset].map((d) => d.toISOString()).join(','));
+  });
+
+  it('table prints one CSV row per step', () => {
+    const { status, stdout } = run('table', ...denver, '--from', '2023-06-21T12:00:00Z',
+      '--to', '2023-06-21T18:00:00Z', '--step', '30m', '--fields', 'zenith,azimuth');
+    assert.equal(status, 0);
+    const lines = stdout.trim().split('\n');
+    assert.equal(lines[0], 'time,zenith,azimuth');
+    assert.equal(lines.length, 14);
+    assert.match(lines[13], /^2023-06-21T18:00:00\.000Z,/);
+  });
+
+  it('table matches spaSeries() in NDJSON and JSON', async () => {
+    const args = ['table', ...denver, '--from', '2023-06-21T00:00:00Z', '--to', '2023-06-22T00:00:00Z', '--step', '3600'];
+    const ndjson = run(...args, '--format', 'ndjson');
+    const json = run(...args, '--format', 'json');
+    assert.equal(ndjson.status, 0);
+    assert.equal(json.status, 0);
+    const rows = ndjson.stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(JSON.parse(json.stdout), rows);
+
+    const series = await spaSeries(new Date('2023-06-21T00:00:00Z'), new Date('2023-06-22T00:00:00Z'), 3600,
+      39.742476, -105.1786, { timezone: -7, input: 'utc' });
+    assert.equal(rows.length, series.count);
+    for (const field of SPA_SERIES_FIELDS) approx(rows[5][field], series[field][5], 1e-9, field);
+  });
+
+  it('exits 64 on usage errors', () => {
+    for (const args of [[], ['sunrise'], ['position', '--lon', '0'], ['position', '--lat', '0', '--lon', '0', '--bogus']]) {
+      const { status, stderr } = run(...args);
+      assert.equal(status, 64, args.join(' '));
+      assert.match(stderr, /^solar-spa: /);
+    }
+  });
+
+  it('exits 65 on invalid values', () => {
+    for (const args of [
+      ['position', '--lat', '91', '--lon', '0'],
+      ['position', '--lat', 'north', '--lon', '0'],
+      ['position', '--lat', '0', '--lon', '0', '--date', 'yesterday'],
+      ['position', '--lat', '0', '--lon', '0', '--timezone', 'Mars/Olympus_Mons'],
+      ['position', '--lat', '0', '--lon', '0', '--format', 'xml'],
+      ['table', '--lat', '0', '--lon', '0', '--from', '2023-01-02', '--to', '2023-01-01'],
+    ]) {
+      const { status, stderr } = run(...args);
+      assert.equal(status, 65, args.join(' '));
+      assert.match(stderr, /^solar-spa: /);
+    }
+  });
+
+  it('--help and --version exit 0', () => {
+    assert.match(run('--help').stdout, /^Usage: solar-spa/);
+    assert.match(run('--version').stdout.trim(), /^\d+\.\d+\.\d+/);
+  });
+});
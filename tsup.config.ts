@@ -1,28 +1,68 @@
 import { defineConfig } from 'tsup';
 
-export default defineConfig({
-  entry: ['src/index.ts'],
-  format: ['cjs', 'esm'],
-  dts: true,
-  clean: true,
-  outDir: 'dist',
-  splitting: false,
-  sourcemap: true,
-  target: 'es2020',
-  platform: 'node',
-  outExtension({ format }) {
-    return {
-      js: format === 'cjs' ? '.cjs' : '.mjs',
-    };
-  },
-  banner({ format }) {
-    if (format === 'esm') {
+// The WASM module is Emscripten CJS output, keep it external.
+const external = ['../wasm/spa-module.js'];
+
+// ESM builds load the WASM module through a createRequire-based __require.
+const esmBanner = {
+  js: `import { createRequire as __cr } from 'node:module';\nconst __require = __cr(import.meta.url);`,
+};
+
+export default defineConfig([
+  {
+    entry: ['src/index.ts'],
+    format: ['cjs', 'esm'],
+    dts: true,
+    clean: true,
+    outDir: 'dist',
+    splitting: false,
+    sourcemap: true,
+    target: 'es2020',
+    platform: 'node',
+    outExtension({ format }) {
       return {
-        js: `import { createRequire as __cr } from 'node:module';\nconst __require = __cr(import.meta.url);`,
+        js: format === 'cjs' ? '.cjs' : '.mjs',
       };
-    }
-    return {};
+    },
+    banner({ format }) {
+      return format === 'esm' ? esmBanner : {};
+    },
+    // createSpaPool() locates dist/worker.mjs from import.meta.url, which the
+    // CJS build derives from __filename.
+    shims: true,
+    external,
+  },
+  {
+    // createSpaPool() worker. ESM only: Node.js worker_threads and module Web
+    // Workers both load it, whichever format the pool was created from.
+    entry: { worker: 'src/worker.ts' },
+    format: ['esm'],
+    clean: false,
+    outDir: 'dist',
+    splitting: false,
+    sourcemap: false,
+    target: 'es2020',
+    platform: 'node',
+    outExtension() {
+      return { js: '.mjs' };
+    },
+    banner: esmBanner,
+    external,
+  },
+  {
+    // The solar-spa bin. CJS only, so it runs without a loader on every supported Node.
+    entry: { cli: 'src/cli.ts' },
+    format: ['cjs'],
+    clean: false,
+    outDir: 'dist',
+    splitting: false,
+    sourcemap: false,
+    target: 'es2020',
+    platform: 'node',
+    outExtension() {
+      return { js: '.cjs' };
+    },
+    banner: { js: '#!/usr/bin/env node' },
+    external,
   },
-  // The WASM module is Emscripten CJS output, keep it external.
-  external: ['../wasm/spa-module.js'],
-});
+]);